@@ -14,17 +14,102 @@ const VL_API_PATTERNS = [
 ];
 
 const VL_TRADES_TIMEOUT_MS = 60000;
+const VL_REQUEST_MAX_ATTEMPTS = 3;
+const VL_REQUEST_RETRY_BASE_MS = 500;
+
+// Trade filter settings sent with GetAllPriceVolumeTradeData
+const TRADE_FILTER_STORAGE_KEYS = [
+  'tradeDarkPools', 'tradeSweeps', 'tradeLatePrints', 'tradeSignaturePrints', 'tradeMinDollars', 'tradeVcd'
+];
+const DEFAULT_TRADE_MIN_DOLLARS = 500000;
+
+// Session and print-type filters: storage key -> VL request parameter
+const SESSION_FILTER_PARAMS = {
+  includePremarket: 'IncludePremarket',
+  includeRth: 'IncludeRTH',
+  includeAh: 'IncludeAH',
+  includeOpening: 'IncludeOpening',
+  includeClosing: 'IncludeClosing',
+  includePhantom: 'IncludePhantom',
+  includeOffsetting: 'IncludeOffsetting'
+};
 const VL_MARKET_TIME_ZONE = 'America/New_York';
 
+// Fetched levels are cached per ticker + date range + level count
+const VL_LEVEL_CACHE_STORAGE_KEY = 'levelCache';
+const VL_LEVEL_CACHE_MAX_ENTRIES = 50;
+const VL_LEVEL_CACHE_DEFAULT_TTL_MINUTES = 60;
+
+// Stored settings used to draw without the popup (auto-redraw)
+const LEVEL_DRAW_OPTION_KEYS = ['lineColor', 'lineThickness', 'lineOpacity'];
+const TRADE_DRAW_OPTION_KEYS = [
+  'tradeLitColor', 'tradeDarkPoolColor', 'tradeThickness', 'showOriginalTradeRank', 'tradeLabelPosition'
+];
+
+// Zone clustering methods (see getClusterOptions)
+const CLUSTER_METHODS = ['percent', 'dollars', 'atr'];
+
+// Per-level styling by strength (see applyLevelGradient): heat colors, widths 1-4, fading opacity
+const LEVEL_GRADIENT_MODES = ['off', 'rank', 'dollars'];
+const LEVEL_GRADIENT_STRONG_COLOR = '#FF1744';
+const LEVEL_GRADIENT_WEAK_COLOR = '#FFEB3B';
+const LEVEL_GRADIENT_MIN_WIDTH = 1;
+const LEVEL_GRADIENT_MAX_WIDTH = 4;
+const LEVEL_GRADIENT_MIN_OPACITY = 30;
+
+// Recency fading (see applyLevelRecency): full style until freshDays old, faded after oldDays
+const LEVEL_RECENCY_DEFAULT_FRESH_DAYS = 30;
+const LEVEL_RECENCY_DEFAULT_OLD_DAYS = 365;
+const LEVEL_RECENCY_MIN_OPACITY = 20;
+const LEVEL_RECENCY_MIN_WIDTH = 1;
+
+// Segment mode draws levels between their first and last trade dates (at least one day long)
+const LEVEL_SEGMENT_MIN_SECONDS = 24 * 60 * 60;
+
+// Support/resistance coloring against the chart's last price (picked per level in injected.js)
+const PRICE_COLOR_DEFAULTS = { support: '#26A69A', resistance: '#EF5350', inPlay: '#FFB300' };
+
+// Fetched and drawn items are kept for this many recently used symbols
+const LAST_RESULTS_MAX_SYMBOLS = 20;
+
+// Live trades mode stops merging new rays once a tab has this many trades drawn
+const LIVE_TRADES_MAX = 500;
+
+// User-entered levels, stored per symbol (symbol -> [{ id, price, label, color }])
+// Their labels carry their own prefix so clearing VL lines leaves them alone
+const MANUAL_LEVELS_STORAGE_KEY = 'manualLevels';
+const MANUAL_LABEL_PREFIX = '✎';
+const MANUAL_DEFAULT_COLOR = '#E040FB';
+
+// Levels imported from CSV/JSON, stored per symbol with their own prefix and style
+const IMPORTED_LEVELS_STORAGE_KEY = 'importedLevels';
+const IMPORT_LABEL_PREFIX = '⇪';
+const IMPORT_DEFAULT_COLOR = '#00BCD4';
+const IMPORT_DEFAULT_LINE_STYLE = 2; // Dashed
+
+// Per-ticker settings (symbol -> { levelCount, clusterThreshold, ... }) merged over the global ones
+const SYMBOL_OVERRIDES_STORAGE_KEY = 'symbolOverrides';
+const SYMBOL_OVERRIDE_KEYS = [
+  'levelCount', 'yearRange', 'clusteringEnabled', 'clusterThreshold', 'lineColor',
+  'tradeCount', 'tradeLitColor', 'tradeDarkPoolColor'
+];
+
 let debugMode = true;
 let xsrfToken = null;
 let xsrfTokenExpiry = 0;
+const autoRedrawSymbols = new Map(); // tabId -> Map(chartIndex -> symbol of the latest auto-redraw)
+const liveTradeState = new Map(); // tabId -> { symbol, startDate, endDate, tradeKeys } of drawn trades
+// Latest fetched levels/trades for export, per chart symbol (symbol -> result, oldest first)
+const lastFetchResults = { levels: new Map(), trades: new Map(), latestSymbol: null };
+// Labelled items last sent to the chart, per chart symbol (symbol -> { symbol, items, options })
+const lastDrawnItems = { levels: new Map(), manual: new Map(), imported: new Map(), trades: new Map(), latestSymbol: null };
+// Storage read-modify-writes run one at a time so concurrent callers keep each other's changes
+let storageWriteQueue = Promise.resolve();
 
 function getTimeZoneOffsetMs(timestampMs, timeZone) {
   const parts = new Intl.DateTimeFormat('en-US', {
     timeZone,
-    hour12: false,
-    hourCycle: 'h23',
+    hourCycle: 'h23', // hour12: false would override this and format midnight as 24
     year: 'numeric',
     month: '2-digit',
     day: '2-digit',
@@ -93,6 +178,15 @@ async function init() {
   console.log('🚀 VL-TV Bridge: Background script loaded');
   setupInterception();
   browser.runtime.onMessage.addListener(handleMessage);
+  browser.tabs.onRemoved.addListener(handleTabRemoved);
+}
+
+/**
+ * Forget per-tab state when a tab closes
+ */
+function handleTabRemoved(tabId) {
+  autoRedrawSymbols.delete(tabId);
+  liveTradeState.delete(tabId);
 }
 
 /**
@@ -102,7 +196,7 @@ function setupInterception() {
   browser.webRequest.onBeforeRequest.addListener(
     interceptRequest,
     { urls: VL_API_PATTERNS },
-    ['blocking']
+    ['blocking', 'requestBody']
   );
 
   console.log('🎯 Intercepting:', VL_API_PATTERNS);
@@ -112,8 +206,10 @@ function setupInterception() {
  * Intercept and process VL API responses
  */
 function interceptRequest(details) {
-  // Only intercept GET requests for API data
-  if (details.method !== 'GET') return {};
+  // VL loads table data with GET or DataTables-style form POSTs
+  if (details.method !== 'GET' && details.method !== 'POST') return {};
+
+  const requestParams = parseInterceptedRequestParams(details);
 
   const filter = browser.webRequest.filterResponseData(details.requestId);
   const decoder = new TextDecoder('utf-8');
@@ -133,7 +229,7 @@ function interceptRequest(details) {
     filter.close();
 
     // Process the complete response
-    processApiResponse(details.url, responseData);
+    processApiResponse(details.url, responseData, requestParams);
   };
 
   filter.onerror = () => {
@@ -143,10 +239,43 @@ function interceptRequest(details) {
   return {};
 }
 
+/**
+ * Read the ticker, date range and level count from an intercepted request's
+ * query string or form body so captured levels can be cached like our own.
+ */
+function parseInterceptedRequestParams(details) {
+  const params = {};
+
+  try {
+    for (const [key, value] of new URL(details.url).searchParams) {
+      params[key] = value;
+    }
+  } catch (e) {
+    // Not a parseable URL, rely on the form body
+  }
+
+  const formData = details.requestBody?.formData || {};
+  for (const [key, values] of Object.entries(formData)) {
+    params[key] = Array.isArray(values) ? values[0] : values;
+  }
+
+  const sessionFilters = Object.fromEntries(
+    Object.values(SESSION_FILTER_PARAMS).map(param => [param, params[param] === '0' ? 0 : 1])
+  );
+
+  return {
+    ticker: params.Ticker || null,
+    startDate: params.StartDate || null,
+    endDate: params.EndDate || null,
+    levelCount: params.Levels || null,
+    sessionFilter: describeSessionFilters(sessionFilters)
+  };
+}
+
 /**
  * Process intercepted API response - discover structure and extract levels
  */
-function processApiResponse(url, data) {
+function processApiResponse(url, data, requestParams = {}) {
   if (debugMode) {
     console.log('📡 VL API (intercepted):', url);
   }
@@ -164,7 +293,9 @@ function processApiResponse(url, data) {
       const firstItem = json.data[0];
       if (firstItem.Ticker && firstItem.Price !== undefined) {
         console.log('🎯 Intercepted VL TradeLevels:', json.data.length, 'items');
-        extractLevels(url, json.data);
+        extractLevels(url, json.data, requestParams).catch(err => {
+          console.error('❌ Failed to store intercepted levels:', err);
+        });
         return; // Don't process further
       }
     }
@@ -227,23 +358,50 @@ function findPriceLevels(obj, url, path = '') {
  *   }]
  * }
  */
-function extractLevels(url, items) {
-  const urlSymbol = extractSymbolFromUrl(url);
+async function extractLevels(url, items, requestParams = {}, now = new Date()) {
+  const urlSymbol = requestParams.ticker || extractSymbolFromUrl(url);
+  const levelsBySymbol = new Map();
   let count = 0;
 
   for (const item of items) {
     const symbol = (item.Ticker || item.ticker || item.symbol || urlSymbol || 'UNKNOWN').toUpperCase();
-    const price = item.Price || item.price || item.level || item.tradeLevel;
+    const level = mapVlLevel(item, symbol);
 
-    if (price && typeof price === 'number') {
+    if (level.price && typeof level.price === 'number') {
       count++;
+      if (!levelsBySymbol.has(symbol)) {
+        levelsBySymbol.set(symbol, []);
+      }
+      levelsBySymbol.get(symbol).push(level);
       if (debugMode) {
-        console.log(`📊 Level: ${symbol} @ $${price.toFixed(2)} (rank #${item.TradeLevelRank || '?'})`);
+        console.log(`📊 Level: ${symbol} @ $${level.price.toFixed(2)} (rank #${level.rank || '?'})`);
       }
     }
   }
 
   console.log(`📊 Intercepted ${count} levels from VL API`);
+
+  // Store captures next to our own fetches so Fetch & Draw can reuse them
+  for (const [symbol, symbolLevels] of levelsBySymbol) {
+    if (symbol === 'UNKNOWN') continue;
+    const levels = scaleCumulativeDistribution(symbolLevels);
+
+    const startDate = requestParams.startDate || 'captured';
+    const endDate = requestParams.endDate || 'captured';
+    const levelCount = String(requestParams.levelCount || levels.length);
+    const sessionFilter = requestParams.sessionFilter || '';
+
+    await writeLevelCacheEntry(buildLevelCacheKey(symbol, startDate, endDate, levelCount, sessionFilter), {
+      ticker: symbol,
+      startDate,
+      endDate,
+      levelCount,
+      sessionFilter,
+      levels,
+      cachedAt: now.getTime(),
+      source: 'intercept'
+    });
+  }
 }
 
 /**
@@ -279,7 +437,11 @@ function handleMessage(message, sender, sendResponse) {
     case 'FETCH_VL_LEVELS':
       // Fetch levels directly from VL API for a specific symbol
       // If tabId is provided, also draw the levels on that tab
-      fetchAndDraw(message.symbol, message.tabId, message.drawOptions)
+      // With allCharts, every chart in the layout gets its own symbol's levels
+      (message.allCharts
+        ? fetchAndDrawAllCharts(message.tabId, (symbol, chartIndex) =>
+          fetchAndDraw(symbol, message.tabId, message.drawOptions, chartIndex))
+        : fetchAndDraw(message.symbol, message.tabId, message.drawOptions))
         .then(result => sendResponse(result))
         .catch(err => sendResponse({ success: false, error: err.message }));
       return true; // Async response
@@ -287,11 +449,86 @@ function handleMessage(message, sender, sendResponse) {
     case 'FETCH_VL_TRADES':
       // Fetch large trades from VL API for circles
       // If tabId is provided, also draw the circles on that tab
-      fetchAndDrawTrades(message.symbol, message.tabId, message.tradeCount, message.drawOptions)
+      (message.allCharts
+        ? fetchAndDrawAllCharts(message.tabId, (symbol, chartIndex) =>
+          fetchAndDrawTrades(symbol, message.tabId, message.tradeCount, message.drawOptions, chartIndex))
+        : fetchAndDrawTrades(message.symbol, message.tabId, message.tradeCount, message.drawOptions))
         .then(result => sendResponse(result))
         .catch(err => sendResponse({ success: false, error: err.message }));
       return true; // Async response
 
+    case 'TV_SYMBOL_CHANGED':
+      // Chart symbol switched - redraw if auto mode is enabled
+      handleSymbolChange(message.symbol, message.previousSymbol, sender?.tab?.id, message.chartIndex ?? null)
+        .then(result => sendResponse(result))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case 'TV_VISIBLE_RANGE_CHANGED':
+      // Chart scrolled or zoomed - merge in trades for newly exposed dates
+      handleVisibleRangeChange(message.symbol, message.range, sender?.tab?.id)
+        .then(result => sendResponse(result))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case 'DRAW_MANUAL_LEVELS':
+      // Draw the user's own levels for a symbol (or redraw VL levels when they are clustered together)
+      drawManualLevels(message.symbol, message.tabId)
+        .then(result => sendResponse(result))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case 'CLEAR_DRAWN_LEVELS':
+      // Remove the drawn VL levels, zones and trades from the chart and forget them
+      clearDrawnItems(message.tabId)
+        .then(result => sendResponse(result))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case 'CLEAR_MANUAL_LEVELS':
+      // Remove manual lines from the chart; stored levels and VL lines are kept
+      browser.tabs.sendMessage(message.tabId, { type: 'CLEAR_LINES', prefixes: [MANUAL_LABEL_PREFIX] })
+        .then(result => sendResponse(result))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case 'DRAW_IMPORTED_LEVELS':
+      // Store validated imported levels for the symbol (when given) and draw them
+      drawImportedLevels(message.symbol, message.tabId, message.levels)
+        .then(result => sendResponse(result))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case 'CLEAR_IMPORTED_LEVELS':
+      // Forget the symbol's imported levels and remove their lines
+      clearImportedLevels(message.symbol, message.tabId)
+        .then(result => sendResponse(result))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case 'GET_EXPORT_DATA':
+      // Last fetched levels and trades for a symbol with their ticker, date range and filters
+      sendResponse(getFetchResults(message.symbol));
+      break;
+
+    case 'GET_DRAWN_ITEMS':
+      // Items as last drawn for a symbol (labels and draw options included) for the Pine Script export
+      sendResponse(getDrawnItems(message.symbol));
+      break;
+
+    case 'GET_NEAREST_LEVELS':
+      // Chart price and the closest drawn (or last fetched) levels around it
+      getNearestLevels(message.symbol, message.tabId)
+        .then(result => sendResponse(result))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case 'CLEAR_LEVEL_CACHE':
+      queueStorageWrite(() => browser.storage.local.remove(VL_LEVEL_CACHE_STORAGE_KEY))
+        .then(() => sendResponse({ success: true }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
     case 'SET_DEBUG':
       debugMode = message.enabled;
       console.log('🔧 Debug mode:', debugMode);
@@ -316,6 +553,133 @@ function handleMessage(message, sender, sendResponse) {
   return true; // Keep channel open for async response
 }
 
+/**
+ * Run a fetch-and-draw for every chart in the tab's layout.
+ * Each chart resolves its own symbol; failures are reported per chart.
+ */
+async function fetchAndDrawAllCharts(tabId, drawChart) {
+  const { charts = [] } = await browser.tabs.sendMessage(tabId, { type: 'GET_CHARTS' }) || {};
+  if (charts.length === 0) {
+    throw new Error('No charts found in the TradingView layout');
+  }
+
+  const results = [];
+  for (const chart of charts) {
+    if (!chart.symbol) {
+      results.push({ chartIndex: chart.index, symbol: null, success: false, error: 'Could not detect symbol' });
+      continue;
+    }
+
+    try {
+      const result = await drawChart(chart.symbol, chart.index);
+      results.push({ chartIndex: chart.index, symbol: chart.symbol, ...result });
+    } catch (err) {
+      console.error(`❌ BACKGROUND: Chart ${chart.index} (${chart.symbol}) failed:`, err);
+      results.push({ chartIndex: chart.index, symbol: chart.symbol, success: false, error: err.message });
+    }
+  }
+
+  return {
+    success: results.some(result => result.success),
+    error: results.every(result => !result.success) ? results[0]?.error : undefined,
+    charts: results
+  };
+}
+
+/**
+ * Auto-redraw after a chart symbol change (opt-in via autoRedrawEnabled)
+ * Clears the previous symbol's shapes, then redraws levels and/or trades.
+ * chartIndex is the layout chart that switched (null means the active chart)
+ */
+async function handleSymbolChange(symbol, previousSymbol, tabId, chartIndex = null) {
+  const settings = await browser.storage.local.get([
+    'autoRedrawEnabled', 'autoRedrawLevels', 'autoRedrawTrades', 'tradeCount',
+    ...LEVEL_DRAW_OPTION_KEYS, ...TRADE_DRAW_OPTION_KEYS
+  ]);
+
+  if (!settings.autoRedrawEnabled || !symbol || !tabId) {
+    return { success: true, skipped: true };
+  }
+
+  console.log(`🔄 BACKGROUND: Auto-redraw ${previousSymbol || '?'} → ${symbol} on tab ${tabId}`);
+  if (!autoRedrawSymbols.has(tabId)) {
+    autoRedrawSymbols.set(tabId, new Map());
+  }
+  const chartSymbols = autoRedrawSymbols.get(tabId);
+  chartSymbols.set(chartIndex, symbol);
+
+  if (previousSymbol) {
+    try {
+      await browser.tabs.sendMessage(tabId, { type: 'CLEAR_DRAWN', symbol: previousSymbol, ...chartTarget(chartIndex) });
+    } catch (err) {
+      console.warn('⚠️ BACKGROUND: Could not clear previous symbol shapes:', err);
+    }
+  }
+
+  const result = { success: true, symbol };
+
+  if (settings.autoRedrawLevels !== false) { // Default true
+    result.levels = await fetchAndDraw(symbol, tabId, getStoredLevelDrawOptions(settings), chartIndex)
+      .catch(err => ({ success: false, error: err.message }));
+  }
+
+  // Skip trades if the user already switched again while levels were loading
+  if (settings.autoRedrawTrades && chartSymbols.get(chartIndex) === symbol) {
+    result.trades = await fetchAndDrawTrades(symbol, tabId, settings.tradeCount ?? 5, getStoredTradeDrawOptions(settings), chartIndex)
+      .catch(err => ({ success: false, error: err.message }));
+  }
+
+  return result;
+}
+
+/**
+ * Level draw options from stored settings (same defaults as the popup)
+ */
+function getStoredLevelDrawOptions(settings = {}) {
+  return {
+    color: settings.lineColor || '#2962FF',
+    width: settings.lineThickness ?? 2,
+    opacity: settings.lineOpacity ?? 100,
+    style: 0
+  };
+}
+
+/**
+ * Trade draw options from stored settings (same defaults as the popup)
+ */
+function getStoredTradeDrawOptions(settings = {}) {
+  return {
+    tradeLitColor: settings.tradeLitColor || '#2962FF',
+    tradeDarkPoolColor: settings.tradeDarkPoolColor || '#FF9800',
+    tradeThickness: settings.tradeThickness ?? 2,
+    showOriginalTradeRank: settings.showOriginalTradeRank || false,
+    horzLabelsAlign: settings.tradeLabelPosition || 'right'
+  };
+}
+
+/**
+ * Override settings stored for a symbol (only the keys that are set)
+ */
+async function getSymbolOverrides(symbol) {
+  const stored = await browser.storage.local.get(SYMBOL_OVERRIDES_STORAGE_KEY);
+  const overrides = stored[SYMBOL_OVERRIDES_STORAGE_KEY]?.[String(symbol || '').toUpperCase()] || {};
+  return Object.fromEntries(SYMBOL_OVERRIDE_KEYS
+    .filter(key => overrides[key] !== undefined && overrides[key] !== null && overrides[key] !== '')
+    .map(key => [key, overrides[key]]));
+}
+
+/**
+ * Read settings with the symbol's overrides merged over the global values
+ */
+async function getSymbolSettings(symbol, keys) {
+  const [settings, overrides] = await Promise.all([browser.storage.local.get(keys), getSymbolOverrides(symbol)]);
+  const merged = { ...settings };
+  for (const key of keys) {
+    if (key in overrides) merged[key] = overrides[key];
+  }
+  return merged;
+}
+
 /**
  * Check if user is authenticated to VolumeLeaders
  */
@@ -390,10 +754,106 @@ async function getXsrfToken(forceRefresh = false) {
   }
 }
 
+/**
+ * POST to a VolumeLeaders Chart0 endpoint with the XSRF token attached.
+ *
+ * A 400 means VL rejected the anti-forgery token, so a fresh one is fetched
+ * before retrying. 5xx responses and network errors (including ones while
+ * fetching the token) are retried with exponential backoff. Auth failures and other 4xx responses are thrown
+ * immediately, and timeouts are not retried since each one already took
+ * timeoutMs.
+ */
+async function vlPost(url, { contentType, referer, body, timeoutMs = null, description = 'API' }) {
+  let lastError = null;
+  let refreshToken = false;
+
+  for (let attempt = 1; attempt <= VL_REQUEST_MAX_ATTEMPTS; attempt++) {
+    if (attempt > 1) {
+      const delayMs = VL_REQUEST_RETRY_BASE_MS * 2 ** (attempt - 2);
+      console.warn(`🔁 Retrying VL ${description} request (attempt ${attempt}/${VL_REQUEST_MAX_ATTEMPTS}) in ${delayMs}ms: ${lastError.message}`);
+      await sleep(delayMs);
+    }
+
+    let token;
+    try {
+      token = await getXsrfToken(refreshToken);
+    } catch (err) {
+      // Login problems won't go away on retry; a failed page fetch might
+      if (err.name !== 'TypeError') throw err;
+      lastError = new Error(`Could not reach VolumeLeaders: ${err.message}`);
+      continue;
+    }
+    refreshToken = false;
+
+    const controller = new AbortController();
+    const timeoutId = timeoutMs ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': contentType,
+          'Accept': 'application/json, text/javascript, */*; q=0.01',
+          'Origin': 'https://www.volumeleaders.com',
+          'Referer': referer,
+          'X-XSRF-TOKEN': token,
+          'X-Requested-With': 'XMLHttpRequest'
+        },
+        credentials: 'include',
+        referrer: referer,
+        signal: controller.signal,
+        body
+      });
+    } catch (err) {
+      clearTimeout(timeoutId);
+      if (err.name === 'AbortError') {
+        const timeoutSeconds = timeoutMs / 1000;
+        console.error(`❌ VL ${description} request timed out after ${timeoutSeconds} seconds`);
+        throw new Error(`VolumeLeaders ${description} request timed out after ${timeoutSeconds} seconds`);
+      }
+
+      lastError = new Error(`Could not reach VolumeLeaders: ${err.message}`);
+      continue;
+    }
+    clearTimeout(timeoutId);
+
+    console.log(`📡 VL ${description} response status: ${response.status}`);
+
+    if (response.ok) {
+      return response;
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      throw new Error('VolumeLeaders session expired. Please log in again.');
+    }
+
+    if (response.status === 400) {
+      // Token is stale - invalidate it and fetch a fresh one on the next attempt
+      xsrfToken = null;
+      xsrfTokenExpiry = 0;
+      refreshToken = true;
+      lastError = new Error('XSRF token rejected by VolumeLeaders');
+      continue;
+    }
+
+    lastError = new Error(`VL API error: ${response.status} ${response.statusText}`);
+    if (response.status < 500) {
+      throw lastError;
+    }
+  }
+
+  throw new Error(`${lastError.message} (gave up after ${VL_REQUEST_MAX_ATTEMPTS} attempts)`);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 /**
  * Fetch trade levels directly from VolumeLeaders API
  */
-async function fetchVlLevels(ticker, now = new Date()) {
+async function fetchVlLevels(ticker, now = new Date(), visibleRange = null) {
   if (!ticker) {
     throw new Error('No ticker symbol provided');
   }
@@ -407,26 +867,142 @@ async function fetchVlLevels(ticker, now = new Date()) {
   console.log(`🔍 Fetching VL levels for ${ticker}...`);
 
   // Get user's settings
-  const settings = await browser.storage.local.get(['levelCount', 'tradeCount', 'yearRange']);
+  const settings = await getSymbolSettings(originalTicker, [
+    'levelCount', 'tradeCount', 'yearRange', 'cacheTtlMinutes', 'levelDateMode', 'levelStartDate', 'levelEndDate',
+    ...TRADE_FILTER_STORAGE_KEYS, ...Object.keys(SESSION_FILTER_PARAMS)
+  ]);
   const levelCount = String(settings.levelCount ?? 10);
   const tradeCount = String(settings.tradeCount ?? 5);
+  const cacheTtlMs = (settings.cacheTtlMinutes ?? VL_LEVEL_CACHE_DEFAULT_TTL_MINUTES) * 60 * 1000;
+  const sessionFilters = getSessionFilters(settings);
+  const sessionFilter = describeSessionFilters(sessionFilters);
+
+  now = now || new Date();
+  const { startDate, endDate, dateMode } = getLevelDateRange(settings, visibleRange, now);
+  console.log(`📅 Level date range (${dateMode}): ${startDate} to ${endDate}`);
+
+  const cacheKey = buildLevelCacheKey(ticker, startDate, endDate, levelCount, sessionFilter);
+  const cache = await readLevelCache();
+  const cached = cache[cacheKey];
+
+  if (cached && now.getTime() - cached.cachedAt < cacheTtlMs) {
+    console.log(`💾 Using cached VL levels for ${ticker} (${labelTemplates.formatCacheAge(now.getTime() - cached.cachedAt)} old)`);
+    return { ...buildCachedLevelsResult(cached, now), dateMode };
+  }
+
+  // Captures use whatever range VL showed, so only stand in for the default range
+  const captured = dateMode === 'years'
+    ? findCapturedLevels(cache, ticker, levelCount, sessionFilter, cacheTtlMs, now)
+    : null;
+  if (captured) {
+    console.log(`🎯 Using levels captured from VolumeLeaders for ${ticker} (${labelTemplates.formatCacheAge(now.getTime() - captured.cachedAt)} old)`);
+    return { ...buildCachedLevelsResult(captured, now), dateMode };
+  }
+
+  let levels;
+  try {
+    levels = await requestVlLevels(ticker, startDate, endDate, levelCount, tradeCount, getTradeFilters(settings), sessionFilters);
+  } catch (err) {
+    // VL is unreachable or we're logged out - fall back to whatever we have. Other
+    // ranges only stand in for the rolling year range, not a custom or visible window
+    const fallback = cached || (dateMode === 'years'
+      ? findNewestCachedLevels(cache, ticker, levelCount, sessionFilter)
+      : null);
+    if (!fallback) {
+      throw err;
+    }
+
+    console.warn(`💾 VL fetch failed, drawing cached levels for ${ticker}:`, err.message);
+    return { ...buildCachedLevelsResult(fallback, now), dateMode, stale: true, error: err.message };
+  }
+
+  await writeLevelCacheEntry(cacheKey, {
+    ticker,
+    startDate,
+    endDate,
+    levelCount,
+    sessionFilter,
+    levels,
+    cachedAt: now.getTime()
+  });
+
+  if (levels.length === 0) {
+    return {
+      success: true,
+      ticker,
+      levels: [],
+      sessionFilter,
+      levelCount,
+      startDate,
+      endDate,
+      dateMode,
+      message: `No trade levels found for ${ticker}`
+    };
+  }
+
+  return {
+    success: true,
+    ticker,
+    levels,
+    count: levels.length,
+    sessionFilter,
+    levelCount,
+    startDate,
+    endDate,
+    dateMode
+  };
+}
+
+/**
+ * Resolve the level date range from the levelDateMode setting:
+ * - 'years': yearRange years back from today (default)
+ * - 'visible': the chart's visible range, falling back to 'years' if unknown
+ * - 'custom': levelStartDate through levelEndDate (or today), clamped to today
+ */
+function getLevelDateRange(settings = {}, visibleRange = null, now = new Date()) {
   const yearRange = settings.yearRange ?? 5;
+  const today = now.toISOString().split('T')[0];
+  const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+  if (settings.levelDateMode === 'custom' && isDate(settings.levelStartDate)) {
+    const endDate = isDate(settings.levelEndDate) && settings.levelEndDate < today ? settings.levelEndDate : today;
+    if (settings.levelStartDate <= endDate) {
+      return { startDate: settings.levelStartDate, endDate, dateMode: 'custom' };
+    }
+  }
+
+  if (settings.levelDateMode === 'visible' && visibleRange && visibleRange.from && visibleRange.to) {
+    return { ...getTradeDateRange(visibleRange, yearRange, now), dateMode: 'visible' };
+  }
+
+  return { ...getTradeDateRange(null, yearRange, now), dateMode: 'years' };
+}
+
+/**
+ * Describe a non-default level date range for labels, e.g. "since 2020-03-23"
+ * or "2020-03-23→2021-01-04". Returns '' for the default N-years range.
+ */
+function formatLevelRangeLabel(fetchResult, now = new Date()) {
+  const { dateMode, startDate, endDate } = fetchResult;
+  if (!dateMode || dateMode === 'years' || !startDate || !endDate) return '';
+
+  const today = now.toISOString().split('T')[0];
+  return endDate === today ? `since ${startDate}` : `${startDate}→${endDate}`;
+}
 
+/**
+ * POST the DataTables-style GetTradeLevels request and map the rows into
+ * level objects. Authentication and XSRF errors are thrown to the caller.
+ */
+async function requestVlLevels(ticker, startDate, endDate, levelCount, tradeCount, filters = getTradeFilters(), sessionFilters = getSessionFilters()) {
   // Check authentication first
   const auth = await checkVlAuth();
   if (!auth.authenticated) {
     throw new Error('Not logged into VolumeLeaders. Please log in at volumeleaders.com first.');
   }
 
-  // Get XSRF token for anti-forgery validation
-  const token = await getXsrfToken();
-
   // Build the request body (DataTables format)
-  now = now || new Date();
-  const today = now.toISOString().split('T')[0];
-  const startDate = new Date(now.getFullYear() - yearRange, now.getMonth(), now.getDate())
-    .toISOString().split('T')[0];
-  const chartUrl = buildChart0Url(ticker, startDate, today, levelCount, tradeCount);
+  const chartUrl = buildChart0Url(ticker, startDate, endDate, levelCount, tradeCount, filters, sessionFilters);
   const params = new URLSearchParams({
     'draw': '2',
     'columns[0][data]': 'Price',
@@ -482,73 +1058,38 @@ async function fetchVlLevels(ticker, now = new Date()) {
     'search[value]': '',
     'search[regex]': 'false',
     'StartDate': startDate,
-    'EndDate': today,
+    'EndDate': endDate,
     'Ticker': ticker,
     'Levels': levelCount
   });
 
+  // The captured HAR has no session fields; only send them when narrowing
+  if (describeSessionFilters(sessionFilters)) {
+    for (const [param, value] of Object.entries(sessionFilters)) {
+      params.set(param, String(value));
+    }
+  }
+
   try {
-    const response = await fetch('https://www.volumeleaders.com/Chart0/GetTradeLevels', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
-        'Accept': 'application/json, text/javascript, */*; q=0.01',
-        'Origin': 'https://www.volumeleaders.com',
-        'Referer': chartUrl,
-        'X-XSRF-TOKEN': token,
-        'X-Requested-With': 'XMLHttpRequest'
-      },
-      credentials: 'include',
-      referrer: chartUrl,
+    const response = await vlPost('https://www.volumeleaders.com/Chart0/GetTradeLevels', {
+      contentType: 'application/x-www-form-urlencoded; charset=UTF-8',
+      referer: chartUrl,
       body: params.toString()
     });
 
-    console.log(`📡 VL API response status: ${response.status}`);
-
-    if (!response.ok) {
-      if (response.status === 401 || response.status === 403) {
-        throw new Error('VolumeLeaders session expired. Please log in again.');
-      }
-      if (response.status === 400) {
-        // Token might be stale - invalidate and let caller retry
-        xsrfToken = null;
-        xsrfTokenExpiry = 0;
-        throw new Error('XSRF token rejected - please try again');
-      }
-      throw new Error(`VL API error: ${response.status} ${response.statusText}`);
-    }
-
     const json = await response.json();
     console.log(`📦 VL API returned ${json.data?.length || 0} levels`);
 
     if (!json.data || json.data.length === 0) {
-      return {
-        success: true,
-        ticker,
-        levels: [],
-        message: `No trade levels found for ${ticker}`
-      };
+      return [];
     }
 
-    const levels = json.data.map(item => ({
-      price: item.Price || item.price,
-      symbol: (item.Ticker || ticker).toUpperCase(),
-      rank: item.TradeLevelRank || item.rank,
-      dollars: item.Dollars || item.dollars,
-      volume: item.Volume || item.volume,
-      trades: item.Trades || item.trades,
-      dates: item.Dates || item.dates,
-      timestamp: parseVlTimestamp(item.MinDate ?? item.minDate)
-    })).filter(l => l.price && typeof l.price === 'number');
+    const levels = scaleCumulativeDistribution(json.data
+      .map(item => mapVlLevel(item, ticker))
+      .filter(l => l.price && typeof l.price === 'number'));
 
     console.log(`📊 Fetched ${levels.length} levels for ${ticker}`);
-
-    return {
-      success: true,
-      ticker,
-      levels,
-      count: levels.length
-    };
+    return levels;
 
   } catch (err) {
     console.error(`❌ Failed to fetch VL levels for ${ticker}:`, err);
@@ -557,53 +1098,266 @@ async function fetchVlLevels(ticker, now = new Date()) {
 }
 
 /**
- * Fetch VL levels and optionally draw them on a tab
- * This ensures drawing happens even if the popup closes during fetch
+ * Build the storage key for one cached level fetch
  */
-async function fetchAndDraw(symbol, tabId = null, drawOptions = {}) {
-  // Step 1: Fetch the levels
-  const fetchResult = await fetchVlLevels(symbol);
-
-  if (!fetchResult.success || fetchResult.levels.length === 0) {
-    return fetchResult;
+function buildLevelCacheKey(ticker, startDate, endDate, levelCount, sessionFilter = '') {
+  const parts = [ticker.toUpperCase(), startDate, endDate, String(levelCount)];
+  if (sessionFilter) {
+    parts.push(sessionFilter);
   }
+  return parts.join('|');
+}
 
-  // Step 2: If tabId provided, draw the levels
-  if (tabId) {
-    try {
-      // Get clustering and display settings
-      const settings = await browser.storage.local.get(['clusteringEnabled', 'clusterThreshold', 'showDates']);
-      const clusteringEnabled = settings.clusteringEnabled !== false; // Default true
-      const threshold = settings.clusterThreshold ?? 1.0;
-      const showDates = settings.showDates || false; // Default false
+/**
+ * Read the level cache from storage ({ [cacheKey]: entry })
+ */
+async function readLevelCache() {
+  const stored = await browser.storage.local.get(VL_LEVEL_CACHE_STORAGE_KEY);
+  return stored[VL_LEVEL_CACHE_STORAGE_KEY] || {};
+}
+
+/**
+ * Run a storage read-modify-write after the ones already queued
+ */
+function queueStorageWrite(task) {
+  const run = storageWriteQueue.then(task);
+  storageWriteQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Store a cache entry, evicting the oldest entries past the size limit
+ */
+function writeLevelCacheEntry(cacheKey, entry) {
+  return queueStorageWrite(async () => {
+    const cache = await readLevelCache();
+    cache[cacheKey] = entry;
+
+    const keysByAge = Object.keys(cache).sort((a, b) => cache[b].cachedAt - cache[a].cachedAt);
+    for (const staleKey of keysByAge.slice(VL_LEVEL_CACHE_MAX_ENTRIES)) {
+      delete cache[staleKey];
+    }
+
+    await browser.storage.local.set({ [VL_LEVEL_CACHE_STORAGE_KEY]: cache });
+  });
+}
+
+/**
+ * Find the newest cache entry for a ticker and level count, regardless of
+ * date range. Used in 'years' mode when VL can't be reached and the exact
+ * range isn't cached (e.g. the end date rolled over since the last fetch).
+ */
+function findNewestCachedLevels(cache, ticker, levelCount, sessionFilter = '') {
+  const upperTicker = ticker.toUpperCase();
+  let newest = null;
+
+  for (const entry of Object.values(cache)) {
+    if (entry.ticker !== upperTicker || String(entry.levelCount) !== String(levelCount)) continue;
+    if ((entry.sessionFilter || '') !== sessionFilter) continue;
+    if (!newest || entry.cachedAt > newest.cachedAt) {
+      newest = entry;
+    }
+  }
+
+  return newest;
+}
+
+function buildCachedLevelsResult(entry, now = new Date()) {
+  return {
+    success: true,
+    ticker: entry.ticker,
+    levels: entry.levels,
+    count: entry.levels.length,
+    cached: true,
+    source: entry.source || 'fetch',
+    sessionFilter: entry.sessionFilter || '',
+    levelCount: entry.levelCount,
+    startDate: entry.startDate,
+    endDate: entry.endDate,
+    cachedAt: entry.cachedAt,
+    cacheAgeMs: Math.max(0, now.getTime() - entry.cachedAt)
+  };
+}
+
+/**
+ * Map a raw GetTradeLevels row into a level object
+ */
+function mapVlLevel(item, ticker) {
+  return {
+    price: item.Price || item.price || item.level || item.tradeLevel,
+    symbol: (item.Ticker || item.ticker || ticker).toUpperCase(),
+    rank: item.TradeLevelRank || item.rank,
+    dollars: item.Dollars || item.dollars,
+    volume: item.Volume || item.volume,
+    trades: item.Trades || item.trades,
+    dates: item.Dates || item.dates,
+    relativeSize: parseVlNumber(item.RelativeSize ?? item.relativeSize),
+    cumulativeDistribution: parseVlNumber(item.CumulativeDistribution ?? item.cumulativeDistribution),
+    timestamp: parseVlTimestamp(item.MinDate ?? item.minDate)
+  };
+}
+
+/**
+ * Parse a numeric VL column, returning null when missing or non-numeric
+ */
+function parseVlNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Scale the CumulativeDistribution (PCT column) of one VL response to 0-100.
+ * The scale is picked once per response: fractions (0.97) when every value
+ * is at most 1, percentages (97) otherwise, so a real PCT of 1 stays 1%.
+ */
+function scaleCumulativeDistribution(levels) {
+  const values = levels.map(level => level.cumulativeDistribution).filter(Number.isFinite);
+  if (values.length === 0 || values.some(value => value > 1)) return levels;
+
+  return levels.map(level => (Number.isFinite(level.cumulativeDistribution)
+    ? { ...level, cumulativeDistribution: level.cumulativeDistribution * 100 }
+    : level));
+}
+
+/**
+ * Find a fresh capture of the VL website's own TradeLevels response with at
+ * least levelCount levels. Its date range may differ from our settings, but
+ * it's what the user was just looking at on VolumeLeaders.
+ */
+function findCapturedLevels(cache, ticker, levelCount, sessionFilter, maxAgeMs, now = new Date()) {
+  const upperTicker = ticker.toUpperCase();
+  let newest = null;
+
+  for (const entry of Object.values(cache)) {
+    if (entry.source !== 'intercept' || entry.ticker !== upperTicker) continue;
+    if ((entry.sessionFilter || '') !== sessionFilter) continue;
+    if (entry.levels.length < Number(levelCount)) continue;
+    if (now.getTime() - entry.cachedAt >= maxAgeMs) continue;
+    if (!newest || entry.cachedAt > newest.cachedAt) {
+      newest = entry;
+    }
+  }
+
+  if (!newest) return null;
+
+  const levels = [...newest.levels]
+    .sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity))
+    .slice(0, Number(levelCount));
+
+  return { ...newest, levels };
+}
+
+/**
+ * Fetch VL levels and optionally draw them on a tab
+ * This ensures drawing happens even if the popup closes during fetch
+ */
+async function fetchAndDraw(symbol, tabId = null, drawOptions = {}, chartIndex = null) {
+  const overrides = await getSymbolOverrides(symbol);
+  if (overrides.lineColor) {
+    drawOptions = { ...drawOptions, color: overrides.lineColor };
+  }
+
+  // Step 1: Fetch the levels (reading the chart range first if levels follow it)
+  const { levelDateMode } = await browser.storage.local.get('levelDateMode');
+  const visibleRange = tabId && levelDateMode === 'visible' ? await getChartVisibleRange(tabId, chartIndex) : null;
+  const fetchResult = await fetchVlLevels(symbol, new Date(), visibleRange);
+  // Export what gets drawn: levels below the PCT floor are left out
+  const { minLevelPct } = await browser.storage.local.get('minLevelPct');
+  rememberFetchResult('levels', symbol, fetchResult.success
+    ? { ...fetchResult, levels: filterLevelsByPct(fetchResult.levels, minLevelPct) }
+    : fetchResult, {
+      levelCount: fetchResult.levelCount,
+      minLevelPct: Number(minLevelPct) || 0,
+      dateMode: fetchResult.dateMode
+    });
+
+  if (!fetchResult.success || fetchResult.levels.length === 0) {
+    return fetchResult;
+  }
+
+  // Step 2: If tabId provided, draw the levels
+  if (tabId) {
+    try {
+      // Get clustering and display settings
+      const settings = await getSymbolSettings(symbol, [
+        'clusteringEnabled', 'clusterThreshold', 'clusterMethod', 'clusterDollarThreshold', 'clusterAtr',
+        'clusterAtrMultiple', 'clusterAnchor', 'showDates', 'minLevelPct', 'showLevelStats', 'zoneStyle', 'zoneFillOpacity',
+        'clusterManualLevels', 'levelGradientMode', 'levelGradientColor', 'levelGradientWidth', 'levelGradientOpacity',
+        'levelGradientStrongColor', 'levelGradientWeakColor', 'levelLineMode', 'levelSegmentExtend',
+        'levelRecencyEnabled', 'levelRecencyOpacity', 'levelRecencyWidth', 'levelRecencyFreshDays', 'levelRecencyOldDays',
+        'priceColoringEnabled', 'supportColor', 'resistanceColor', 'inPlayColor',
+        labelTemplates.LABEL_TEMPLATE_STORAGE_KEYS.level, labelTemplates.LABEL_TEMPLATE_STORAGE_KEYS.zone
+      ]);
+      const clusteringEnabled = settings.clusteringEnabled !== false; // Default true
+      const threshold = settings.clusterThreshold ?? 1.0;
+      const showDates = settings.showDates || false; // Default false
+      const showStats = settings.showLevelStats || false; // Default false
+
+      // Drop levels below the PCT floor before clustering
+      const levels = filterLevelsByPct(fetchResult.levels, settings.minLevelPct);
+      if (levels.length < fetchResult.levels.length) {
+        console.log(`🔍 BACKGROUND: ${fetchResult.levels.length - levels.length} levels below PCT ${settings.minLevelPct}%`);
+      }
+
+      // Manual levels join the VL levels when they are clustered together
+      const manualLevels = clusteringEnabled && settings.clusterManualLevels
+        ? (await getManualLevels(symbol)).map(toManualDrawable)
+        : [];
 
       // Apply clustering if enabled
+      const clusterOptions = getClusterOptions(settings);
       let drawables;
-      if (clusteringEnabled && threshold > 0) {
-        drawables = clusterLevels(fetchResult.levels, threshold);
-        console.log(`🔗 BACKGROUND: Clustered ${fetchResult.levels.length} levels into ${drawables.length} items (threshold: ${threshold}%)`);
+      if (clusteringEnabled) {
+        drawables = clusterLevels([...levels, ...manualLevels], threshold, clusterOptions);
+        console.log(`🔗 BACKGROUND: Clustered ${levels.length} levels into ${drawables.length} items (threshold: ${describeClusterThreshold(threshold, clusterOptions)}, anchor: ${clusterOptions.anchor})`);
       } else {
-        drawables = fetchResult.levels.map(l => ({ type: 'level', ...l }));
+        drawables = levels.map(l => ({ type: 'level', ...l }));
       }
 
       // Add appropriate labels to each item
-      const drawablesWithLabels = drawables.map(item => ({
-        ...item,
-        label: item.type === 'zone' ? formatZoneLabel(item, showDates) : formatLevelLabel(item, showDates)
-      }));
+      const rangeLabel = formatLevelRangeLabel(fetchResult);
+      const drawablesWithLabels = drawables.map(item => {
+        if (item.manual) return item;
+        const label = item.type === 'zone'
+          ? labelTemplates.formatZoneLabel(item, showDates, showStats, settings[labelTemplates.LABEL_TEMPLATE_STORAGE_KEYS.zone])
+          : labelTemplates.formatLevelLabel(item, showDates, showStats, settings[labelTemplates.LABEL_TEMPLATE_STORAGE_KEYS.level]);
+        const fullLabel = rangeLabel ? `${label} (${rangeLabel})` : label;
+        return item.type === 'zone' ? withManualMembers(item, fullLabel) : { ...item, label: fullLabel };
+      });
+
+      const options = {
+        color: drawOptions.color || '#02A9DE',
+        width: drawOptions.width || 2,
+        opacity: drawOptions.opacity ?? 100,
+        style: drawOptions.style || 0,
+        zoneStyle: settings.zoneStyle || 'line',
+        zoneFillOpacity: settings.zoneFillOpacity ?? 20,
+        priceColors: getPriceColorOptions(settings),
+        clearPrefixes: manualLevels.length > 0 ? ['VL', MANUAL_LABEL_PREFIX] : ['VL']
+      };
 
-      console.log(`🎨 BACKGROUND: Drawing ${drawablesWithLabels.length} items on tab ${tabId}`);
+      // Per-item color/width/opacity by rank or dollars, fading by age, then segment bounds
+      const gradient = applyLevelGradient(drawablesWithLabels, getLevelGradientOptions(settings), options);
+      gradient.items = applyLevelRecency(gradient.items, getLevelRecencyOptions(settings), options);
+      if (settings.levelLineMode === 'segment') {
+        gradient.items = applyLevelSegments(gradient.items, settings.levelSegmentExtend || false);
+      }
+      gradient.items = assignLevelKeys(gradient.items);
+
+      console.log(`🎨 BACKGROUND: Drawing ${gradient.items.length} items on tab ${tabId}`);
 
       const drawResponse = await browser.tabs.sendMessage(tabId, {
         type: 'DRAW_LEVELS',
-        levels: drawablesWithLabels,
-        options: {
-          color: drawOptions.color || '#02A9DE',
-          width: drawOptions.width || 2,
-          opacity: drawOptions.opacity ?? 100,
-          style: drawOptions.style || 0
-        }
+        symbol,
+        ...chartTarget(chartIndex),
+        levels: gradient.items,
+        options
       });
+      rememberDrawnItems('levels', symbol, applyDrawnPriceSides(gradient.items, drawResponse?.results, options.priceColors), options);
+      if (manualLevels.length > 0) {
+        lastDrawnItems.manual.delete(String(symbol).toUpperCase()); // Drawn as part of the VL levels
+      }
 
       console.log(`🎨 BACKGROUND: Draw complete:`, drawResponse);
 
@@ -611,7 +1365,10 @@ async function fetchAndDraw(symbol, tabId = null, drawOptions = {}) {
         ...fetchResult,
         drawResult: drawResponse,
         clustered: clusteringEnabled,
-        clusterCount: drawables.filter(d => d.type === 'zone').length
+        clusterCount: drawables.filter(d => d.type === 'zone').length,
+        filteredCount: fetchResult.levels.length - levels.length,
+        manualCount: manualLevels.length,
+        gradient: gradient.legend
       };
     } catch (err) {
       console.error('❌ BACKGROUND: Failed to draw levels:', err);
@@ -626,6 +1383,302 @@ async function fetchAndDraw(symbol, tabId = null, drawOptions = {}) {
   return fetchResult;
 }
 
+/**
+ * Keep the latest fetched levels or trades (with their metadata) for export,
+ * per chart symbol so every chart of a multi-chart layout can be exported
+ */
+function rememberFetchResult(kind, symbol, fetchResult, filters = {}) {
+  if (!fetchResult?.success) return;
+
+  const key = String(symbol || fetchResult.ticker).toUpperCase();
+  lastFetchResults.latestSymbol = key;
+  setRecentSymbolEntry(lastFetchResults[kind], key, {
+    ticker: fetchResult.ticker,
+    startDate: fetchResult.startDate,
+    endDate: fetchResult.endDate,
+    dateMode: fetchResult.dateMode,
+    fetchedAt: new Date(fetchResult.cachedAt ?? Date.now()).toISOString(),
+    filters: { ...filters, sessionFilter: fetchResult.sessionFilter || 'all sessions' },
+    items: fetchResult[kind] || []
+  });
+}
+
+/**
+ * Fetched levels and trades for a symbol (the latest fetched symbol when none is given)
+ */
+function getFetchResults(symbol) {
+  const key = symbol ? String(symbol).toUpperCase() : lastFetchResults.latestSymbol;
+  return {
+    levels: lastFetchResults.levels.get(key) || null,
+    trades: lastFetchResults.trades.get(key) || null
+  };
+}
+
+/**
+ * Store a per-symbol entry as the newest, dropping the oldest symbols past LAST_RESULTS_MAX_SYMBOLS
+ */
+function setRecentSymbolEntry(entries, key, value) {
+  entries.delete(key); // Re-insert as the newest entry
+  while (entries.size >= LAST_RESULTS_MAX_SYMBOLS) {
+    entries.delete(entries.keys().next().value);
+  }
+  entries.set(key, value);
+}
+
+/**
+ * Keep the labelled items last sent to a symbol's chart (merge appends live trades)
+ */
+function rememberDrawnItems(kind, symbol, items, options, merge = false) {
+  const key = String(symbol).toUpperCase();
+  const previous = lastDrawnItems[kind].get(key);
+  const keep = merge && previous ? previous.items : [];
+  lastDrawnItems.latestSymbol = key;
+  setRecentSymbolEntry(lastDrawnItems[kind], key, { symbol, items: [...keep, ...items], options });
+}
+
+/**
+ * Clear every tracked shape except manual levels from the chart, and stop
+ * exporting or measuring against what was removed. Cleared symbols keep a
+ * null levels entry so the nearest levels don't fall back to fetched ones.
+ */
+async function clearDrawnItems(tabId) {
+  const result = await browser.tabs.sendMessage(tabId, { type: 'CLEAR_DRAWN' });
+
+  for (const key of new Set([...lastDrawnItems.levels.keys(), ...lastFetchResults.levels.keys()])) {
+    setRecentSymbolEntry(lastDrawnItems.levels, key, null);
+  }
+  lastDrawnItems.imported.clear();
+  lastDrawnItems.trades.clear();
+  return result;
+}
+
+/**
+ * Drawn levels, manual/imported levels and trades for a symbol (the latest drawn symbol when none is given)
+ */
+function getDrawnItems(symbol) {
+  const key = symbol ? String(symbol).toUpperCase() : lastDrawnItems.latestSymbol;
+  return Object.fromEntries(['levels', 'manual', 'imported', 'trades']
+    .map(kind => [kind, lastDrawnItems[kind].get(key) || null]));
+}
+
+/**
+ * Read the chart's last price and find the closest VL levels/zones around it
+ * Uses the levels last drawn for the symbol, else the levels last fetched for it
+ */
+async function getNearestLevels(symbol, tabId) {
+  const priceResponse = await browser.tabs.sendMessage(tabId, { type: 'GET_LAST_PRICE' });
+  const price = priceResponse?.price;
+  if (!Number.isFinite(price)) {
+    return { success: false, error: 'Could not read the chart price' };
+  }
+
+  const upperSymbol = String(symbol || '').toUpperCase();
+  let items = null;
+  if (lastDrawnItems.levels.has(upperSymbol)) {
+    items = lastDrawnItems.levels.get(upperSymbol)?.items ?? null; // null once cleared
+  } else if (lastFetchResults.levels.has(upperSymbol)) {
+    items = lastFetchResults.levels.get(upperSymbol).items.map(level => ({ type: 'level', ...level }));
+  }
+
+  return { success: true, symbol, price, hasLevels: items !== null, ...findNearestLevels(items || [], price) };
+}
+
+/**
+ * Key for a drawn level or zone from its price range and rank; the content
+ * script maps it to the shape so the popup's level list can show/hide it
+ */
+function getLevelKey(item) {
+  if (item.type === 'zone') {
+    return `zone:${item.lowPrice}-${item.highPrice}`;
+  }
+  const source = item.manual ? 'manual' : item.imported ? 'imported' : 'level';
+  return `${source}:${item.price}${item.rank ? `#${item.rank}` : ''}`;
+}
+
+/**
+ * Add a key to each item, numbering repeats so every key is unique
+ */
+function assignLevelKeys(items) {
+  const seen = new Map();
+  return items.map(item => {
+    const key = getLevelKey(item);
+    const count = seen.get(key) || 0;
+    seen.set(key, count + 1);
+    return { ...item, key: count > 0 ? `${key}~${count}` : key };
+  });
+}
+
+/**
+ * Stored manual levels for a symbol, sorted by price
+ */
+async function getManualLevels(symbol) {
+  const stored = await browser.storage.local.get(MANUAL_LEVELS_STORAGE_KEY);
+  const levels = stored[MANUAL_LEVELS_STORAGE_KEY]?.[String(symbol || '').toUpperCase()] || [];
+  return levels
+    .filter(level => Number.isFinite(level?.price) && level.price > 0)
+    .sort((a, b) => a.price - b.price);
+}
+
+/**
+ * Turn a stored manual level into a DRAW_LEVELS item with its own label and color
+ */
+function toManualDrawable(level) {
+  return {
+    type: 'level',
+    manual: true,
+    price: level.price,
+    color: level.color || undefined,
+    label: `${MANUAL_LABEL_PREFIX} ${level.label || level.price}`
+  };
+}
+
+/**
+ * Draw the user's manual levels for a symbol.
+ * When they are clustered with VL levels, the VL levels are redrawn instead so
+ * both sets share one clustering pass.
+ */
+async function drawManualLevels(symbol, tabId, chartIndex = null) {
+  if (!symbol) {
+    throw new Error('No ticker symbol provided');
+  }
+
+  const settings = await browser.storage.local.get(['clusteringEnabled', 'clusterManualLevels', ...LEVEL_DRAW_OPTION_KEYS]);
+  const drawOptions = getStoredLevelDrawOptions(settings);
+
+  if (settings.clusteringEnabled !== false && settings.clusterManualLevels) {
+    const result = await fetchAndDraw(symbol, tabId, drawOptions, chartIndex)
+      .catch(err => ({ success: false, error: err.message }));
+    if (result.success && result.drawResult) {
+      return result;
+    }
+    // No VL levels to cluster with (e.g. logged out): draw the manual levels alone
+    console.log(`✎ BACKGROUND: VL levels unavailable (${result.error || 'none found'}), drawing manual levels alone`);
+  }
+
+  const levels = await getManualLevels(symbol);
+  console.log(`✎ BACKGROUND: Drawing ${levels.length} manual levels for ${symbol}`);
+
+  const drawables = assignLevelKeys(levels.map(toManualDrawable));
+  const options = { ...drawOptions, color: MANUAL_DEFAULT_COLOR, clearPrefixes: [MANUAL_LABEL_PREFIX] };
+  const drawResponse = await browser.tabs.sendMessage(tabId, {
+    type: 'DRAW_LEVELS',
+    symbol,
+    ...chartTarget(chartIndex),
+    levels: drawables,
+    options
+  });
+  rememberDrawnItems('manual', symbol, drawables, options);
+
+  return { success: true, symbol, manual: true, levels, drawResult: drawResponse };
+}
+
+/**
+ * Keep the manual levels that clustered into a zone visible: their labels are
+ * appended to the VL label and the first manual color is kept. A zone of only
+ * manual levels stays a manual item.
+ */
+function withManualMembers(zone, label) {
+  const manual = (zone.levels || []).filter(level => level.manual);
+  if (manual.length === 0) {
+    return { ...zone, label };
+  }
+
+  const names = manual.map(level => level.label.replace(MANUAL_LABEL_PREFIX, '').trim()).join(', ');
+  const color = manual.find(level => level.color)?.color;
+  if (manual.length === zone.levels.length) {
+    return { ...zone, manual: true, label: `${MANUAL_LABEL_PREFIX} ${names}`, ...(color ? { color } : {}) };
+  }
+  return { ...zone, label: `${label} ${MANUAL_LABEL_PREFIX} ${names}`, ...(color ? { color, keepColor: true } : {}) };
+}
+
+/**
+ * Turn an imported level into a DRAW_LEVELS item; unlabelled rows from our own
+ * export fall back to their rank and dollars
+ */
+function toImportedDrawable(level) {
+  const fallback = [
+    level.rank ? `#${level.rank}` : '',
+    level.dollars > 0 ? labelTemplates.formatDollars(level.dollars) : ''
+  ].filter(Boolean).join(' ');
+
+  return {
+    type: 'level',
+    imported: true,
+    price: level.price,
+    timestamp: Number.isFinite(level.timestamp) && level.timestamp > 0 ? level.timestamp : null,
+    color: level.color || undefined,
+    label: `${IMPORT_LABEL_PREFIX} ${level.label || fallback || level.price}`
+  };
+}
+
+/**
+ * Draw a symbol's imported levels with the import style.
+ * When levels are given they replace the symbol's stored import first.
+ */
+async function drawImportedLevels(symbol, tabId, levels = null, chartIndex = null) {
+  if (!symbol) {
+    throw new Error('No ticker symbol provided');
+  }
+
+  const key = String(symbol).toUpperCase();
+  if (Array.isArray(levels)) {
+    await updateImportedLevels(bySymbol => {
+      bySymbol[key] = levels.filter(level => Number.isFinite(level?.price) && level.price > 0);
+    });
+  }
+
+  const settings = await browser.storage.local.get([
+    IMPORTED_LEVELS_STORAGE_KEY, 'importColor', 'importLineStyle', ...LEVEL_DRAW_OPTION_KEYS
+  ]);
+  const bySymbol = settings[IMPORTED_LEVELS_STORAGE_KEY] || {};
+
+  const drawables = assignLevelKeys((bySymbol[key] || []).map(toImportedDrawable));
+  const options = {
+    ...getStoredLevelDrawOptions(settings),
+    color: settings.importColor || IMPORT_DEFAULT_COLOR,
+    style: settings.importLineStyle ?? IMPORT_DEFAULT_LINE_STYLE,
+    clearPrefixes: [IMPORT_LABEL_PREFIX]
+  };
+  console.log(`⇪ BACKGROUND: Drawing ${drawables.length} imported levels for ${symbol}`);
+
+  const drawResponse = await browser.tabs.sendMessage(tabId, {
+    type: 'DRAW_LEVELS',
+    symbol,
+    ...chartTarget(chartIndex),
+    levels: drawables,
+    options
+  });
+  rememberDrawnItems('imported', symbol, drawables, options);
+
+  return { success: true, symbol, imported: true, count: drawables.length, drawResult: drawResponse };
+}
+
+/**
+ * Change the stored imported levels (symbol -> levels) after queued storage writes
+ */
+function updateImportedLevels(update) {
+  return queueStorageWrite(async () => {
+    const stored = await browser.storage.local.get(IMPORTED_LEVELS_STORAGE_KEY);
+    const bySymbol = stored[IMPORTED_LEVELS_STORAGE_KEY] || {};
+    update(bySymbol);
+    await browser.storage.local.set({ [IMPORTED_LEVELS_STORAGE_KEY]: bySymbol });
+  });
+}
+
+async function clearImportedLevels(symbol, tabId) {
+  if (!symbol) {
+    throw new Error('No ticker symbol provided');
+  }
+
+  const key = String(symbol).toUpperCase();
+  await updateImportedLevels(bySymbol => {
+    delete bySymbol[key];
+  });
+  lastDrawnItems.imported.delete(key);
+
+  return browser.tabs.sendMessage(tabId, { type: 'CLEAR_LINES', prefixes: [IMPORT_LABEL_PREFIX] });
+}
+
 /**
  * Fetch large trades from VolumeLeaders API (for circles)
  */
@@ -646,13 +1699,13 @@ async function fetchVlTrades(ticker, tradeCount = 10, visibleRange = null, now =
     throw new Error('Not logged into VolumeLeaders. Please log in at volumeleaders.com first.');
   }
 
-  const token = await getXsrfToken();
-
-  let yearRange = 5;
-  if (!visibleRange || !visibleRange.from || !visibleRange.to) {
-    const settings = await browser.storage.local.get(['yearRange']);
-    yearRange = settings.yearRange ?? 5;
-  }
+  const settings = await getSymbolSettings(originalTicker, [
+    'yearRange', ...TRADE_FILTER_STORAGE_KEYS, ...Object.keys(SESSION_FILTER_PARAMS)
+  ]);
+  const yearRange = settings.yearRange ?? 5;
+  const filters = getTradeFilters(settings);
+  const sessionFilters = getSessionFilters(settings);
+  const sessionFilter = describeSessionFilters(sessionFilters);
 
   const { startDate, endDate } = getTradeDateRange(visibleRange, yearRange, now);
   if (visibleRange && visibleRange.from && visibleRange.to) {
@@ -661,7 +1714,7 @@ async function fetchVlTrades(ticker, tradeCount = 10, visibleRange = null, now =
     console.log(`📅 Using default range (${yearRange}yr): ${startDate} to ${endDate}`);
   }
 
-  const chartUrl = buildChart0Url(ticker, startDate, endDate, tradeCount);
+  const chartUrl = buildChart0Url(ticker, startDate, endDate, tradeCount, tradeCount, filters, sessionFilters);
 
   // ponytail: use GetAllPriceVolumeTradeData instead of GetTrades —
   // GetTrades returns wrong DarkPool flags on wide date ranges,
@@ -674,25 +1727,19 @@ async function fetchVlTrades(ticker, tradeCount = 10, visibleRange = null, now =
     Levels: tradeCount,
     MinVolume: 0,
     MaxVolume: 2000000000,
-    MinDollars: 500000,
+    MinDollars: filters.minDollars,
     MaxDollars: 30000000000,
-    DarkPools: -1,
-    Sweeps: -1,
-    LatePrints: -1,
-    SignaturePrints: -1,
+    DarkPools: filters.darkPools,
+    Sweeps: filters.sweeps,
+    LatePrints: filters.latePrints,
+    SignaturePrints: filters.signaturePrints,
     TradeCount: tradeCount,
     MinPrice: 0,
     MaxPrice: 100000,
-    VCD: 0,
+    VCD: filters.vcd,
     TradeRank: -1,
     TradeRankSnapshot: -1,
-    IncludePremarket: 1,
-    IncludeRTH: 1,
-    IncludeAH: 1,
-    IncludeOpening: 1,
-    IncludeClosing: 1,
-    IncludePhantom: 1,
-    IncludeOffsetting: 1
+    ...sessionFilters
   };
 
   console.log('📤 VL Trades request:', {
@@ -700,44 +1747,20 @@ async function fetchVlTrades(ticker, tradeCount = 10, visibleRange = null, now =
     startDate,
     endDate,
     tradeCount,
+    filters,
+    sessionFilter: sessionFilter || 'all sessions',
     requestUrl: 'https://www.volumeleaders.com/Chart0/GetAllPriceVolumeTradeData',
     referer: chartUrl
   });
 
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), VL_TRADES_TIMEOUT_MS);
-
   try {
-    const response = await fetch('https://www.volumeleaders.com/Chart0/GetAllPriceVolumeTradeData', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json, text/javascript, */*; q=0.01',
-        'Origin': 'https://www.volumeleaders.com',
-        'Referer': chartUrl,
-        'X-XSRF-TOKEN': token,
-        'X-Requested-With': 'XMLHttpRequest'
-      },
-      credentials: 'include',
-      referrer: chartUrl,
-      signal: controller.signal,
-      body: JSON.stringify(requestBody)
+    const response = await vlPost('https://www.volumeleaders.com/Chart0/GetAllPriceVolumeTradeData', {
+      contentType: 'application/json',
+      referer: chartUrl,
+      body: JSON.stringify(requestBody),
+      timeoutMs: VL_TRADES_TIMEOUT_MS,
+      description: 'trades'
     });
-    clearTimeout(timeoutId);
-
-    console.log(`📡 VL Trades API response status: ${response.status}`);
-
-    if (!response.ok) {
-      if (response.status === 401 || response.status === 403) {
-        throw new Error('VolumeLeaders session expired. Please log in again.');
-      }
-      if (response.status === 400) {
-        xsrfToken = null;
-        xsrfTokenExpiry = 0;
-        throw new Error('XSRF token rejected - please try again');
-      }
-      throw new Error(`VL API error: ${response.status} ${response.statusText}`);
-    }
 
     const json = await response.json();
     // Response is an array of arrays; index 1 = individual trades with accurate flags
@@ -749,6 +1772,10 @@ async function fetchVlTrades(ticker, tradeCount = 10, visibleRange = null, now =
         success: true,
         ticker,
         trades: [],
+        sessionFilter,
+        filters,
+        startDate,
+        endDate,
         message: `No large trades found for ${ticker}`
       };
     }
@@ -784,17 +1811,14 @@ async function fetchVlTrades(ticker, tradeCount = 10, visibleRange = null, now =
       success: true,
       ticker,
       trades,
-      count: trades.length
+      count: trades.length,
+      sessionFilter,
+      filters,
+      startDate,
+      endDate
     };
 
   } catch (err) {
-    clearTimeout(timeoutId);
-    if (err.name === 'AbortError') {
-      const timeoutSeconds = VL_TRADES_TIMEOUT_MS / 1000;
-      console.error(`❌ VL Trades API timed out after ${timeoutSeconds} seconds`);
-      throw new Error(`VolumeLeaders trades request timed out after ${timeoutSeconds} seconds`);
-    }
-
     console.error(`❌ Failed to fetch VL trades for ${ticker}:`, err);
     throw err;
   }
@@ -827,55 +1851,145 @@ function dateKey(dateString) {
   return dateString.replaceAll('-', '');
 }
 
-function buildChart0Url(ticker, startDate, endDate, levels, tradeCount = levels) {
+/**
+ * Read trade filters from storage values. Flag filters follow VL's
+ * convention: -1 = any, 1 = only matching trades, 0 = exclude them.
+ */
+function getTradeFilters(settings = {}) {
+  const flag = value => (value === 0 || value === 1 || value === '0' || value === '1') ? Number(value) : -1;
+  const minDollars = Number(settings.tradeMinDollars);
+  const vcd = Number(settings.tradeVcd);
+
+  return {
+    darkPools: flag(settings.tradeDarkPools),
+    sweeps: flag(settings.tradeSweeps),
+    latePrints: flag(settings.tradeLatePrints),
+    signaturePrints: flag(settings.tradeSignaturePrints),
+    minDollars: Number.isFinite(minDollars) && minDollars > 0 ? minDollars : DEFAULT_TRADE_MIN_DOLLARS,
+    vcd: Number.isFinite(vcd) && vcd > 0 ? vcd : 0
+  };
+}
+
+/**
+ * Convert stored session toggles into VL Include* parameters (1 = include).
+ * Every session and print type is included unless explicitly turned off.
+ */
+function getSessionFilters(settings = {}) {
+  return Object.fromEntries(
+    Object.entries(SESSION_FILTER_PARAMS).map(([key, param]) => [param, settings[key] === false ? 0 : 1])
+  );
+}
+
+/**
+ * Describe narrowed session filters for status lines (e.g., "RTH only, no
+ * phantom"). Returns an empty string when everything is included.
+ */
+function describeSessionFilters(sessionFilters) {
+  const parts = [];
+  const sessions = [
+    ['Pre', sessionFilters.IncludePremarket],
+    ['RTH', sessionFilters.IncludeRTH],
+    ['AH', sessionFilters.IncludeAH]
+  ].filter(([, included]) => included).map(([name]) => name);
+
+  if (sessions.length === 0) {
+    parts.push('no sessions');
+  } else if (sessions.length === 1) {
+    parts.push(`${sessions[0]} only`);
+  } else if (sessions.length === 2) {
+    parts.push(sessions.join('+'));
+  }
+
+  if (!sessionFilters.IncludeOpening) parts.push('no open');
+  if (!sessionFilters.IncludeClosing) parts.push('no close');
+  if (!sessionFilters.IncludePhantom) parts.push('no phantom');
+  if (!sessionFilters.IncludeOffsetting) parts.push('no offsetting');
+
+  return parts.join(', ');
+}
+
+function buildChart0Url(
+  ticker,
+  startDate,
+  endDate,
+  levels,
+  tradeCount = levels,
+  filters = getTradeFilters(),
+  sessionFilters = getSessionFilters()
+) {
   const query = new URLSearchParams({
     'StartDate': startDate,
     'EndDate': endDate,
     'Ticker': ticker,
     'MinVolume': '0',
     'MaxVolume': '2000000000',
-    'MinDollars': '500000',
+    'MinDollars': String(filters.minDollars),
     'MaxDollars': '30000000000',
     'MinPrice': '0',
     'MaxPrice': '100000',
-    'DarkPools': '-1',
-    'Sweeps': '-1',
-    'LatePrints': '-1',
-    'SignaturePrints': '-1',
+    'DarkPools': String(filters.darkPools),
+    'Sweeps': String(filters.sweeps),
+    'LatePrints': String(filters.latePrints),
+    'SignaturePrints': String(filters.signaturePrints),
     'VolumeProfile': '0',
     'Levels': String(levels),
     'TradeCount': String(tradeCount),
-    'VCD': '0',
+    'VCD': String(filters.vcd),
     'TradeRank': '-1',
     'TradeRankSnapshot': '-1',
-    'IncludePremarket': '1',
-    'IncludeRTH': '1',
-    'IncludeAH': '1',
-    'IncludeOpening': '1',
-    'IncludeClosing': '1',
-    'IncludePhantom': '1',
-    'IncludeOffsetting': '1'
+    ...Object.fromEntries(Object.entries(sessionFilters).map(([param, value]) => [param, String(value)]))
   });
 
   return `https://www.volumeleaders.com/Chart0?${query.toString()}`;
 }
 
-async function fetchAndDrawTrades(symbol, tabId = null, tradeCount = 5, drawOptions = {}) {
-  let visibleRange = null;
+/**
+ * Message fields addressing one chart of a multi-chart layout (none for the active chart)
+ */
+function chartTarget(chartIndex) {
+  return Number.isInteger(chartIndex) ? { chartIndex } : {};
+}
 
-  if (tabId) {
-    try {
-      const rangeResponse = await browser.tabs.sendMessage(tabId, { type: 'GET_VISIBLE_RANGE' });
-      visibleRange = rangeResponse?.range;
-      if (visibleRange) {
-        console.log(`📅 BACKGROUND: Chart visible range: ${new Date(visibleRange.from * 1000).toISOString().split('T')[0]} to ${new Date(visibleRange.to * 1000).toISOString().split('T')[0]}`);
-      }
-    } catch (err) {
-      console.warn('⚠️ Could not get visible range, using default date range');
+/**
+ * Ask the content script for the chart's visible time range
+ * Returns {from, to} in Unix seconds, or null if unavailable
+ */
+async function getChartVisibleRange(tabId, chartIndex = null) {
+  try {
+    const rangeResponse = await browser.tabs.sendMessage(tabId, { type: 'GET_VISIBLE_RANGE', ...chartTarget(chartIndex) });
+    const visibleRange = rangeResponse?.range || null;
+    if (visibleRange) {
+      console.log(`📅 BACKGROUND: Chart visible range: ${new Date(visibleRange.from * 1000).toISOString().split('T')[0]} to ${new Date(visibleRange.to * 1000).toISOString().split('T')[0]}`);
     }
+    return visibleRange;
+  } catch (err) {
+    console.warn('⚠️ Could not get visible range, using default date range');
+    return null;
   }
+}
+
+async function fetchAndDrawTrades(symbol, tabId = null, tradeCount = 5, drawOptions = {}, chartIndex = null) {
+  const { tradeCount: overrideCount, ...overrides } = await getSymbolOverrides(symbol);
+  tradeCount = overrideCount ?? tradeCount;
+  for (const key of ['tradeLitColor', 'tradeDarkPoolColor']) {
+    if (overrides[key]) drawOptions = { ...drawOptions, [key]: overrides[key] };
+  }
+
+  const visibleRange = tabId ? await getChartVisibleRange(tabId, chartIndex) : null;
 
   const fetchResult = await fetchVlTrades(symbol, tradeCount, visibleRange);
+  rememberFetchResult('trades', symbol, fetchResult, { tradeCount, ...fetchResult.filters });
+
+  // Live mode follows the active chart only
+  if (fetchResult.success && tabId && !Number.isInteger(chartIndex)) {
+    // Baseline for live mode: later range changes only fetch outside this span
+    liveTradeState.set(tabId, {
+      symbol,
+      startDate: fetchResult.startDate,
+      endDate: fetchResult.endDate,
+      tradeKeys: new Set(fetchResult.trades.map(getTradeKey))
+    });
+  }
 
   if (!fetchResult.success || fetchResult.trades.length === 0) {
     return fetchResult;
@@ -885,11 +1999,7 @@ async function fetchAndDrawTrades(symbol, tabId = null, tradeCount = 5, drawOpti
     try {
       console.log(`📝 BACKGROUND: Drawing ${fetchResult.trades.length} trade notes on tab ${tabId}`);
 
-      const drawResponse = await browser.tabs.sendMessage(tabId, {
-        type: 'DRAW_NOTES',
-        trades: fetchResult.trades,
-        options: drawOptions || {}
-      });
+      const drawResponse = await drawTradeNotes(symbol, tabId, fetchResult.trades, drawOptions, false, chartIndex);
 
       console.log(`📝 BACKGROUND: Note draw complete:`, drawResponse);
 
@@ -910,52 +2020,478 @@ async function fetchAndDrawTrades(symbol, tabId = null, tradeCount = 5, drawOpti
 }
 
 /**
- * Format level label for TradingView line (e.g., "VL #1 $1.6B")
- * When showDates is true, includes start date (e.g., "VL #1 $1.6B 2025-09-24")
+ * Render trade labels and send DRAW_NOTES to the tab
+ * With merge, existing trade rays are kept instead of cleared first
+ */
+async function drawTradeNotes(symbol, tabId, trades, drawOptions = {}, merge = false, chartIndex = null) {
+  const templateKey = labelTemplates.LABEL_TEMPLATE_STORAGE_KEYS.trade;
+  const settings = await browser.storage.local.get(templateKey);
+  const labeledTrades = trades.map(trade => ({
+    ...trade,
+    label: labelTemplates.formatTradeLabel(trade, drawOptions?.showOriginalTradeRank, settings[templateKey])
+  }));
+
+  const drawResponse = await browser.tabs.sendMessage(tabId, {
+    type: 'DRAW_NOTES',
+    symbol,
+    ...chartTarget(chartIndex),
+    trades: labeledTrades,
+    options: drawOptions || {},
+    merge
+  });
+  rememberDrawnItems('trades', symbol, labeledTrades, drawOptions || {}, merge);
+
+  return drawResponse;
+}
+
+/**
+ * Identify a trade across overlapping fetches
+ */
+function getTradeKey(trade) {
+  return `${trade.timestamp}|${trade.price}|${trade.dollars}`;
+}
+
+/**
+ * Shift a YYYY-MM-DD date string by a number of days
  */
-function formatLevelLabel(level, showDates = false) {
-  const parts = ['VL'];
+function shiftDateString(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
 
-  if (level.rank) {
-    parts.push(`#${level.rank}`);
+/**
+ * Whether two date spans overlap or are adjacent
+ */
+function dateSpansTouch(a, b) {
+  return b.endDate >= shiftDateString(a.startDate, -1) && b.startDate <= shiftDateString(a.endDate, 1);
+}
+
+/**
+ * Date spans in requested that are not already covered.
+ * Returns the whole requested span when the two don't touch.
+ */
+function getUncoveredTradeSpans(covered, requested) {
+  if (!covered || !dateSpansTouch(covered, requested)) {
+    return [{ startDate: requested.startDate, endDate: requested.endDate }];
   }
 
-  if (level.dollars) {
-    parts.push(formatDollars(level.dollars));
+  const spans = [];
+  if (requested.startDate < covered.startDate) {
+    spans.push({ startDate: requested.startDate, endDate: shiftDateString(covered.startDate, -1) });
+  }
+  if (requested.endDate > covered.endDate) {
+    spans.push({ startDate: shiftDateString(covered.endDate, 1), endDate: requested.endDate });
+  }
+  return spans;
+}
+
+/**
+ * Live trades mode: after the chart's visible range changes, fetch trades for
+ * the newly exposed dates only and merge them into the rays already drawn.
+ * Needs a previous fetchAndDrawTrades for the same symbol on the tab.
+ */
+async function handleVisibleRangeChange(symbol, range, tabId, now = new Date()) {
+  const state = liveTradeState.get(tabId);
+  if (!state || !range || (symbol && state.symbol !== symbol)) {
+    return { success: true, skipped: true };
+  }
+  if (state.tradeKeys.size >= LIVE_TRADES_MAX) {
+    console.log(`📡 BACKGROUND: ${LIVE_TRADES_MAX} live trades drawn for ${state.symbol}, redraw trades to start over`);
+    return { success: true, skipped: true, capped: true };
+  }
+
+  const settings = await getSymbolSettings(state.symbol, ['liveTradesEnabled', 'tradeCount', ...TRADE_DRAW_OPTION_KEYS]);
+  if (!settings.liveTradesEnabled) {
+    return { success: true, skipped: true };
+  }
+
+  if (state.busy) {
+    // Handle the latest range once the current fetch finishes
+    state.pendingRange = range;
+    return { success: true, queued: true };
+  }
+
+  const requested = getTradeDateRange(range, 5, now);
+  const spans = getUncoveredTradeSpans(state, requested);
+  const disjoint = !dateSpansTouch(state, requested);
+  if (spans.length === 0) {
+    return { success: true, fetched: 0, drawn: 0 };
+  }
+
+  state.busy = true;
+  const newTrades = [];
+  try {
+    for (const span of spans) {
+      console.log(`📡 BACKGROUND: Live trades for ${state.symbol}: ${span.startDate} to ${span.endDate}`);
+      const spanRange = {
+        from: Date.parse(`${span.startDate}T00:00:00Z`) / 1000,
+        to: Date.parse(`${span.endDate}T00:00:00Z`) / 1000
+      };
+      const result = await fetchVlTrades(state.symbol, settings.tradeCount ?? 5, spanRange, now);
+      for (const trade of result.trades) {
+        const key = getTradeKey(trade);
+        if (state.tradeKeys.size >= LIVE_TRADES_MAX) break;
+        if (!state.tradeKeys.has(key)) {
+          state.tradeKeys.add(key);
+          newTrades.push(trade);
+        }
+      }
+    }
+
+    // Extend coverage; a disjoint jump replaces it so it stays one contiguous span
+    if (disjoint) {
+      state.startDate = requested.startDate;
+      state.endDate = requested.endDate;
+    } else {
+      state.startDate = requested.startDate < state.startDate ? requested.startDate : state.startDate;
+      state.endDate = requested.endDate > state.endDate ? requested.endDate : state.endDate;
+    }
+
+    const drawResult = newTrades.length > 0
+      ? await drawTradeNotes(state.symbol, tabId, newTrades, getStoredTradeDrawOptions(settings), true)
+      : null;
+
+    return { success: true, fetched: newTrades.length, drawResult };
+  } finally {
+    state.busy = false;
+    if (state.pendingRange) {
+      const pendingRange = state.pendingRange;
+      state.pendingRange = null;
+      handleVisibleRangeChange(state.symbol, pendingRange, tabId)
+        .catch(err => console.warn('⚠️ BACKGROUND: Live trade update failed:', err));
+    }
   }
+}
 
-  let label = parts.join(' ');
+/**
+ * Read level gradient settings
+ * mode: 'off', 'rank' (#1 strongest) or 'dollars' (most dollar volume strongest)
+ * color/width/opacity: which styles scale with strength
+ */
+function getLevelGradientOptions(settings = {}) {
+  const hexColor = (value, fallback) => (/^#[0-9A-F]{6}$/i.test(value || '') ? value.toUpperCase() : fallback);
+  return {
+    mode: LEVEL_GRADIENT_MODES.includes(settings.levelGradientMode) ? settings.levelGradientMode : 'off',
+    color: settings.levelGradientColor !== false, // Default true
+    width: settings.levelGradientWidth || false, // Default false
+    opacity: settings.levelGradientOpacity || false, // Default false
+    strongColor: hexColor(settings.levelGradientStrongColor, LEVEL_GRADIENT_STRONG_COLOR),
+    weakColor: hexColor(settings.levelGradientWeakColor, LEVEL_GRADIENT_WEAK_COLOR)
+  };
+}
 
-  // Add start date if enabled and available
-  if (showDates && level.dates) {
-    // Extract just the start date from "YYYY-MM-DD - YYYY-MM-DD"
-    const startDate = level.dates.split(' - ')[0];
-    label += ` ${startDate}`;
+/**
+ * Strength of a level or zone: its rank (zones: best member rank) or dollars
+ * (zones: total dollars). Null when the item has no such value.
+ */
+function getLevelStrength(item, mode) {
+  const members = item.type === 'zone' ? item.levels || [] : [item];
+
+  if (mode === 'rank') {
+    const ranks = members.map(level => level.rank).filter(rank => Number.isFinite(rank) && rank > 0);
+    return ranks.length > 0 ? Math.min(...ranks) : null;
   }
 
-  return label;
+  const dollars = item.aggregated?.totalDollars ??
+    members.reduce((sum, level) => sum + (Number(level.dollars) || 0), 0);
+  return dollars > 0 ? dollars : null;
 }
 
 /**
- * Format large dollar amounts (e.g., 1.6B, 250M)
+ * Blend two #RRGGBB colors (t = 0 -> from, t = 1 -> to)
  */
-function formatDollars(amount) {
-  if (amount >= 1e9) return `$${(amount / 1e9).toFixed(1)}B`;
-  if (amount >= 1e6) return `$${(amount / 1e6).toFixed(0)}M`;
-  if (amount >= 1e3) return `$${(amount / 1e3).toFixed(0)}K`;
-  return `$${amount.toFixed(0)}`;
+function interpolateColor(from, to, t) {
+  const channel = (hex, i) => parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16);
+  return '#' + [0, 1, 2]
+    .map(i => Math.round(channel(from, i) + (channel(to, i) - channel(from, i)) * t).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
 }
 
 /**
- * Cluster nearby price levels into zones based on percentage threshold
+ * Give each level/zone its own color, width and/or opacity scaled from the
+ * weakest to the strongest drawn item. Manual levels and items without a
+ * rank/dollar value keep the shared style; zones keep their thick width.
+ * @param {Object[]} items - Labelled drawables
+ * @param {Object} gradient - From getLevelGradientOptions
+ * @param {Object} options - Shared draw options (opacity is the strongest item's opacity)
+ * @returns {{ items: Object[], legend: Object|null }} legend: { mode, strongest, weakest } values
+ */
+function applyLevelGradient(items, gradient, options = {}) {
+  if (gradient.mode === 'off' || !(gradient.color || gradient.width || gradient.opacity)) {
+    return { items, legend: null };
+  }
+
+  const values = items.map(item => (item.manual ? null : getLevelStrength(item, gradient.mode)));
+  const known = values.filter(value => value !== null);
+  if (known.length === 0) {
+    return { items, legend: null };
+  }
+
+  const min = Math.min(...known);
+  const max = Math.max(...known);
+  const maxOpacity = options.opacity ?? 100;
+  const minOpacity = Math.min(LEVEL_GRADIENT_MIN_OPACITY, maxOpacity);
+
+  const styled = items.map((item, index) => {
+    const value = values[index];
+    if (value === null) return item;
+
+    // 1 = strongest (lowest rank / most dollars), 0 = weakest
+    const strength = max === min ? 1 : (gradient.mode === 'rank' ? max - value : value - min) / (max - min);
+    const style = {};
+    if (gradient.color && !item.keepColor) {
+      style.color = interpolateColor(gradient.weakColor, gradient.strongColor, strength);
+    }
+    if (gradient.width && item.type !== 'zone') {
+      style.width = Math.round(LEVEL_GRADIENT_MIN_WIDTH + (LEVEL_GRADIENT_MAX_WIDTH - LEVEL_GRADIENT_MIN_WIDTH) * strength);
+    }
+    if (gradient.opacity) {
+      style.opacity = Math.round(minOpacity + (maxOpacity - minOpacity) * strength);
+    }
+    return { ...item, ...style };
+  });
+
+  return {
+    items: styled,
+    legend: {
+      mode: gradient.mode,
+      strongest: gradient.mode === 'rank' ? min : max,
+      weakest: gradient.mode === 'rank' ? max : min
+    }
+  };
+}
+
+/**
+ * First and last trade dates (Unix seconds, market midnight) from the VL
+ * "YYYY-MM-DD - YYYY-MM-DD" dates string; zones span all their members.
+ * Null when the item has no usable dates (manual levels, imports).
+ */
+function getLevelDateSpan(item) {
+  const members = item.type === 'zone' ? item.levels || [] : [item];
+  const starts = [];
+  const ends = [];
+
+  for (const level of members) {
+    if (level.manual || !level.dates) continue;
+    const [first, last = first] = String(level.dates).split(' - ')
+      .map(date => parseVlFullDateTime(`${date.trim()}T00:00:00`));
+    if (Number.isFinite(first)) starts.push(first);
+    if (Number.isFinite(last)) ends.push(last);
+  }
+
+  return starts.length > 0 && ends.length > 0
+    ? { start: Math.min(...starts), end: Math.max(...ends) }
+    : null;
+}
+
+/**
+ * Most recent activity of a level (Unix seconds): the end date from its
+ * dates string, else its timestamp. Zones use their newest member.
+ */
+function getLevelLastActive(item) {
+  const span = getLevelDateSpan(item);
+  if (span) return span.end;
+
+  const members = item.type === 'zone' ? item.levels || [] : [item];
+  const timestamps = members.map(level => level.timestamp).filter(timestamp => Number.isFinite(timestamp) && timestamp > 0);
+  return timestamps.length > 0 ? Math.max(...timestamps) : null;
+}
+
+/**
+ * Read recency fading settings (ages in days; oldDays is kept past freshDays)
+ */
+function getLevelRecencyOptions(settings = {}) {
+  const days = (value, fallback) => (Number.isFinite(Number(value)) && Number(value) >= 0 ? Number(value) : fallback);
+  const freshDays = days(settings.levelRecencyFreshDays, LEVEL_RECENCY_DEFAULT_FRESH_DAYS);
+  return {
+    enabled: settings.levelRecencyEnabled || false, // Default false
+    opacity: settings.levelRecencyOpacity !== false, // Default true
+    width: settings.levelRecencyWidth || false, // Default false
+    freshDays,
+    oldDays: Math.max(days(settings.levelRecencyOldDays, LEVEL_RECENCY_DEFAULT_OLD_DAYS), freshDays + 1)
+  };
+}
+
+/**
+ * Fade levels by age: opacity and/or width scale down linearly from freshDays
+ * to oldDays (on top of any gradient style). Opacity is applied in injected.js
+ * with applyOpacity; zones fade their fill too but keep their thick line.
+ */
+function applyLevelRecency(items, recency, options = {}, now = new Date()) {
+  if (!recency.enabled || !(recency.opacity || recency.width)) return items;
+
+  const nowSeconds = now.getTime() / 1000;
+  return items.map(item => {
+    const lastActive = getLevelLastActive(item);
+    if (lastActive === null) return item;
+
+    // 0 = fresh, 1 = fully faded
+    const ageDays = (nowSeconds - lastActive) / (24 * 60 * 60);
+    const fade = Math.max(0, Math.min(1, (ageDays - recency.freshDays) / (recency.oldDays - recency.freshDays)));
+    if (fade === 0) return item;
+
+    const style = {};
+    if (recency.opacity) {
+      const opacity = item.opacity ?? options.opacity ?? 100;
+      style.opacity = Math.round(opacity - (opacity - Math.min(LEVEL_RECENCY_MIN_OPACITY, opacity)) * fade);
+      if (item.type === 'zone') {
+        style.fillOpacity = Math.round((options.zoneFillOpacity ?? 20) * (opacity > 0 ? style.opacity / opacity : 1));
+      }
+    }
+    if (recency.width && item.type !== 'zone') {
+      const width = item.width || options.width || 2;
+      style.width = Math.round(width - (width - Math.min(LEVEL_RECENCY_MIN_WIDTH, width)) * fade);
+    }
+    return { ...item, ...style };
+  });
+}
+
+/**
+ * Segment mode: bound each level/zone from its first to its last trade date,
+ * or to the present with extendToNow. Items without dates keep their ray.
+ */
+function applyLevelSegments(items, extendToNow = false, now = new Date()) {
+  return items.map(item => {
+    const span = getLevelDateSpan(item);
+    if (!span) return item;
+
+    const end = extendToNow ? Math.floor(now.getTime() / 1000) : span.end;
+    return {
+      ...item,
+      timestamp: span.start,
+      endTimestamp: Math.max(end, span.start + LEVEL_SEGMENT_MIN_SECONDS)
+    };
+  });
+}
+
+/**
+ * Read support/resistance color settings; null when the coloring is off
+ * @returns {{ support: string, resistance: string, inPlay: string }|null}
+ */
+function getPriceColorOptions(settings) {
+  if (!settings.priceColoringEnabled) return null;
+  return {
+    support: settings.supportColor || PRICE_COLOR_DEFAULTS.support,
+    resistance: settings.resistanceColor || PRICE_COLOR_DEFAULTS.resistance,
+    inPlay: settings.inPlayColor || PRICE_COLOR_DEFAULTS.inPlay
+  };
+}
+
+/**
+ * Copy the support/resistance color each level was drawn with (from the
+ * DRAW_LEVELS results, matched by key) so the Pine export matches the chart
+ */
+function applyDrawnPriceSides(items, results, priceColors) {
+  if (!priceColors || !Array.isArray(results)) return items;
+  const sides = new Map(results.filter(result => result?.key).map(result => [result.key, result.side]));
+  return items.map(item => {
+    const side = sides.get(item.key);
+    return side && priceColors[side] ? { ...item, color: priceColors[side], side } : item;
+  });
+}
+
+/**
+ * Closest level/zone above and below a price; zones containing the price are "in play"
+ * Each entry has the level's price range, $ and % distance, best rank and dollars.
+ * Manual levels are skipped.
+ * @returns {{ above: Object|null, below: Object|null, inPlay: Object|null }}
+ */
+function findNearestLevels(items, price) {
+  const nearest = { above: null, below: null, inPlay: null };
+
+  for (const item of items) {
+    if (item.manual) continue;
+
+    const lowPrice = item.type === 'zone' ? item.lowPrice : item.price;
+    const highPrice = item.type === 'zone' ? item.highPrice : item.price;
+    if (!Number.isFinite(lowPrice) || !Number.isFinite(highPrice)) continue;
+
+    let side = 'inPlay';
+    let distance = 0;
+    if (lowPrice > price) {
+      side = 'above';
+      distance = lowPrice - price;
+    } else if (highPrice < price) {
+      side = 'below';
+      distance = price - highPrice;
+    }
+
+    if (nearest[side] && nearest[side].distance <= distance) continue;
+    nearest[side] = {
+      type: item.type === 'zone' ? 'zone' : 'level',
+      price: item.type === 'zone' ? item.anchorPrice ?? item.midPrice : item.price,
+      lowPrice,
+      highPrice,
+      distance,
+      distancePct: price > 0 ? (distance / price) * 100 : 0,
+      rank: getLevelStrength(item, 'rank'),
+      dollars: getLevelStrength(item, 'dollars'),
+      levelCount: item.type === 'zone' ? item.levels?.length || 0 : 1
+    };
+  }
+
+  return nearest;
+}
+
+/**
+ * Keep levels whose CumulativeDistribution is at least minPct.
+ * Levels without a PCT value are dropped while the filter is active.
+ */
+function filterLevelsByPct(levels, minPct) {
+  const floor = Number(minPct);
+  if (!Number.isFinite(floor) || floor <= 0) return levels;
+  return levels.filter(level => Number.isFinite(level.cumulativeDistribution) && level.cumulativeDistribution >= floor);
+}
+
+/**
+ * Read clustering strategy settings
+ * method: 'percent' (of cluster high), 'dollars' (fixed distance) or 'atr' (ATR x multiple)
+ * anchor: 'mid' (midpoint of the zone) or 'weighted' (dollar-weighted average price)
+ */
+function getClusterOptions(settings = {}) {
+  return {
+    method: CLUSTER_METHODS.includes(settings.clusterMethod) ? settings.clusterMethod : 'percent',
+    dollarThreshold: Number(settings.clusterDollarThreshold) || 0,
+    atr: Number(settings.clusterAtr) || 0,
+    atrMultiple: Number(settings.clusterAtrMultiple) || 0.5,
+    anchor: settings.clusterAnchor === 'weighted' ? 'weighted' : 'mid'
+  };
+}
+
+/**
+ * Describe the clustering distance for logs (e.g., "1%", "$0.50", "0.5 × ATR 2.40")
+ */
+function describeClusterThreshold(thresholdPercent, options = {}) {
+  if (options.method === 'dollars') return `$${options.dollarThreshold.toFixed(2)}`;
+  if (options.method === 'atr') return `${options.atrMultiple} × ATR ${options.atr.toFixed(2)}`;
+  return `${thresholdPercent}%`;
+}
+
+/**
+ * Fixed price distance for the dollar and ATR methods (null for percent)
+ */
+function getFixedClusterDistance(options = {}) {
+  if (options.method === 'dollars') return Number(options.dollarThreshold);
+  if (options.method === 'atr') return Number(options.atr) * Number(options.atrMultiple ?? 1);
+  return null;
+}
+
+/**
+ * Cluster nearby price levels into zones
  *
  * @param {Array} levels - Array of level objects with price property
- * @param {number} thresholdPercent - Clustering threshold (e.g., 1.0 for 1%)
+ * @param {number} thresholdPercent - Clustering threshold (e.g., 1.0 for 1%), used by the percent method
+ * @param {Object} options - Strategy from getClusterOptions (defaults to percent + midpoint)
  * @returns {Array} Array of level and zone objects
  */
-function clusterLevels(levels, thresholdPercent) {
+function clusterLevels(levels, thresholdPercent, options = {}) {
   if (!levels || levels.length === 0) return [];
-  if (thresholdPercent <= 0) {
+
+  const fixedDistance = getFixedClusterDistance(options);
+  const disabled = fixedDistance === null ? thresholdPercent <= 0 : !(fixedDistance > 0);
+  if (disabled) {
     // No clustering - mark all as single levels
     return levels.map(l => ({ type: 'level', ...l }));
   }
@@ -970,29 +2506,31 @@ function clusterLevels(levels, thresholdPercent) {
     const level = sorted[i];
     const clusterHigh = Math.max(...currentCluster.map(l => l.price));
 
-    // Calculate threshold relative to cluster's high price
-    const threshold = clusterHigh * (thresholdPercent / 100);
+    // Percent threshold is relative to cluster's high price; other methods use a fixed distance
+    const threshold = fixedDistance ?? clusterHigh * (thresholdPercent / 100);
 
     if ((level.price - clusterHigh) <= threshold) {
       // Level is close enough - add to current cluster
       currentCluster.push(level);
     } else {
       // Level is too far - finalize current cluster, start new one
-      clusters.push(finalizeCluster(currentCluster));
+      clusters.push(finalizeCluster(currentCluster, options.anchor));
       currentCluster = [level];
     }
   }
 
   // Don't forget the last cluster
-  clusters.push(finalizeCluster(currentCluster));
+  clusters.push(finalizeCluster(currentCluster, options.anchor));
 
   return clusters;
 }
 
 /**
  * Finalize a cluster into either a single level or a zone
+ * anchorPrice is where line-mode zones are drawn: the midpoint, or the
+ * dollar-weighted average of member prices when anchor is 'weighted'
  */
-function finalizeCluster(levels) {
+function finalizeCluster(levels, anchor = 'mid') {
   if (levels.length === 1) {
     return { type: 'level', ...levels[0] };
   }
@@ -1001,70 +2539,35 @@ function finalizeCluster(levels) {
   const ranks = levels.map(l => l.rank).filter(Boolean).sort((a, b) => a - b);
   const totalDollars = levels.reduce((sum, l) => sum + (l.dollars || 0), 0);
   const timestamps = levels.map(l => l.timestamp).filter(timestamp => Number.isFinite(timestamp) && timestamp > 0);
+  const relativeSizes = levels.map(l => l.relativeSize).filter(Number.isFinite);
+  const distributions = levels.map(l => l.cumulativeDistribution).filter(Number.isFinite);
   const highPrice = Math.max(...prices);
   const lowPrice = Math.min(...prices);
+  const midPrice = (highPrice + lowPrice) / 2;
+  const weightedPrice = totalDollars > 0
+    ? levels.reduce((sum, l) => sum + l.price * (l.dollars || 0), 0) / totalDollars
+    : midPrice;
 
   return {
     type: 'zone',
     highPrice,
     lowPrice,
-    midPrice: (highPrice + lowPrice) / 2,
+    midPrice,
+    weightedPrice,
+    anchorPrice: anchor === 'weighted' ? weightedPrice : midPrice,
     timestamp: timestamps.length > 0 ? Math.min(...timestamps) : null,
     levels,
     aggregated: {
       rankRange: ranks.length > 0 ? [ranks[0], ranks[ranks.length - 1]] : [null, null],
       totalDollars,
       levelCount: levels.length,
-      avgDollars: totalDollars / levels.length
+      avgDollars: totalDollars / levels.length,
+      maxRelativeSize: relativeSizes.length > 0 ? Math.max(...relativeSizes) : null,
+      maxCumulativeDistribution: distributions.length > 0 ? Math.max(...distributions) : null
     }
   };
 }
 
-/**
- * Format zone label for TradingView line
- * e.g., "VL #7, 9, 10 $2.9B"
- * When showDates is true, includes aggregated date range from all levels
- */
-function formatZoneLabel(zone, showDates = false) {
-  const { aggregated, levels } = zone;
-  const parts = ['VL'];
-
-  // List actual ranks from levels (comma-delimited)
-  if (levels && levels.length > 0) {
-    const ranks = levels.map(l => l.rank).filter(Boolean).sort((a, b) => a - b);
-    if (ranks.length > 0) {
-      parts.push(`#${ranks.join(',')}`);
-    }
-  }
-
-  // Total dollar volume
-  if (aggregated.totalDollars > 0) {
-    parts.push(formatDollars(aggregated.totalDollars));
-  }
-
-  let label = parts.join(' ');
-
-  // Add earliest start date if enabled
-  if (showDates && levels && levels.length > 0) {
-    // Find the earliest start date across all levels in the zone
-    const startDates = [];
-    for (const level of levels) {
-      if (level.dates) {
-        const startDate = level.dates.split(' - ')[0];
-        if (startDate) {
-          startDates.push(startDate);
-        }
-      }
-    }
-    if (startDates.length > 0) {
-      startDates.sort();
-      label += ` ${startDates[0]}`;
-    }
-  }
-
-  return label;
-}
-
 /**
  * Summarize object structure for debugging
  */
@@ -15,8 +15,12 @@ if (window !== window.top) {
   window.vlTvBridgeLoaded = true;
   console.log('🌉 VL-TV Bridge: Content script loaded on TradingView');
 
-  // Track drawn shapes for cleanup
-  let drawnShapeIds = [];
+  // Track drawn shapes for cleanup and the popup's level list, per chart symbol
+  // (symbol -> { shape key -> { key, shapeId, chartIndex, hidden } })
+  let drawnShapeIds = {};
+
+  // Manual levels (see getLevelKey in background.js) are only removed from the Manual tab
+  const MANUAL_SHAPE_KEY_PREFIX = 'manual:';
 
   /**
    * Inject the script that will have access to TradingViewApi
@@ -46,19 +50,25 @@ if (window !== window.top) {
 
     switch (message.type) {
       case 'DRAW_LEVELS':
-        drawLevels(message.levels, message.options)
+        drawLevels(message.levels, message.options, message.symbol, message.chartIndex ?? null)
           .then(result => sendResponse(result))
           .catch(err => sendResponse({ success: false, error: err.message }));
         return true; // Async response
 
+      case 'CLEAR_LINES':
+        sendToInjected('CLEAR_VL_LINES', { chartIndex: message.chartIndex ?? null, prefixes: message.prefixes })
+          .then(result => sendResponse({ success: true, ...result }))
+          .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+
       case 'CLEAR_DRAWN':
-        clearDrawnLevels()
+        clearDrawnLevels(message.symbol, message.chartIndex ?? null)
           .then(result => sendResponse(result))
           .catch(err => sendResponse({ success: false, error: err.message }));
         return true;
 
       case 'DRAW_NOTES':
-        drawNotes(message.trades, message.options)
+        drawNotes(message.trades, message.options, message.symbol, message.merge, message.chartIndex ?? null)
           .then(result => sendResponse(result))
           .catch(err => sendResponse({ success: false, error: err.message }));
         return true;
@@ -75,11 +85,58 @@ if (window !== window.top) {
           .catch(() => sendResponse({ symbol: null }));
         return true;
 
+      case 'GET_CHARTS':
+        sendToInjected('GET_CHARTS')
+          .then(result => sendResponse(result))
+          .catch(() => sendResponse({ charts: [] }));
+        return true;
+
       case 'GET_VISIBLE_RANGE':
-        sendToInjected('GET_VISIBLE_RANGE')
+        sendToInjected('GET_VISIBLE_RANGE', { chartIndex: message.chartIndex ?? null })
           .then(range => sendResponse({ range }))
           .catch(() => sendResponse({ range: null }));
         return true;
+
+      case 'GET_LAST_PRICE':
+        sendToInjected('GET_LAST_PRICE', { chartIndex: message.chartIndex ?? null })
+          .then(price => sendResponse({ price }))
+          .catch(() => sendResponse({ price: null }));
+        return true;
+
+      case 'SET_LEVELS_VISIBLE':
+        setLevelsVisible(message.symbol, message.keys, message.visible)
+          .then(result => sendResponse(result))
+          .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+
+      case 'GET_DRAWN_LEVELS':
+        getDrawnLevels(message.symbol)
+          .then(levels => sendResponse({ success: true, levels }))
+          .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+  });
+
+  /**
+   * Forward chart symbol and visible range changes from the injected script to the background
+   */
+  window.addEventListener('message', (event) => {
+    if (event.source !== window) return;
+    if (!event.data || event.data.source !== 'vl-tv-injected') return;
+
+    if (event.data.type === 'SYMBOL_CHANGED') {
+      browser.runtime.sendMessage({
+        type: 'TV_SYMBOL_CHANGED',
+        symbol: event.data.symbol,
+        previousSymbol: event.data.previousSymbol,
+        chartIndex: event.data.chartIndex ?? null
+      }).catch(err => console.warn('Could not report symbol change:', err));
+    } else if (event.data.type === 'VISIBLE_RANGE_CHANGED') {
+      browser.runtime.sendMessage({
+        type: 'TV_VISIBLE_RANGE_CHANGED',
+        symbol: event.data.symbol,
+        range: event.data.range
+      }).catch(err => console.warn('Could not report visible range change:', err));
     }
   });
 
@@ -147,17 +204,17 @@ if (window !== window.top) {
 
   /**
    * Draw trade levels on the chart
-   * First clears any existing VL-prefixed shapes, then draws new ones
+   * First clears any existing VL-prefixed shapes (or options.clearPrefixes), then draws new ones
    * Handles both single levels (type: 'level') and zones (type: 'zone')
    */
-  async function drawLevels(levels, options = {}) {
+  async function drawLevels(levels, options = {}, symbol = null, chartIndex = null) {
     const levelCount = levels.filter(l => l.type !== 'zone').length;
     const zoneCount = levels.filter(l => l.type === 'zone').length;
     console.log(`🎯 CONTENT: drawLevels called with ${levelCount} levels and ${zoneCount} zones`);
 
     // Clear existing VL lines first (keeps circles intact)
     try {
-      const clearResult = await sendToInjected('CLEAR_VL_LINES');
+      const clearResult = await sendToInjected('CLEAR_VL_LINES', { chartIndex, prefixes: options.clearPrefixes });
       console.log(`🧹 Cleared ${clearResult.removed} existing VL lines`);
     } catch (err) {
       console.warn('Could not clear existing VL lines:', err);
@@ -166,32 +223,43 @@ if (window !== window.top) {
     const results = [];
 
     for (const item of levels) {
+      // Manual levels (and zones holding a colored manual level) keep their own color
+      const priceColors = item.manual || item.keepColor ? null : options.priceColors || null;
+
       try {
         let result;
 
         if (item.type === 'zone') {
-          // Draw zone as thick line at midpoint
+          // Draw zone as thick line at midpoint or shaded rectangle
           result = await sendToInjected('DRAW_ZONE', {
             highPrice: item.highPrice,
             lowPrice: item.lowPrice,
-            midPrice: item.midPrice,
+            midPrice: item.anchorPrice ?? item.midPrice,
             timestamp: item.timestamp,
+            endTimestamp: item.endTimestamp,
             label: item.label,
+            chartIndex,
             options: {
-              linecolor: options.color || '#02A9DE',
+              linecolor: item.color || options.color || '#02A9DE',
               linewidth: 4, // Thick line for zones
-              lineopacity: options.opacity ?? 100,
-              linestyle: options.style || 0
+              lineopacity: item.opacity ?? options.opacity ?? 100,
+              linestyle: options.style || 0,
+              zoneStyle: options.zoneStyle || 'line',
+              fillopacity: item.fillOpacity ?? options.zoneFillOpacity ?? 20,
+              priceColors
             }
           });
 
           if (result.shapeId) {
-            drawnShapeIds.push(result.shapeId);
+            trackShape(symbol, item.key, result.shapeId, chartIndex);
             results.push({
               type: 'zone',
+              key: item.key || null,
               midPrice: item.midPrice,
               highPrice: item.highPrice,
               lowPrice: item.lowPrice,
+              shape: result.shape || 'line',
+              side: result.side || null,
               shapeId: result.shapeId,
               success: true
             });
@@ -201,18 +269,28 @@ if (window !== window.top) {
           result = await sendToInjected('DRAW_LINE', {
             price: item.price,
             timestamp: item.timestamp,
+            endTimestamp: item.endTimestamp,
             label: item.label || `VL ${item.price}`,
+            chartIndex,
             options: {
-              linecolor: options.color || '#02A9DE',
-              linewidth: options.width || 2,
-              lineopacity: options.opacity ?? 100,
-              linestyle: options.style || 0
+              linecolor: item.color || options.color || '#02A9DE',
+              linewidth: item.width || options.width || 2,
+              lineopacity: item.opacity ?? options.opacity ?? 100,
+              linestyle: options.style || 0,
+              priceColors
             }
           });
 
           if (result.shapeId) {
-            drawnShapeIds.push(result.shapeId);
-            results.push({ type: 'level', price: item.price, shapeId: result.shapeId, success: true });
+            trackShape(symbol, item.key, result.shapeId, chartIndex);
+            results.push({
+              type: 'level',
+              key: item.key || null,
+              price: item.price,
+              side: result.side || null,
+              shapeId: result.shapeId,
+              success: true
+            });
           }
         }
       } catch (err) {
@@ -228,7 +306,7 @@ if (window !== window.top) {
     }
 
     // Save drawn shape IDs for cleanup
-    await browser.storage.local.set({ drawnShapeIds });
+    await saveDrawnShapeIds();
 
     return {
       success: true,
@@ -236,18 +314,24 @@ if (window !== window.top) {
       failed: results.filter(r => !r.success).length,
       zones: results.filter(r => r.type === 'zone' && r.success).length,
       levels: results.filter(r => r.type === 'level' && r.success).length,
+      support: results.filter(r => r.side === 'support').length,
+      resistance: results.filter(r => r.side === 'resistance').length,
+      inPlay: results.filter(r => r.side === 'inPlay').length,
       results
     };
   }
 
-  async function drawNotes(trades, options = {}) {
-    console.log(`📝 CONTENT: drawNotes called with ${trades.length} trades`);
+  async function drawNotes(trades, options = {}, symbol = null, merge = false, chartIndex = null) {
+    console.log(`📝 CONTENT: drawNotes called with ${trades.length} trades${merge ? ' (merge)' : ''}`);
 
-    try {
-      const clearResult = await sendToInjected('CLEAR_VL_NOTES');
-      console.log(`🧹 Cleared ${clearResult.removed} existing VL notes`);
-    } catch (err) {
-      console.warn('Could not clear existing VL notes:', err);
+    // Live updates add to the rays already drawn
+    if (!merge) {
+      try {
+        const clearResult = await sendToInjected('CLEAR_VL_NOTES', { chartIndex });
+        console.log(`🧹 Cleared ${clearResult.removed} existing VL notes`);
+      } catch (err) {
+        console.warn('Could not clear existing VL notes:', err);
+      }
     }
 
     const results = [];
@@ -262,6 +346,8 @@ if (window !== window.top) {
           darkPool: trade.darkPool,
           sweep: trade.sweep,
           dollarVolume: trade.dollarVolume ?? trade.dollars,
+          label: trade.label,
+          chartIndex,
           options: options
         });
 
@@ -273,7 +359,7 @@ if (window !== window.top) {
             reason: result.reason
           });
         } else if (result.shapeId) {
-          drawnShapeIds.push(result.shapeId);
+          trackShape(symbol, `trade:${trade.timestamp}:${trade.price}:${trade.rank}`, result.shapeId, chartIndex);
           results.push({
             price: trade.price,
             timestamp: trade.timestamp,
@@ -294,7 +380,7 @@ if (window !== window.top) {
       }
     }
 
-    await browser.storage.local.set({ drawnShapeIds });
+    await saveDrawnShapeIds();
 
     const successCount = results.filter(r => r.success).length;
     const skippedCount = results.filter(r => r.skipped).length;
@@ -313,22 +399,39 @@ if (window !== window.top) {
   }
 
   /**
-   * Clear all VL-drawn levels from the chart
+   * Clear VL-drawn shapes from the chart (manual levels stay)
+   * When symbol is given only that symbol's shapes are removed; a chartIndex
+   * also keeps the shapes drawn on other layout charts
    */
-  async function clearDrawnLevels() {
+  async function clearDrawnLevels(symbol = null, chartIndex = null) {
     const results = [];
+    const symbols = symbol ? [shapeSymbolKey(symbol)] : Object.keys(drawnShapeIds);
+
+    for (const key of symbols) {
+      const kept = {};
+      for (const [entryKey, entry] of Object.entries(drawnShapeIds[key] || {})) {
+        const otherChart = Number.isInteger(chartIndex) && Number.isInteger(entry.chartIndex) &&
+          entry.chartIndex !== chartIndex;
+        if (entry.key.startsWith(MANUAL_SHAPE_KEY_PREFIX) || otherChart) {
+          kept[entryKey] = entry;
+          continue;
+        }
+        try {
+          await sendToInjected('REMOVE_SHAPE', { shapeId: entry.shapeId, chartIndex: entry.chartIndex });
+          results.push({ shapeId: entry.shapeId, success: true });
+        } catch (err) {
+          results.push({ shapeId: entry.shapeId, success: false, error: err.message });
+        }
+      }
 
-    for (const shapeId of drawnShapeIds) {
-      try {
-        await sendToInjected('REMOVE_SHAPE', { shapeId });
-        results.push({ shapeId, success: true });
-      } catch (err) {
-        results.push({ shapeId, success: false, error: err.message });
+      if (Object.keys(kept).length > 0) {
+        drawnShapeIds[key] = kept;
+      } else {
+        delete drawnShapeIds[key];
       }
     }
 
-    drawnShapeIds = [];
-    await browser.storage.local.set({ drawnShapeIds: [] });
+    await saveDrawnShapeIds();
 
     return {
       success: true,
@@ -337,12 +440,115 @@ if (window !== window.top) {
     };
   }
 
+  /**
+   * Storage key for a symbol's shapes (shapes drawn without a symbol share one bucket)
+   */
+  function shapeSymbolKey(symbol) {
+    return symbol ? String(symbol).toUpperCase() : '*';
+  }
+
+  /**
+   * Remember a drawn shape (and the layout chart it is on) under its chart symbol
+   * key identifies the level/zone/trade (see getLevelKey in background.js);
+   * redrawing the same key on the same chart replaces the old entry
+   */
+  function trackShape(symbol, key, shapeId, chartIndex = null) {
+    const shapeKey = key || `shape:${shapeId}`;
+    const entryKey = Number.isInteger(chartIndex) ? `${shapeKey}@${chartIndex}` : shapeKey;
+    (drawnShapeIds[shapeSymbolKey(symbol)] ||= {})[entryKey] = { key: shapeKey, shapeId, chartIndex, hidden: false };
+  }
+
+  /**
+   * Show or hide the shapes drawn for the given level keys (on every chart showing the symbol)
+   */
+  async function setLevelsVisible(symbol, keys = [], visible = true) {
+    const wanted = new Set(keys);
+    const entries = Object.values(drawnShapeIds[shapeSymbolKey(symbol)] || {}).filter(entry => wanted.has(entry.key));
+
+    // One injected call per layout chart
+    const byChart = new Map();
+    for (const entry of entries) {
+      if (!byChart.has(entry.chartIndex)) byChart.set(entry.chartIndex, []);
+      byChart.get(entry.chartIndex).push(entry);
+    }
+
+    let updated = 0;
+    for (const [chartIndex, chartEntries] of byChart) {
+      const result = await sendToInjected('SET_SHAPES_VISIBLE', {
+        chartIndex,
+        shapeIds: chartEntries.map(entry => entry.shapeId),
+        visible
+      });
+      const missing = new Set(result.missing || []);
+      for (const entry of chartEntries) {
+        if (!missing.has(entry.shapeId)) entry.hidden = !visible;
+      }
+      updated += result.updated || 0;
+    }
+
+    await saveDrawnShapeIds();
+
+    return { success: true, updated };
+  }
+
+  /**
+   * Keys of a symbol's tracked shapes that are still on the chart, with their visibility
+   * (shapes removed by clearing or by hand drop out and stop being tracked)
+   */
+  async function getDrawnLevels(symbol) {
+    const bucket = drawnShapeIds[shapeSymbolKey(symbol)] || {};
+    const entries = Object.entries(bucket);
+    const onChart = new Map();
+
+    for (const chartIndex of new Set(entries.map(([, entry]) => entry.chartIndex))) {
+      try {
+        const { shapes = [] } = await sendToInjected('GET_ALL_SHAPES', { chartIndex });
+        onChart.set(chartIndex, new Set(shapes.map(shape => shape.id)));
+      } catch (err) {
+        console.warn('Could not list chart shapes:', err);
+      }
+    }
+
+    const levels = new Map();
+    let pruned = 0;
+    for (const [entryKey, entry] of entries) {
+      if (onChart.has(entry.chartIndex) && !onChart.get(entry.chartIndex).has(entry.shapeId)) {
+        delete bucket[entryKey];
+        pruned++;
+        continue;
+      }
+      levels.set(entry.key, { key: entry.key, hidden: entry.hidden || levels.get(entry.key)?.hidden || false });
+    }
+
+    if (pruned > 0) {
+      await saveDrawnShapeIds();
+    }
+    return [...levels.values()];
+  }
+
+  async function saveDrawnShapeIds() {
+    await browser.storage.local.set({ drawnShapeIds });
+  }
+
   /**
    * Load previously drawn shape IDs from storage
+   * Older versions stored a single list of shape IDs; it moves to the shared bucket
    */
   async function loadDrawnShapeIds() {
     const stored = await browser.storage.local.get('drawnShapeIds');
-    drawnShapeIds = stored.drawnShapeIds || [];
+    const saved = stored.drawnShapeIds;
+
+    if (!Array.isArray(saved)) {
+      drawnShapeIds = saved || {};
+      return;
+    }
+
+    const shared = {};
+    for (const shapeId of saved) {
+      const key = `shape:${shapeId}`;
+      shared[key] = { key, shapeId, chartIndex: null, hidden: false };
+    }
+    drawnShapeIds = { [shapeSymbolKey(null)]: shared };
   }
 
   // 🚀 Initialize
@@ -17,16 +17,80 @@
 
   console.log('💉 VL-TV Bridge: Injected into TradingView page context');
 
+  // Chart event subscriptions retry while TradingView loads (1s apart)
+  const CHART_SUBSCRIBE_MAX_ATTEMPTS = 30;
+
+  // How often to look for charts added to or swapped in the layout
+  const LAYOUT_CHECK_MS = 5000;
+  const symbolSubscriptions = new Map(); // chartIndex -> { chart, handler }
+
+  // Wait for scrolling/zooming to settle before reporting the visible range
+  const VISIBLE_RANGE_DEBOUNCE_MS = 750;
+
+  // Shape types used for VL levels and zones (trade rays share horizontal_ray)
+  const LEVEL_SHAPE_NAMES = ['horizontal_line', 'horizontal_ray', 'rectangle', 'trend_line'];
+
+  // One draw colors every level against the same price; re-read it after this long
+  const LAST_PRICE_CACHE_MS = 2000;
+  const lastPriceCache = new Map(); // chartIndex -> { price, at }
+
   /**
    * Get the TradingView chart API
+   * chartIndex selects a chart in a multi-chart layout; null means the active chart
    */
-  function getChartApi() {
-    if (typeof TradingViewApi !== 'undefined' && TradingViewApi.activeChart) {
+  function getChartApi(chartIndex = null) {
+    if (typeof TradingViewApi === 'undefined') return null;
+
+    if (Number.isInteger(chartIndex)) {
+      try {
+        return typeof TradingViewApi.chart === 'function' ? TradingViewApi.chart(chartIndex) || null : null;
+      } catch (e) {
+        console.warn(`Could not get chart ${chartIndex}:`, e);
+        return null;
+      }
+    }
+
+    if (TradingViewApi.activeChart) {
       return TradingViewApi.activeChart();
     }
     return null;
   }
 
+  /**
+   * List the charts in the current layout with their symbols
+   * Falls back to the active chart when the layout API is unavailable
+   */
+  function getCharts() {
+    if (typeof TradingViewApi === 'undefined') return { charts: [] };
+
+    const count = getChartsCount();
+    if (!count) {
+      const { symbol } = getSymbol();
+      return { charts: symbol ? [{ index: null, symbol }] : [] };
+    }
+
+    const charts = [];
+    for (let index = 0; index < count; index++) {
+      const { symbol } = getSymbol(index);
+      charts.push({ index, symbol });
+    }
+    return { charts };
+  }
+
+  /**
+   * Number of charts in the layout, or 0 when the layout API is unavailable
+   */
+  function getChartsCount() {
+    if (typeof TradingViewApi === 'undefined') return 0;
+
+    try {
+      return typeof TradingViewApi.chartsCount === 'function' ? TradingViewApi.chartsCount() || 0 : 0;
+    } catch (e) {
+      console.warn('Could not count layout charts:', e);
+      return 0;
+    }
+  }
+
   /**
    * Check if TradingView API is ready
    */
@@ -56,8 +120,8 @@
   /**
    * Get the current chart symbol
    */
-  function getSymbol() {
-    const chart = getChartApi();
+  function getSymbol(chartIndex = null) {
+    const chart = getChartApi(chartIndex);
 
     // Method 1: From chart API
     if (chart) {
@@ -74,6 +138,11 @@
       }
     }
 
+    // Other methods only describe the active chart
+    if (Number.isInteger(chartIndex)) {
+      return { symbol: null };
+    }
+
     // Method 2: From URL
     try {
       const urlMatch = window.location.pathname.match(/\/chart\/[^\/]+\/([A-Z0-9]+)/i) ||
@@ -155,7 +224,7 @@
    * Draw a horizontal line on the chart
    */
   async function drawLine(data) {
-    const chart = getChartApi();
+    const chart = getChartApi(data.chartIndex);
     if (!chart) {
       const error = 'TradingView chart API not available';
       console.error('❌', error);
@@ -166,9 +235,13 @@
       throw new Error(error);
     }
 
-    const { price, timestamp, label, options = {} } = data;
+    const { price, timestamp, label } = data;
     const hasValidTimestamp = Number.isFinite(timestamp) && timestamp > 0;
 
+    const priceColor = await getPriceColor(data, price, price);
+    const options = priceColor ? { ...data.options, linecolor: priceColor.color } : data.options || {};
+    const priceSide = priceColor ? { side: priceColor.side, lastPrice: priceColor.lastPrice } : {};
+
     const linecolor = applyOpacity(options.linecolor || '#02A9DE', options.lineopacity ?? 100);
 
     // Default styling - VL cyan theme
@@ -187,6 +260,11 @@
 
     console.log('🎨 INJECTED: Line overrides:', JSON.stringify(overrides));
 
+    if (hasValidTimestamp && Number.isFinite(data.endTimestamp) && data.endTimestamp > timestamp) {
+      const result = await drawSegment(chart, { price, startTime: timestamp, endTime: data.endTimestamp, text: label || `VL ${price}`, overrides });
+      return { ...result, ...priceSide };
+    }
+
     const shapeConfig = {
       shape: hasValidTimestamp ? 'horizontal_ray' : 'horizontal_line',
       text: label || `VL ${price}`,
@@ -207,7 +285,7 @@
       }
 
       console.log(`✅ Drew line at $${price}, ID: ${shapeId}`);
-      return { shapeId, price };
+      return { shapeId, price, ...priceSide };
     } catch (err) {
       console.error('❌ Failed to draw line at', price);
       console.error('❌ Error:', err.message || err);
@@ -230,19 +308,33 @@
   }
 
   /**
-   * Draw a zone (clustered levels) as a thick horizontal line at the midpoint
+   * Draw a zone (clustered levels) as a thick horizontal line at the midpoint,
+   * or as a shaded rectangle when options.zoneStyle is 'rectangle'
    */
   async function drawZone(data) {
-    const chart = getChartApi();
+    const chart = getChartApi(data.chartIndex);
     if (!chart) {
       const error = 'TradingView chart API not available';
       console.error('❌', error);
       throw new Error(error);
     }
 
-    const { highPrice, lowPrice, midPrice, timestamp, label, options = {} } = data;
+    const { highPrice, lowPrice, midPrice, timestamp, label } = data;
     const hasValidTimestamp = Number.isFinite(timestamp) && timestamp > 0;
 
+    const priceColor = await getPriceColor(data, lowPrice, highPrice);
+    const options = priceColor ? { ...data.options, linecolor: priceColor.color } : data.options || {};
+    const priceSide = priceColor ? { side: priceColor.side, lastPrice: priceColor.lastPrice } : {};
+
+    if (options.zoneStyle === 'rectangle') {
+      const startTime = hasValidTimestamp ? timestamp : getVisibleTimeRange(data.chartIndex)?.from;
+      if (Number.isFinite(startTime)) {
+        const result = await drawZoneRectangle(chart, { ...data, options, startTime });
+        return { ...result, ...priceSide };
+      }
+      console.log('📐 INJECTED: No start time for zone rectangle, drawing a line instead');
+    }
+
     const linecolor = applyOpacity(options.linecolor || '#02A9DE', options.lineopacity ?? 100);
 
     // Use thick line at midpoint to represent the zone
@@ -261,6 +353,12 @@
 
     console.log('🎨 INJECTED: Zone overrides:', JSON.stringify(overrides));
 
+    if (hasValidTimestamp && Number.isFinite(data.endTimestamp) && data.endTimestamp > timestamp) {
+      const text = label || `VL Zone [${lowPrice.toFixed(2)}-${highPrice.toFixed(2)}]`;
+      const result = await drawSegment(chart, { price: midPrice, startTime: timestamp, endTime: data.endTimestamp, text, overrides });
+      return { ...result, highPrice, lowPrice, midPrice, ...priceSide };
+    }
+
     const shapeConfig = {
       shape: hasValidTimestamp ? 'horizontal_ray' : 'horizontal_line',
       text: label || `VL Zone [${lowPrice.toFixed(2)}-${highPrice.toFixed(2)}]`,
@@ -281,7 +379,7 @@
       }
 
       console.log(`✅ Drew zone at $${midPrice.toFixed(2)}, ID: ${shapeId}`);
-      return { shapeId, highPrice, lowPrice, midPrice };
+      return { shapeId, highPrice, lowPrice, midPrice, ...priceSide };
     } catch (err) {
       console.error('❌ Failed to draw zone at', midPrice);
       console.error('❌ Error:', err.message || err);
@@ -289,12 +387,103 @@
     }
   }
 
+  /**
+   * Draw a level or zone as a bounded horizontal trend line (segment mode),
+   * from its first to its last trade date
+   */
+  async function drawSegment(chart, { price, startTime, endTime, text, overrides }) {
+    // Same styling as the ray, but without extending past the last trade
+    const shapeConfig = {
+      shape: 'trend_line',
+      text,
+      overrides: { ...overrides, extendLeft: false, extendRight: false }
+    };
+
+    console.log(`📐 INJECTED: Creating segment at $${price} from ${startTime} to ${endTime} with label "${text}"`);
+
+    try {
+      const shapeId = await chart.createMultipointShape(
+        [{ price, time: startTime }, { price, time: endTime }],
+        shapeConfig
+      );
+
+      if (!shapeId) {
+        console.warn('⚠️ createMultipointShape returned falsy value:', shapeId);
+        throw new Error('createMultipointShape returned no ID');
+      }
+
+      console.log(`✅ Drew segment at $${price}, ID: ${shapeId}`);
+      return { shapeId, price, shape: 'segment' };
+    } catch (err) {
+      console.error('❌ Failed to draw segment at', price);
+      console.error('❌ Error:', err.message || err);
+      throw err;
+    }
+  }
+
+  /**
+   * Draw a zone as a filled rectangle from lowPrice to highPrice,
+   * starting at the zone's earliest timestamp and extending right
+   * (or ending at endTimestamp in segment mode)
+   */
+  async function drawZoneRectangle(chart, data) {
+    const { highPrice, lowPrice, midPrice, startTime, label, options = {} } = data;
+    const color = options.linecolor || '#02A9DE';
+    const linecolor = applyOpacity(color, options.lineopacity ?? 100);
+    const bounded = Number.isFinite(data.endTimestamp) && data.endTimestamp > startTime;
+    const endTime = bounded ? data.endTimestamp : Math.max(startTime + 1, Math.floor(Date.now() / 1000));
+
+    // Only pass TradingView-compatible properties (no spread to avoid extra props)
+    const overrides = {
+      color: linecolor,
+      linewidth: 1,
+      fillBackground: true,
+      backgroundColor: applyOpacity(color, options.fillopacity ?? 20),
+      extendRight: !bounded,
+      showLabel: true,
+      textColor: options.textcolor || linecolor,
+      fontSize: options.fontsize || 12,
+      bold: options.bold !== false,
+      horzLabelsAlign: 'right',
+      vertLabelsAlign: 'middle'
+    };
+
+    console.log('🎨 INJECTED: Zone rectangle overrides:', JSON.stringify(overrides));
+
+    const shapeConfig = {
+      shape: 'rectangle',
+      text: label || `VL Zone [${lowPrice.toFixed(2)}-${highPrice.toFixed(2)}]`,
+      overrides: overrides
+    };
+
+    console.log(`📐 INJECTED: Creating zone rectangle $${lowPrice.toFixed(2)}-$${highPrice.toFixed(2)} from ${startTime} with label "${shapeConfig.text}"`);
+
+    try {
+      const shapeId = await chart.createMultipointShape(
+        [{ price: highPrice, time: startTime }, { price: lowPrice, time: endTime }],
+        shapeConfig
+      );
+
+      if (!shapeId) {
+        console.warn('⚠️ createMultipointShape returned falsy value:', shapeId);
+        throw new Error('createMultipointShape returned no ID');
+      }
+
+      console.log(`✅ Drew zone rectangle at $${midPrice.toFixed(2)}, ID: ${shapeId}`);
+      return { shapeId, highPrice, lowPrice, midPrice, shape: 'rectangle' };
+    } catch (err) {
+      console.error('❌ Failed to draw zone rectangle at', midPrice);
+      console.error('❌ Error:', err.message || err);
+      throw err;
+    }
+  }
+
   /**
    * Get the visible time range on the chart
    * Returns {from, to} as Unix timestamps (seconds), or null if unavailable
    */
-  function getVisibleTimeRange() {
-    const chart = getChartApi();
+  function getVisibleTimeRange(chartIndex = null) {
+    const chart = getChartApi(chartIndex);
     if (!chart) return null;
 
     try {
@@ -308,19 +497,74 @@
     return null;
   }
 
+  /**
+   * Get the latest close of the chart's main series, or null if unavailable
+   * Read from the last row of the public exportData() API.
+   */
+  async function getLastPrice(chartIndex = null) {
+    const chart = getChartApi(chartIndex);
+    if (!chart || typeof chart.exportData !== 'function') return null;
+
+    const cacheKey = String(chartIndex);
+    const cached = lastPriceCache.get(cacheKey);
+    if (cached && Date.now() - cached.at < LAST_PRICE_CACHE_MS) {
+      return cached.price;
+    }
+
+    let price = null;
+
+    try {
+      const exported = await chart.exportData({ includeTime: true, includeSeries: true, includedStudies: [] });
+      const closeIndex = (exported?.schema || []).findIndex(field => String(field?.plotTitle).toLowerCase() === 'close');
+      const lastRow = exported?.data?.[exported.data.length - 1];
+      const close = closeIndex >= 0 && lastRow ? Number(lastRow[closeIndex]) : NaN;
+      if (Number.isFinite(close)) price = close;
+    } catch (e) {
+      console.warn('⚠️ Could not export chart data:', e);
+    }
+
+    if (price !== null) {
+      lastPriceCache.set(cacheKey, { price, at: Date.now() });
+    }
+    return price;
+  }
+
+  /**
+   * Pick the support/resistance color for a level (lowPrice === highPrice)
+   * or zone from options.priceColors: { support, resistance, inPlay }
+   * Returns { color, side, lastPrice }, or null to keep the level's own color
+   */
+  async function getPriceColor(data, lowPrice, highPrice) {
+    const priceColors = data.options?.priceColors;
+    if (!priceColors) return null;
+
+    const lastPrice = await getLastPrice(data.chartIndex);
+    if (!Number.isFinite(lastPrice)) return null;
+
+    let side = 'support';
+    if (lowPrice > lastPrice) {
+      side = 'resistance';
+    } else if (highPrice >= lastPrice && highPrice !== lowPrice) {
+      side = 'inPlay';
+    }
+
+    const color = priceColors[side];
+    return color ? { color, side, lastPrice } : null;
+  }
+
   /**
    * Draw a horizontal ray on the chart for a large trade.
    * Uses the actual trade timestamp as the ray start point.
    */
   async function drawNote(data) {
-    const chart = getChartApi();
+    const chart = getChartApi(data.chartIndex);
     if (!chart) {
       const error = 'TradingView chart API not available';
       console.error('❌', error);
       throw new Error(error);
     }
 
-    const { price, timestamp, rank, originalRank, darkPool, sweep, dollarVolume, options = {} } = data;
+    const { price, timestamp, rank, originalRank, darkPool, sweep, dollarVolume, label, options = {} } = data;
     const validRank = Number.isInteger(rank) && rank >= 1 && rank <= 100;
 
     if (!validRank) {
@@ -328,7 +572,7 @@
       return { skipped: true, price, timestamp, rank, reason: 'invalid_rank' };
     }
 
-    const visibleRange = getVisibleTimeRange();
+    const visibleRange = getVisibleTimeRange(data.chartIndex);
     if (visibleRange) {
       if (timestamp < visibleRange.from || timestamp > visibleRange.to) {
         console.log(`📍 Trade #${rank} is outside visible range, skipping`);
@@ -353,7 +597,8 @@
     const originalRankLabel = options.showOriginalTradeRank && Number.isInteger(originalRank) && originalRank !== rank
       ? ` (#${originalRank})`
       : '';
-    const labelText = `${marker} VL #${rank}${originalRankLabel}${volLabel}`;
+    // Background renders the user's trade template; fall back to the built-in label
+    const labelText = label || `${marker} VL #${rank}${originalRankLabel}${volLabel}`;
 
     const overrides = {
       linecolor: color,
@@ -392,11 +637,36 @@
     }
   }
 
+  /**
+   * Show or hide drawn shapes without removing them (level list toggles)
+   */
+  function setShapesVisible(data) {
+    const chart = getChartApi(data.chartIndex);
+    if (!chart) {
+      throw new Error('TradingView chart API not available');
+    }
+
+    const { shapeIds = [], visible = true } = data;
+    const missing = [];
+
+    for (const shapeId of shapeIds) {
+      try {
+        chart.getShapeById(shapeId).setProperties({ visible });
+      } catch (err) {
+        console.warn(`⚠️ Could not ${visible ? 'show' : 'hide'} shape ${shapeId}:`, err);
+        missing.push(shapeId);
+      }
+    }
+
+    console.log(`👁️ ${visible ? 'Showed' : 'Hid'} ${shapeIds.length - missing.length} shapes`);
+    return { updated: shapeIds.length - missing.length, missing };
+  }
+
   /**
    * Remove a shape from the chart
    */
   async function removeShape(data) {
-    const chart = getChartApi();
+    const chart = getChartApi(data.chartIndex);
     if (!chart) {
       throw new Error('TradingView chart API not available');
     }
@@ -416,8 +686,8 @@
   /**
    * Get all shapes on the chart
    */
-  function getAllShapes() {
-    const chart = getChartApi();
+  function getAllShapes(chartIndex = null) {
+    const chart = getChartApi(chartIndex);
     if (!chart) return { shapes: [] };
 
     try {
@@ -432,8 +702,8 @@
    * Remove all shapes with text starting with "VL"
    * This clears previous VL levels before drawing new ones
    */
-  async function clearVlShapes() {
-    const chart = getChartApi();
+  async function clearVlShapes(chartIndex = null) {
+    const chart = getChartApi(chartIndex);
     if (!chart) return { removed: 0 };
 
     let removed = 0;
@@ -470,11 +740,12 @@
   }
 
   /**
-   * Remove only VL horizontal line shapes (not circles)
-   * This clears previous VL levels before drawing new ones
+   * Remove only VL level/zone shapes (lines, rays and zone rectangles)
+   * This clears previous VL levels before drawing new ones.
+   * Pass other label prefixes (e.g. manual levels) to clear those instead.
    */
-  async function clearVlLines() {
-    const chart = getChartApi();
+  async function clearVlLines(chartIndex = null, prefixes = ['VL']) {
+    const chart = getChartApi(chartIndex);
     if (!chart) return { removed: 0 };
 
     let removed = 0;
@@ -485,8 +756,8 @@
 
       for (const shape of allShapes) {
         try {
-          // Target level/zone lines and rays, but leave trade rays intact.
-          if (shape.name !== 'horizontal_line' && shape.name !== 'horizontal_ray') continue;
+          // Target level/zone lines, rays and rectangles, but leave trade rays intact.
+          if (!LEVEL_SHAPE_NAMES.includes(shape.name)) continue;
 
           // Get shape properties to check the text
           const shapeObj = chart.getShapeById(shape.id);
@@ -495,7 +766,7 @@
           const props = shapeObj.getProperties ? shapeObj.getProperties() : null;
           const text = props?.text || '';
 
-          if (text.startsWith('VL')) {
+          if (prefixes.some(prefix => text.startsWith(prefix))) {
             chart.removeEntity(shape.id);
             removed++;
             console.log(`🗑️ Removed VL line: ${shape.id} ("${text}")`);
@@ -516,8 +787,8 @@
    * Remove only VL trade marker shapes (not horizontal lines).
    * Clears current horizontal rays and legacy text notes before drawing new trades.
    */
-  async function clearVlNotes() {
-    const chart = getChartApi();
+  async function clearVlNotes(chartIndex = null) {
+    const chart = getChartApi(chartIndex);
     if (!chart) return { removed: 0 };
 
     let removed = 0;
@@ -557,6 +828,145 @@
     return text.startsWith('VL') || text.startsWith('● VL') || text.startsWith('◆ VL');
   }
 
+  /**
+   * Subscribe to chart events once TradingView has created the chart
+   */
+  function subscribeChartEvents(attempt = 0) {
+    const chart = getChartApi();
+    if (!chart) {
+      if (attempt < CHART_SUBSCRIBE_MAX_ATTEMPTS) {
+        setTimeout(() => subscribeChartEvents(attempt + 1), 1000);
+      }
+      return;
+    }
+
+    watchLayoutCharts();
+    subscribeVisibleRangeChanges(chart);
+  }
+
+  /**
+   * Keep symbol subscriptions in step with the layout's charts
+   * Panes can be added, swapped or activated at any time, so re-check periodically
+   */
+  function watchLayoutCharts() {
+    try {
+      syncSymbolSubscriptions();
+    } catch (e) {
+      console.warn('⚠️ Could not update symbol subscriptions:', e);
+    }
+    setTimeout(watchLayoutCharts, LAYOUT_CHECK_MS);
+  }
+
+  /**
+   * Subscribe to every layout chart (or the active chart without the layout API)
+   * and drop subscriptions for charts that were removed or replaced
+   */
+  function syncSymbolSubscriptions() {
+    const count = getChartsCount();
+    const indexes = count ? Array.from({ length: count }, (_, index) => index) : [null];
+
+    for (const [chartIndex, subscription] of symbolSubscriptions) {
+      if (indexes.includes(chartIndex) && getChartApi(chartIndex) === subscription.chart) continue;
+      unsubscribeSymbolChanges(chartIndex);
+    }
+
+    for (const chartIndex of indexes) {
+      if (!symbolSubscriptions.has(chartIndex)) {
+        subscribeSymbolChanges(chartIndex);
+      }
+    }
+  }
+
+  /**
+   * Notify the content script when a chart's symbol changes
+   */
+  function subscribeSymbolChanges(chartIndex) {
+    const chart = getChartApi(chartIndex);
+    if (!chart) return;
+
+    // Remember charts without the event too, so the warning is logged once per chart
+    const subscription = { chart, handler: null };
+    symbolSubscriptions.set(chartIndex, subscription);
+
+    if (typeof chart.onSymbolChanged !== 'function') {
+      console.warn('⚠️ Chart has no onSymbolChanged event, auto-redraw unavailable');
+      return;
+    }
+
+    let lastSymbol = getSymbol(chartIndex).symbol;
+    const handler = () => {
+      const symbol = getSymbol(chartIndex).symbol;
+      if (!symbol || symbol === lastSymbol) return;
+
+      const previousSymbol = lastSymbol;
+      lastSymbol = symbol;
+      console.log(`🔄 Symbol changed: ${previousSymbol} → ${symbol}`);
+
+      window.postMessage({
+        source: 'vl-tv-injected',
+        type: 'SYMBOL_CHANGED',
+        symbol,
+        previousSymbol,
+        chartIndex
+      }, '*');
+    };
+
+    try {
+      chart.onSymbolChanged().subscribe(null, handler);
+      subscription.handler = handler;
+      console.log(`🔔 Subscribed to symbol changes${chartIndex === null ? '' : ` on chart ${chartIndex}`}`);
+    } catch (e) {
+      console.warn('⚠️ Could not subscribe to symbol changes:', e);
+    }
+  }
+
+  /**
+   * Stop listening to a chart that left the layout (or is no longer the active chart)
+   */
+  function unsubscribeSymbolChanges(chartIndex) {
+    const { chart, handler } = symbolSubscriptions.get(chartIndex);
+    symbolSubscriptions.delete(chartIndex);
+    if (!handler) return;
+
+    try {
+      chart.onSymbolChanged().unsubscribe(null, handler);
+    } catch (e) {
+      console.warn('⚠️ Could not unsubscribe from symbol changes:', e);
+    }
+  }
+
+  /**
+   * Notify the content script (debounced) when the chart is scrolled or zoomed
+   */
+  function subscribeVisibleRangeChanges(chart) {
+    if (typeof chart.onVisibleRangeChanged !== 'function') {
+      console.warn('⚠️ Chart has no onVisibleRangeChanged event, live trades unavailable');
+      return;
+    }
+
+    let timer = null;
+
+    try {
+      chart.onVisibleRangeChanged().subscribe(null, () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          const range = getVisibleTimeRange();
+          if (!range) return;
+
+          window.postMessage({
+            source: 'vl-tv-injected',
+            type: 'VISIBLE_RANGE_CHANGED',
+            symbol: getSymbol().symbol,
+            range
+          }, '*');
+        }, VISIBLE_RANGE_DEBOUNCE_MS);
+      });
+      console.log('🔔 Subscribed to visible range changes');
+    } catch (e) {
+      console.warn('⚠️ Could not subscribe to visible range changes:', e);
+    }
+  }
+
   /**
    * Handle messages from content script
    */
@@ -577,7 +987,11 @@
           break;
 
         case 'GET_SYMBOL':
-          result = getSymbol();
+          result = getSymbol(data?.chartIndex);
+          break;
+
+        case 'GET_CHARTS':
+          result = getCharts();
           break;
 
         case 'DRAW_LINE':
@@ -596,24 +1010,32 @@
           result = await removeShape(data);
           break;
 
+        case 'SET_SHAPES_VISIBLE':
+          result = setShapesVisible(data);
+          break;
+
         case 'GET_ALL_SHAPES':
-          result = getAllShapes();
+          result = getAllShapes(data?.chartIndex);
           break;
 
         case 'GET_VISIBLE_RANGE':
-          result = getVisibleTimeRange();
+          result = getVisibleTimeRange(data?.chartIndex);
+          break;
+
+        case 'GET_LAST_PRICE':
+          result = await getLastPrice(data?.chartIndex);
           break;
 
         case 'CLEAR_VL_SHAPES':
-          result = await clearVlShapes();
+          result = await clearVlShapes(data?.chartIndex);
           break;
 
         case 'CLEAR_VL_LINES':
-          result = await clearVlLines();
+          result = await clearVlLines(data?.chartIndex, data?.prefixes);
           break;
 
         case 'CLEAR_VL_NOTES':
-          result = await clearVlNotes();
+          result = await clearVlNotes(data?.chartIndex);
           break;
 
         default:
@@ -638,4 +1060,6 @@
     type: 'READY'
   }, '*');
 
+  subscribeChartEvents();
+
 })();
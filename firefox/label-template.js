@@ -0,0 +1,268 @@
+/**
+ * VL TradingView Bridge - Label Templates
+ *
+ * Renders level, zone and trade labels from user-defined templates.
+ * Shared by background.js (drawing) and the popup (live preview), along
+ * with the value formatters both use.
+ *
+ * Tokens:
+ *   {rank} {ranks} {dollars} {volume} {trades} {startDate} {endDate}
+ *   {pct} {rs} {darkPool} {sweep} {marker} {originalRank}
+ *
+ * Unknown tokens are left as-is so typos stay visible on the chart.
+ */
+
+// Default templates reproduce the original hardcoded labels
+const DEFAULT_LABEL_TEMPLATES = {
+  level: 'VL #{rank} {dollars}',
+  zone: 'VL #{ranks} {dollars}',
+  trade: '{marker} VL #{rank} {originalRank} {dollars}'
+};
+
+// Storage key holding the template for each drawable type
+const LABEL_TEMPLATE_STORAGE_KEYS = {
+  level: 'levelLabelTemplate',
+  zone: 'zoneLabelTemplate',
+  trade: 'tradeLabelTemplate'
+};
+
+/**
+ * Replace {token} placeholders and collapse the whitespace left by empty tokens
+ * @param {string} template - Template text
+ * @param {Object} tokens - Token name -> rendered value
+ * @returns {string}
+ */
+function renderLabelTemplate(template, tokens) {
+  return String(template ?? '')
+    .replace(/\{(\w+)\}/g, (match, name) => (Object.hasOwn(tokens, name) ? String(tokens[name] ?? '') : match))
+    .replace(/(^|\s)#(?=\s|$)/g, '$1') // drop "#" left by an empty {rank}
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Format large dollar amounts (e.g., 1.6B, 250M)
+ */
+function formatDollars(amount) {
+  if (amount >= 1e9) return `$${(amount / 1e9).toFixed(1)}B`;
+  if (amount >= 1e6) return `$${(amount / 1e6).toFixed(0)}M`;
+  if (amount >= 1e3) return `$${(amount / 1e3).toFixed(0)}K`;
+  return `$${amount.toFixed(0)}`;
+}
+
+/**
+ * Format a cache age (e.g., "45s", "12m", "3h", "2d")
+ */
+function formatCacheAge(ageMs) {
+  const seconds = Math.round((ageMs || 0) / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.round(seconds / 3600)}h`;
+  return `${Math.round(seconds / 86400)}d`;
+}
+
+/**
+ * Format trade dollar volume the way trade rays always have (e.g., $2B, $45M)
+ */
+function formatTradeDollars(amount) {
+  if (amount >= 1e9) return `$${Math.round(amount / 1e9)}B`;
+  if (amount >= 1e6) return `$${Math.round(amount / 1e6)}M`;
+  return '';
+}
+
+/**
+ * Format share counts (e.g., 39.7K, 1.2M)
+ */
+function formatShareCount(count) {
+  const value = Number(count);
+  if (!Number.isFinite(value) || value <= 0) return '';
+  if (value >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
+  if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(1)}K`;
+  return String(Math.round(value));
+}
+
+/**
+ * Format RS and PCT for labels (e.g., "RS 2.3 97%")
+ */
+function formatLevelStats(relativeSize, cumulativeDistribution) {
+  const parts = [];
+  if (Number.isFinite(relativeSize)) {
+    parts.push(`RS ${relativeSize.toFixed(1)}`);
+  }
+  if (Number.isFinite(cumulativeDistribution)) {
+    parts.push(`${Math.round(cumulativeDistribution)}%`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Split a VL "YYYY-MM-DD - YYYY-MM-DD" dates string
+ */
+function splitLevelDates(dates) {
+  if (!dates) return { startDate: '', endDate: '' };
+  const [startDate = '', endDate = ''] = String(dates).split(' - ');
+  return { startDate, endDate: endDate || startDate };
+}
+
+/**
+ * Format a Unix-seconds timestamp as a US market date (YYYY-MM-DD)
+ */
+function formatMarketDate(timestamp) {
+  if (!Number.isFinite(timestamp) || timestamp <= 0) return '';
+  return new Date(timestamp * 1000).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+/**
+ * Keep VL prefixes intact so the clear commands can still find our shapes
+ */
+function ensureLabelPrefix(label, prefix) {
+  if (label.startsWith(prefix)) return label;
+  if (prefix !== 'VL' && label.startsWith('VL')) {
+    return `${prefix.slice(0, -' VL'.length)} ${label}`;
+  }
+  return label ? `${prefix} ${label}` : prefix;
+}
+
+/**
+ * Token values for a single level
+ */
+function getLevelTokens(level) {
+  const { startDate, endDate } = splitLevelDates(level.dates);
+  return {
+    rank: level.rank || '',
+    ranks: level.rank || '',
+    dollars: level.dollars ? formatDollars(level.dollars) : '',
+    volume: formatShareCount(level.volume),
+    trades: level.trades || '',
+    startDate,
+    endDate,
+    pct: Number.isFinite(level.cumulativeDistribution) ? `${Math.round(level.cumulativeDistribution)}%` : '',
+    rs: Number.isFinite(level.relativeSize) ? level.relativeSize.toFixed(1) : '',
+    darkPool: '',
+    sweep: '',
+    marker: '',
+    originalRank: ''
+  };
+}
+
+/**
+ * Token values for a clustered zone (aggregated across its member levels)
+ */
+function getZoneTokens(zone) {
+  const levels = zone.levels || [];
+  const aggregated = zone.aggregated || {};
+  const ranks = levels.map(l => l.rank).filter(Boolean).sort((a, b) => a - b);
+  const dates = levels.map(l => splitLevelDates(l.dates));
+  const startDates = dates.map(d => d.startDate).filter(Boolean).sort();
+  const endDates = dates.map(d => d.endDate).filter(Boolean).sort();
+  const volume = levels.reduce((sum, l) => sum + (Number(l.volume) || 0), 0);
+  const trades = levels.reduce((sum, l) => sum + (Number(l.trades) || 0), 0);
+
+  return {
+    rank: ranks[0] || '',
+    ranks: ranks.join(','),
+    dollars: aggregated.totalDollars > 0 ? formatDollars(aggregated.totalDollars) : '',
+    volume: formatShareCount(volume),
+    trades: trades || '',
+    startDate: startDates[0] || '',
+    endDate: endDates[endDates.length - 1] || '',
+    pct: Number.isFinite(aggregated.maxCumulativeDistribution) ? `${Math.round(aggregated.maxCumulativeDistribution)}%` : '',
+    rs: Number.isFinite(aggregated.maxRelativeSize) ? aggregated.maxRelativeSize.toFixed(1) : '',
+    darkPool: '',
+    sweep: '',
+    marker: '',
+    originalRank: ''
+  };
+}
+
+/**
+ * Token values for a single large trade
+ */
+function getTradeTokens(trade, showOriginalRank = false) {
+  const date = formatMarketDate(trade.timestamp);
+  const dollars = trade.dollarVolume ?? trade.dollars;
+  return {
+    rank: trade.rank || '',
+    ranks: trade.rank || '',
+    dollars: dollars ? formatTradeDollars(dollars) : '',
+    volume: formatShareCount(trade.volume),
+    trades: 1,
+    startDate: date,
+    endDate: date,
+    pct: '',
+    rs: '',
+    darkPool: trade.darkPool ? 'DP' : '',
+    sweep: trade.sweep ? 'Sweep' : '',
+    marker: trade.sweep ? '◆' : '●',
+    originalRank: showOriginalRank && Number.isInteger(trade.originalRank) && trade.originalRank !== trade.rank
+      ? `(#${trade.originalRank})`
+      : ''
+  };
+}
+
+/**
+ * Format level label for TradingView line (e.g., "VL #1 $1.6B")
+ * When showDates is true, includes start date (e.g., "VL #1 $1.6B 2025-09-24")
+ * When showStats is true, includes RS and PCT (e.g., "VL #1 $1.6B RS 2.3 97%")
+ */
+function formatLevelLabel(level, showDates = false, showStats = false, template = DEFAULT_LABEL_TEMPLATES.level) {
+  const tokens = getLevelTokens(level);
+  let label = ensureLabelPrefix(renderLabelTemplate(template || DEFAULT_LABEL_TEMPLATES.level, tokens), 'VL');
+
+  if (showDates && tokens.startDate) {
+    label += ` ${tokens.startDate}`;
+  }
+
+  const stats = showStats ? formatLevelStats(level.relativeSize, level.cumulativeDistribution) : '';
+  if (stats) {
+    label += ` ${stats}`;
+  }
+
+  return label;
+}
+
+/**
+ * Format zone label for TradingView line (e.g., "VL #7,9,10 $2.9B")
+ * When showDates is true, includes the earliest start date across the zone
+ * When showStats is true, includes the strongest member's RS and PCT
+ */
+function formatZoneLabel(zone, showDates = false, showStats = false, template = DEFAULT_LABEL_TEMPLATES.zone) {
+  const tokens = getZoneTokens(zone);
+  let label = ensureLabelPrefix(renderLabelTemplate(template || DEFAULT_LABEL_TEMPLATES.zone, tokens), 'VL');
+
+  if (showDates && tokens.startDate) {
+    label += ` ${tokens.startDate}`;
+  }
+
+  const stats = showStats
+    ? formatLevelStats(zone.aggregated?.maxRelativeSize, zone.aggregated?.maxCumulativeDistribution)
+    : '';
+  if (stats) {
+    label += ` ${stats}`;
+  }
+
+  return label;
+}
+
+/**
+ * Format trade ray label (e.g., "● VL #3 (#12) $45M")
+ * The ●/◆ VL prefix is always kept so CLEAR_VL_NOTES can match it.
+ */
+function formatTradeLabel(trade, showOriginalRank = false, template = DEFAULT_LABEL_TEMPLATES.trade) {
+  const tokens = getTradeTokens(trade, showOriginalRank);
+  return ensureLabelPrefix(renderLabelTemplate(template || DEFAULT_LABEL_TEMPLATES.trade, tokens), `${tokens.marker} VL`);
+}
+
+// Export as global object for use in background.js and popup.js
+// (Firefox MV2 background scripts share global scope when loaded via manifest)
+var labelTemplates = {
+  DEFAULT_LABEL_TEMPLATES,
+  LABEL_TEMPLATE_STORAGE_KEYS,
+  renderLabelTemplate,
+  formatDollars,
+  formatCacheAge,
+  formatLevelLabel,
+  formatZoneLabel,
+  formatTradeLabel
+};
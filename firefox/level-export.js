@@ -0,0 +1,317 @@
+/**
+ * VL TradingView Bridge - Level Export / Import
+ *
+ * Serializes the last fetched levels and trades to CSV or JSON for
+ * spreadsheets and backtesting, and reads level lists back in (our own
+ * exports, or price/label/color/date lists from other tools). Used by the popup.
+ *
+ * CSV files start with "# key: value" metadata lines (ticker, date range,
+ * filters) followed by one header row and one row per level or trade.
+ */
+
+const EXPORT_FORMAT = 'vl-tv-bridge-export';
+const EXPORT_VERSION = 1;
+
+// Per-item fields; levels leave the trade-only fields empty and vice versa
+const EXPORT_FIELDS = [
+  'price', 'rank', 'dollars', 'volume', 'trades', 'dates', 'timestamp', 'darkPool', 'sweep', 'originalRank'
+];
+const EXPORT_CSV_COLUMNS = ['kind', 'ticker', ...EXPORT_FIELDS];
+
+// TradingView slows down with too many shapes; larger imports are truncated
+const IMPORT_MAX_LEVELS = 200;
+
+// Column header (lowercase) -> imported field; headerless CSV uses IMPORT_DEFAULT_COLUMNS
+const IMPORT_COLUMN_ALIASES = {
+  price: 'price', level: 'price',
+  label: 'label', name: 'label', text: 'label', note: 'label',
+  color: 'color', colour: 'color',
+  date: 'date', dates: 'dates', timestamp: 'timestamp', time: 'timestamp',
+  rank: 'rank', dollars: 'dollars', kind: 'kind', ticker: 'ticker'
+};
+const IMPORT_DEFAULT_COLUMNS = ['price', 'label', 'color', 'date'];
+
+/**
+ * Pick the exported fields from a fetched level or trade
+ */
+function toExportItem(item) {
+  return Object.fromEntries(EXPORT_FIELDS.map(field => {
+    const value = field === 'dollars' ? item.dollars ?? item.dollarVolume : item[field];
+    return [field, value ?? null];
+  }));
+}
+
+/**
+ * Build the export document from the background's last fetch results
+ * @param {Object} results - { levels, trades } as returned by GET_EXPORT_DATA
+ * @param {Date} now - Export time
+ * @returns {Object}
+ */
+function buildExportData(results = {}, now = new Date()) {
+  const section = (result, kind) => (result
+    ? {
+      ticker: result.ticker,
+      startDate: result.startDate || null,
+      endDate: result.endDate || null,
+      dateMode: result.dateMode || null,
+      fetchedAt: result.fetchedAt || null,
+      filters: result.filters || {},
+      [kind]: (result.items || []).map(toExportItem)
+    }
+    : null);
+
+  const levels = section(results.levels, 'levels');
+  const trades = section(results.trades, 'trades');
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: now.toISOString(),
+    ticker: levels?.ticker || trades?.ticker || null,
+    levels,
+    trades
+  };
+}
+
+function formatExportJson(data) {
+  return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+/**
+ * Quote a CSV cell when it contains a comma, quote or newline
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatExportCsv(data) {
+  const lines = [
+    `# format: ${data.format}`,
+    `# version: ${data.version}`,
+    `# exportedAt: ${data.exportedAt}`
+  ];
+  const rows = [];
+
+  for (const kind of ['levels', 'trades']) {
+    const section = data[kind];
+    if (!section) continue;
+
+    const { [kind]: items, ...metadata } = section;
+    for (const [key, value] of Object.entries(metadata)) {
+      if (value === null) continue;
+      lines.push(`# ${kind}.${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+    }
+
+    const rowKind = kind === 'levels' ? 'level' : 'trade';
+    for (const item of items) {
+      const row = { kind: rowKind, ticker: section.ticker, ...item };
+      rows.push(EXPORT_CSV_COLUMNS.map(column => escapeCsvValue(row[column])).join(','));
+    }
+  }
+
+  return [...lines, EXPORT_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * File name for a download (e.g., "vl-SPY-2026-06-08.csv")
+ */
+function buildExportFilename(data, extension) {
+  const ticker = String(data.ticker || 'export').replace(/[^A-Z0-9.-]/gi, '');
+  return `vl-${ticker}-${String(data.exportedAt).slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Split one CSV line into cells (handles quoted cells and "" escapes)
+ */
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Read CSV rows; a header row is detected when the first cell isn't a number
+ */
+function readImportCsv(text) {
+  let ticker = null;
+  let columns = null;
+  const rows = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    if (line.startsWith('#')) {
+      const match = line.match(/^#\s*(?:levels\.|trades\.)?ticker:\s*(\S+)/);
+      if (match && !ticker) ticker = match[1];
+      return;
+    }
+
+    const cells = parseCsvLine(line);
+    if (!columns) {
+      if (!Number.isFinite(parseFloat(cells[0]))) {
+        columns = cells.map(cell => IMPORT_COLUMN_ALIASES[cell.toLowerCase()] || null);
+        return;
+      }
+      columns = IMPORT_DEFAULT_COLUMNS;
+    }
+
+    const row = {};
+    columns.forEach((column, i) => {
+      if (column && cells[i] !== undefined && cells[i] !== '') row[column] = cells[i];
+    });
+    rows.push({ row, where: `Line ${index + 1}` });
+  });
+
+  return { ticker, rows };
+}
+
+/**
+ * Read JSON rows: our export document, { levels: [...] }, or a plain array
+ */
+function readImportJson(text) {
+  const data = JSON.parse(text);
+  const toRows = (items, name) => (Array.isArray(items) ? items : [])
+    .map((row, index) => ({ row, where: `${name} ${index + 1}` }));
+
+  if (Array.isArray(data)) {
+    return { ticker: null, rows: toRows(data, 'Item') };
+  }
+
+  // Our own export: trades come back as levels at the trade price
+  if (data?.format === EXPORT_FORMAT) {
+    return {
+      ticker: data.ticker || null,
+      rows: [...toRows(data.levels?.levels, 'Level'), ...toRows(data.trades?.trades, 'Trade')]
+    };
+  }
+
+  return { ticker: data?.ticker || null, rows: toRows(data?.levels, 'Level') };
+}
+
+/**
+ * Validate one imported row into { price, label, color, timestamp, rank, dollars }
+ * @returns {{ level?: Object, error?: string }}
+ */
+function normalizeImportRow(row, where) {
+  const price = Number(row.price);
+  if (!Number.isFinite(price) || price <= 0) {
+    return { error: `${where}: invalid price "${row.price ?? ''}"` };
+  }
+
+  let color = null;
+  if (row.color) {
+    color = String(row.color).trim().toUpperCase();
+    if (!color.startsWith('#')) color = `#${color}`;
+    if (!/^#[0-9A-F]{6}$/.test(color)) {
+      return { error: `${where}: invalid color "${row.color}" (use #RRGGBB)` };
+    }
+  }
+
+  let timestamp = null;
+  const rawTimestamp = row.timestamp ?? null;
+  const date = row.date || (row.dates ? String(row.dates).split(' - ')[0] : '');
+  if (rawTimestamp !== null && rawTimestamp !== '') {
+    timestamp = Number(rawTimestamp);
+    if (!Number.isFinite(timestamp) || timestamp <= 0) {
+      return { error: `${where}: invalid timestamp "${rawTimestamp}"` };
+    }
+    if (timestamp >= 1e11) timestamp /= 1000; // Milliseconds
+  } else if (date) {
+    const parsed = /^\d{4}-\d{2}-\d{2}$/.test(date) ? Date.parse(`${date}T00:00:00Z`) : NaN;
+    if (!Number.isFinite(parsed)) {
+      return { error: `${where}: invalid date "${date}" (use YYYY-MM-DD)` };
+    }
+    timestamp = parsed / 1000;
+  }
+
+  const rank = Number(row.rank);
+  const dollars = Number(row.dollars);
+  return {
+    level: {
+      price,
+      label: String(row.label ?? '').trim(),
+      color,
+      timestamp,
+      rank: Number.isInteger(rank) && rank > 0 ? rank : null,
+      dollars: Number.isFinite(dollars) && dollars > 0 ? dollars : null
+    }
+  };
+}
+
+/**
+ * Parse pasted CSV/JSON into validated levels
+ * Invalid rows are skipped and reported in errors.
+ * @param {string} text - File or clipboard contents
+ * @returns {{ ticker: string|null, levels: Object[], errors: string[] }}
+ */
+function parseImportText(text) {
+  const trimmed = String(text ?? '').trim();
+  if (!trimmed) {
+    return { ticker: null, levels: [], errors: ['Nothing to import'] };
+  }
+
+  let parsed;
+  try {
+    parsed = /^[[{]/.test(trimmed) ? readImportJson(trimmed) : readImportCsv(trimmed);
+  } catch (err) {
+    return { ticker: null, levels: [], errors: [`Invalid JSON: ${err.message}`] };
+  }
+
+  const levels = [];
+  const errors = [];
+  for (const { row, where } of parsed.rows) {
+    const { level, error } = normalizeImportRow(row || {}, where);
+    if (error) {
+      errors.push(error);
+    } else {
+      levels.push(level);
+    }
+  }
+
+  if (levels.length > IMPORT_MAX_LEVELS) {
+    errors.push(`Only the first ${IMPORT_MAX_LEVELS} of ${levels.length} levels were imported`);
+    levels.length = IMPORT_MAX_LEVELS;
+  }
+  if (parsed.rows.length === 0) {
+    errors.push('No rows found');
+  }
+
+  return { ticker: parsed.ticker, levels, errors };
+}
+
+// Export as global object for use in popup.js
+var levelExport = {
+  EXPORT_FORMAT,
+  EXPORT_CSV_COLUMNS,
+  buildExportData,
+  formatExportJson,
+  formatExportCsv,
+  buildExportFilename,
+  parseImportText
+};
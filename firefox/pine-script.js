@@ -0,0 +1,163 @@
+/**
+ * VL TradingView Bridge - Pine Script Export
+ *
+ * Turns the levels, zones and trade rays last drawn on the chart into a
+ * self-contained Pine v5 indicator, so charts can be shared with people who
+ * don't run the extension. Used by the popup.
+ */
+
+const PINE_LINE_STYLES = ['line.style_solid', 'line.style_dotted', 'line.style_dashed'];
+
+// Same fallbacks as content-script.js / injected.js
+const PINE_DEFAULT_LEVEL_COLOR = '#02A9DE';
+const PINE_DEFAULT_LIT_COLOR = '#2962FF';
+const PINE_DEFAULT_DARK_POOL_COLOR = '#FF9800';
+const PINE_ZONE_LINE_WIDTH = 4;
+
+// Helpers written at the top of every script: one ray/line, one zone box
+const PINE_HELPERS = [
+  '// Horizontal ray from startTime (or a full-width line when startTime is 0), labelled on the right',
+  'vlLine(float price, int startTime, color c, int w, string s, string txt) =>',
+  '    bool fromStart = startTime > 0',
+  '    int x1 = fromStart ? startTime : time',
+  '    line.new(x1, price, x1 + 1, price, xloc = xloc.bar_time, extend = fromStart ? extend.right : extend.both, color = c, style = s, width = w)',
+  '    label.new(time, price, txt, xloc = xloc.bar_time, color = color(na), style = label.style_label_left, textcolor = c, size = size.normal)',
+  '',
+  '// Line between startTime and endTime (segment mode), labelled at its end',
+  'vlSegment(float price, int startTime, int endTime, color c, int w, string s, string txt) =>',
+  '    line.new(startTime, price, endTime, price, xloc = xloc.bar_time, extend = extend.none, color = c, style = s, width = w)',
+  '    label.new(endTime, price, txt, xloc = xloc.bar_time, color = color(na), style = label.style_label_left, textcolor = c, size = size.normal)',
+  '',
+  '// Shaded price range from startTime (or the last bar) to endTime, extending right when endTime is 0',
+  'vlZone(float top, float bottom, int startTime, int endTime, color border, color fill, string txt) =>',
+  '    int x1 = startTime > 0 ? startTime : time',
+  '    bool bounded = endTime > x1',
+  '    box.new(x1, top, bounded ? endTime : x1 + 1, bottom, xloc = xloc.bar_time, extend = bounded ? extend.none : extend.right, border_color = border, border_width = 1, bgcolor = fill, text = txt, text_color = border, text_halign = text.align_right, text_valign = text.align_center)'
+];
+
+/**
+ * Pine color literal with the given opacity (Pine uses transparency: 0 = opaque)
+ */
+function toPineColor(color, opacity = 100) {
+  const hex = /^#[0-9A-F]{6}$/i.test(color || '') ? color.toUpperCase() : PINE_DEFAULT_LEVEL_COLOR;
+  const value = Number(opacity);
+  const pct = Number.isFinite(value) ? Math.max(0, Math.min(100, value)) : 100;
+  return `color.new(${hex}, ${100 - pct})`;
+}
+
+/**
+ * Quote a label as a Pine string literal
+ */
+function toPineString(text) {
+  return `"${String(text ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, ' ')}"`;
+}
+
+function toPineNumber(value) {
+  return Number.isFinite(value) ? String(Number(value.toFixed(6))) : 'na';
+}
+
+/**
+ * Unix seconds -> Pine bar_time milliseconds (0 = no start time)
+ */
+function toPineTime(timestamp) {
+  return Number.isFinite(timestamp) && timestamp > 0 ? String(Math.round(timestamp * 1000)) : '0';
+}
+
+function toPineLineStyle(style) {
+  return PINE_LINE_STYLES[style] || PINE_LINE_STYLES[0];
+}
+
+/**
+ * Pine calls for drawn levels and zones, using the options they were drawn with
+ */
+function buildLevelCalls(section) {
+  const options = section.options || {};
+  const style = toPineLineStyle(options.style);
+
+  return section.items.map(item => {
+    const color = toPineColor(item.color || options.color, item.opacity ?? options.opacity ?? 100);
+    const segment = Number.isFinite(item.endTimestamp) && item.endTimestamp > item.timestamp;
+
+    if (item.type !== 'zone' && segment) {
+      return `vlSegment(${toPineNumber(item.price)}, ${toPineTime(item.timestamp)}, ${toPineTime(item.endTimestamp)}, ${color}, ${item.width || options.width || 2}, ${style}, ${toPineString(item.label)})`;
+    }
+
+    if (item.type !== 'zone') {
+      return `vlLine(${toPineNumber(item.price)}, ${toPineTime(item.timestamp)}, ${color}, ${item.width || options.width || 2}, ${style}, ${toPineString(item.label)})`;
+    }
+
+    if (options.zoneStyle === 'rectangle') {
+      const fill = toPineColor(item.color || options.color, item.fillOpacity ?? options.zoneFillOpacity ?? 20);
+      const endTime = segment ? toPineTime(item.endTimestamp) : '0';
+      return `vlZone(${toPineNumber(item.highPrice)}, ${toPineNumber(item.lowPrice)}, ${toPineTime(item.timestamp)}, ${endTime}, ${color}, ${fill}, ${toPineString(item.label)})`;
+    }
+
+    const price = item.anchorPrice ?? item.midPrice;
+    if (segment) {
+      return `vlSegment(${toPineNumber(price)}, ${toPineTime(item.timestamp)}, ${toPineTime(item.endTimestamp)}, ${color}, ${PINE_ZONE_LINE_WIDTH}, ${style}, ${toPineString(item.label)})`;
+    }
+    return `vlLine(${toPineNumber(price)}, ${toPineTime(item.timestamp)}, ${color}, ${PINE_ZONE_LINE_WIDTH}, ${style}, ${toPineString(item.label)})`;
+  });
+}
+
+/**
+ * Pine calls for drawn trade rays (lit and dark pool colors)
+ */
+function buildTradeCalls(section) {
+  const options = section.options || {};
+
+  return section.items
+    .filter(trade => Number.isFinite(trade.timestamp) && trade.timestamp > 0)
+    .map(trade => {
+      const color = toPineColor(trade.darkPool
+        ? options.tradeDarkPoolColor || PINE_DEFAULT_DARK_POOL_COLOR
+        : options.tradeLitColor || PINE_DEFAULT_LIT_COLOR);
+      return `vlLine(${toPineNumber(trade.price)}, ${toPineTime(trade.timestamp)}, ${color}, ${options.tradeThickness || 2}, line.style_solid, ${toPineString(trade.label)})`;
+    });
+}
+
+/**
+ * Build a Pine v5 indicator from the last drawn levels, manual/imported levels and trades
+ * @param {Object} drawn - { levels, manual, imported, trades }, each { symbol, items, options } or null
+ * @param {Date} now - Generation time (for the header comment)
+ * @returns {{ script: string, symbol: string|null, counts: Object }}
+ */
+function buildPineScript(drawn = {}, now = new Date()) {
+  const symbol = drawn.levels?.symbol || drawn.manual?.symbol || drawn.imported?.symbol || drawn.trades?.symbol || null;
+  const forSymbol = section => (section && String(section.symbol).toUpperCase() === String(symbol).toUpperCase()
+    ? section
+    : null);
+
+  const levelSections = [drawn.levels, drawn.manual, drawn.imported].map(forSymbol).filter(Boolean);
+  const trades = forSymbol(drawn.trades);
+
+  const levelCalls = levelSections.flatMap(buildLevelCalls);
+  const tradeCalls = trades ? buildTradeCalls(trades) : [];
+  const allItems = levelSections.flatMap(section => section.items);
+  const counts = {
+    levels: allItems.filter(item => item.type !== 'zone').length,
+    zones: allItems.filter(item => item.type === 'zone').length,
+    trades: tradeCalls.length
+  };
+
+  const lines = [
+    '//@version=5',
+    `indicator(${toPineString(`VL Levels ${symbol || ''}`.trim())}, overlay = true, max_lines_count = 500, max_labels_count = 500, max_boxes_count = 500)`,
+    '',
+    `// Generated by VL TradingView Bridge on ${now.toISOString().slice(0, 10)}: ${counts.levels} levels, ${counts.zones} zones, ${counts.trades} trades`,
+    '',
+    ...PINE_HELPERS,
+    '',
+    'if barstate.islastconfirmedhistory'
+  ];
+
+  const calls = [...levelCalls, ...tradeCalls];
+  lines.push(...(calls.length > 0 ? calls.map(call => `    ${call}`) : ['    na']));
+
+  return { script: `${lines.join('\n')}\n`, symbol, counts };
+}
+
+// Export as global object for use in popup.js
+var pineScript = {
+  buildPineScript
+};
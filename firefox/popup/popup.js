@@ -3,42 +3,63 @@
  * One-click workflow: Detect TV symbol → Fetch VL levels → Draw on chart
  */
 
-/**
- * Format large dollar amounts (e.g., 1.6B, 250M)
- */
-function formatDollars(amount) {
-  if (amount >= 1e9) return `$${(amount / 1e9).toFixed(1)}B`;
-  if (amount >= 1e6) return `$${(amount / 1e6).toFixed(0)}M`;
-  if (amount >= 1e3) return `$${(amount / 1e3).toFixed(0)}K`;
-  return `$${amount.toFixed(0)}`;
-}
-
-/**
- * Format level label for TradingView line (e.g., "VL #1 $1.6B")
- * When showDates is true, includes start date (e.g., "VL #1 $1.6B 2025-09-24")
- */
-function formatLevelLabel(level, showDates = false) {
-  const parts = ['VL'];
-
-  if (level.rank) {
-    parts.push(`#${level.rank}`);
-  }
-
-  if (level.dollars) {
-    parts.push(formatDollars(level.dollars));
+// Sample data for the label template previews
+const LABEL_PREVIEW_SAMPLES = {
+  level: {
+    rank: 1, dollars: 1.6e9, volume: 39671000, trades: 214,
+    dates: '2025-09-24 - 2026-03-02', relativeSize: 2.3, cumulativeDistribution: 97
+  },
+  zone: {
+    type: 'zone',
+    levels: [
+      { rank: 7, dollars: 1.2e9, volume: 21000000, trades: 96, dates: '2024-11-04 - 2025-06-13' },
+      { rank: 9, dollars: 0.9e9, volume: 15400000, trades: 70, dates: '2025-01-21 - 2025-08-29' },
+      { rank: 10, dollars: 0.8e9, volume: 13900000, trades: 58, dates: '2025-02-10 - 2025-09-05' }
+    ],
+    aggregated: { totalDollars: 2.9e9, maxRelativeSize: 1.8, maxCumulativeDistribution: 93 }
+  },
+  trade: {
+    rank: 3, originalRank: 12, dollarVolume: 45e6, volume: 250000,
+    darkPool: true, sweep: false, timestamp: Date.parse('2026-03-02T15:30:00Z') / 1000
   }
+};
 
-  let label = parts.join(' ');
-
-  // Add start date if enabled and available
-  if (showDates && level.dates) {
-    // Extract just the start date from "YYYY-MM-DD - YYYY-MM-DD"
-    const startDate = level.dates.split(' - ')[0];
-    label += ` ${startDate}`;
-  }
+// Manual levels are stored per symbol (symbol -> [{ id, price, label, color }])
+const MANUAL_LEVELS_STORAGE_KEY = 'manualLevels';
+const MANUAL_DEFAULT_COLOR = '#E040FB';
+
+// Per-symbol overrides of a few settings (symbol -> { levelCount, clusterThreshold, ... })
+const SYMBOL_OVERRIDES_STORAGE_KEY = 'symbolOverrides';
+
+// Settings shown in the popup, by stored value type (see getSettingTypes for the per-filter/template keys)
+const SETTING_KEYS_BY_TYPE = {
+  number: [
+    'levelCount', 'tradeCount', 'yearRange', 'clusterThreshold', 'lineThickness', 'lineOpacity', 'tradeThickness',
+    'cacheTtlMinutes', 'minLevelPct', 'zoneFillOpacity', 'clusterDollarThreshold', 'clusterAtr', 'clusterAtrMultiple',
+    'importLineStyle', 'levelRecencyFreshDays', 'levelRecencyOldDays'
+  ],
+  boolean: [
+    'debugMode', 'clusteringEnabled', 'showDates', 'showOriginalTradeRank', 'showLevelStats',
+    'autoRedrawEnabled', 'autoRedrawLevels', 'autoRedrawTrades', 'liveTradesEnabled', 'multiChartEnabled', 'clusterManualLevels',
+    'levelGradientColor', 'levelGradientWidth', 'levelGradientOpacity', 'levelSegmentExtend',
+    'levelRecencyEnabled', 'levelRecencyOpacity', 'levelRecencyWidth', 'priceColoringEnabled'
+  ],
+  color: [
+    'lineColor', 'tradeLitColor', 'tradeDarkPoolColor', 'importColor', 'levelGradientStrongColor', 'levelGradientWeakColor',
+    'supportColor', 'resistanceColor', 'inPlayColor'
+  ],
+  string: [
+    'tradeLabelPosition', 'levelDateMode', 'levelStartDate', 'levelEndDate', 'zoneStyle', 'clusterMethod', 'clusterAnchor',
+    'exportFormat', 'levelGradientMode', 'levelLineMode'
+  ]
+};
+const SETTING_TYPES = Object.fromEntries(Object.entries(SETTING_KEYS_BY_TYPE)
+  .flatMap(([type, keys]) => keys.map(key => [key, type])));
 
-  return label;
-}
+// Named settings snapshots (name -> { settings, savedAt }); debug mode stays per browser
+const SETTINGS_PROFILES_STORAGE_KEY = 'settingsProfiles';
+const ACTIVE_PROFILE_STORAGE_KEY = 'activeProfile';
+const PROFILE_EXCLUDED_KEYS = ['debugMode'];
 
 // DOM elements
 const elements = {
@@ -47,6 +68,10 @@ const elements = {
   tvStatus: document.getElementById('tv-status'),
   vlStatus: document.getElementById('vl-status'),
   chartSymbol: document.getElementById('chart-symbol'),
+  nearestLevels: document.getElementById('nearest-levels'),
+  levelListPanel: document.getElementById('level-list-panel'),
+  levelListSummary: document.getElementById('level-list-summary'),
+  levelListBody: document.getElementById('level-list-body'),
   fetchDrawBtn: document.getElementById('fetch-draw-btn'),
   fetchTradesBtn: document.getElementById('fetch-trades-btn'),
   clearChartBtn: document.getElementById('clear-chart-btn'),
@@ -62,13 +87,100 @@ const elements = {
   showOriginalTradeRankToggle: document.getElementById('show-original-trade-rank-toggle'),
   tradeLabelPositionSelect: document.getElementById('trade-label-position-select'),
   yearRangeSelect: document.getElementById('year-range-select'),
+  yearRangeRow: document.getElementById('year-range-row'),
+  levelDateModeSelect: document.getElementById('level-date-mode-select'),
+  levelCustomDatesRow: document.getElementById('level-custom-dates-row'),
+  levelStartDateInput: document.getElementById('level-start-date-input'),
+  levelEndDateInput: document.getElementById('level-end-date-input'),
   clusteringToggle: document.getElementById('clustering-toggle'),
   thresholdSelect: document.getElementById('threshold-select'),
   thresholdRow: document.getElementById('threshold-row'),
+  clusterMethodSelect: document.getElementById('cluster-method-select'),
+  clusterMethodRow: document.getElementById('cluster-method-row'),
+  clusterDollarInput: document.getElementById('cluster-dollar-input'),
+  clusterDollarRow: document.getElementById('cluster-dollar-row'),
+  clusterAtrInput: document.getElementById('cluster-atr-input'),
+  clusterAtrMultipleSelect: document.getElementById('cluster-atr-multiple-select'),
+  clusterAtrRow: document.getElementById('cluster-atr-row'),
+  clusterAnchorSelect: document.getElementById('cluster-anchor-select'),
+  clusterAnchorRow: document.getElementById('cluster-anchor-row'),
+  zoneStyleSelect: document.getElementById('zone-style-select'),
+  zoneStyleRow: document.getElementById('zone-style-row'),
+  zoneFillOpacitySelect: document.getElementById('zone-fill-opacity-select'),
+  zoneFillOpacityRow: document.getElementById('zone-fill-opacity-row'),
   lineColorInput: document.getElementById('line-color-input'),
   lineThicknessSelect: document.getElementById('line-thickness-select'),
   lineOpacitySelect: document.getElementById('line-opacity-select'),
-  showDatesToggle: document.getElementById('show-dates-toggle')
+  levelLineModeSelect: document.getElementById('level-line-mode-select'),
+  levelSegmentExtendRow: document.getElementById('level-segment-extend-row'),
+  levelSegmentExtendToggle: document.getElementById('level-segment-extend-toggle'),
+  levelGradientModeSelect: document.getElementById('level-gradient-mode-select'),
+  levelGradientOptions: document.getElementById('level-gradient-options'),
+  levelGradientColorToggle: document.getElementById('level-gradient-color-toggle'),
+  levelGradientWidthToggle: document.getElementById('level-gradient-width-toggle'),
+  levelGradientOpacityToggle: document.getElementById('level-gradient-opacity-toggle'),
+  levelGradientStrongColorInput: document.getElementById('level-gradient-strong-color-input'),
+  levelGradientWeakColorInput: document.getElementById('level-gradient-weak-color-input'),
+  levelGradientBar: document.getElementById('level-gradient-bar'),
+  levelGradientStrongLabel: document.getElementById('level-gradient-strong-label'),
+  levelGradientWeakLabel: document.getElementById('level-gradient-weak-label'),
+  levelRecencyToggle: document.getElementById('level-recency-toggle'),
+  levelRecencyOptions: document.getElementById('level-recency-options'),
+  levelRecencyOpacityToggle: document.getElementById('level-recency-opacity-toggle'),
+  levelRecencyWidthToggle: document.getElementById('level-recency-width-toggle'),
+  levelRecencyFreshSelect: document.getElementById('level-recency-fresh-select'),
+  levelRecencyOldSelect: document.getElementById('level-recency-old-select'),
+  priceColoringToggle: document.getElementById('price-coloring-toggle'),
+  priceColoringOptions: document.getElementById('price-coloring-options'),
+  supportColorInput: document.getElementById('support-color-input'),
+  resistanceColorInput: document.getElementById('resistance-color-input'),
+  inPlayColorInput: document.getElementById('in-play-color-input'),
+  showDatesToggle: document.getElementById('show-dates-toggle'),
+  showLevelStatsToggle: document.getElementById('show-level-stats-toggle'),
+  minLevelPctSelect: document.getElementById('min-level-pct-select'),
+  tradeFilterSelects: document.querySelectorAll('.trade-filter'),
+  sessionFilterToggles: document.querySelectorAll('.session-filter'),
+  labelTemplateInputs: document.querySelectorAll('.label-template'),
+  liveTradesToggle: document.getElementById('live-trades-toggle'),
+  multiChartToggle: document.getElementById('multi-chart-toggle'),
+  chartResults: document.getElementById('chart-results'),
+  autoRedrawToggle: document.getElementById('auto-redraw-toggle'),
+  autoRedrawOptions: document.getElementById('auto-redraw-options'),
+  autoRedrawLevelsToggle: document.getElementById('auto-redraw-levels-toggle'),
+  autoRedrawTradesToggle: document.getElementById('auto-redraw-trades-toggle'),
+  cacheTtlSelect: document.getElementById('cache-ttl-select'),
+  clearCacheBtn: document.getElementById('clear-cache-btn'),
+  manualSummary: document.getElementById('manual-summary'),
+  manualLevelList: document.getElementById('manual-level-list'),
+  manualPriceInput: document.getElementById('manual-price-input'),
+  manualLabelInput: document.getElementById('manual-label-input'),
+  manualColorInput: document.getElementById('manual-color-input'),
+  manualAddBtn: document.getElementById('manual-add-btn'),
+  clusterManualToggle: document.getElementById('cluster-manual-toggle'),
+  manualDrawBtn: document.getElementById('manual-draw-btn'),
+  manualClearBtn: document.getElementById('manual-clear-btn'),
+  exportFormatSelect: document.getElementById('export-format-select'),
+  exportBtn: document.getElementById('export-btn'),
+  copyPineBtn: document.getElementById('copy-pine-btn'),
+  importText: document.getElementById('import-text'),
+  importColorInput: document.getElementById('import-color-input'),
+  importLineStyleSelect: document.getElementById('import-line-style-select'),
+  importBtn: document.getElementById('import-btn'),
+  clearImportBtn: document.getElementById('clear-import-btn'),
+  importErrors: document.getElementById('import-errors'),
+  symbolOverrideBadge: document.getElementById('symbol-override-badge'),
+  symbolOverrideTitle: document.getElementById('symbol-override-title'),
+  symbolOverrideSummary: document.getElementById('symbol-override-summary'),
+  symbolOverrideInputs: document.querySelectorAll('.symbol-override'),
+  overrideSaveBtn: document.getElementById('override-save-btn'),
+  overrideClearBtn: document.getElementById('override-clear-btn'),
+  profileSelect: document.getElementById('profile-select'),
+  profileNameInput: document.getElementById('profile-name-input'),
+  profileSaveBtn: document.getElementById('profile-save-btn'),
+  profileDeleteBtn: document.getElementById('profile-delete-btn'),
+  profileExportBtn: document.getElementById('profile-export-btn'),
+  profileImportText: document.getElementById('profile-import-text'),
+  profileImportBtn: document.getElementById('profile-import-btn')
 };
 
 // State
@@ -77,33 +189,37 @@ let tvReady = false;
 let vlReady = false;
 let currentSymbol = null;
 let currentTabId = null;
+let manualLevels = []; // Manual levels for currentSymbol
+let levelList = []; // Drawn levels/zones for currentSymbol ({ item, hidden })
+let levelGradientRange = null; // { mode, strongest, weakest } from the last levels draw
+let symbolOverride = {}; // Override settings for currentSymbol
+let profiles = {}; // Saved settings profiles (name -> { settings, savedAt })
+let activeProfile = ''; // Name of the last applied/saved profile
 
 /**
- * Initialize popup
+ * Storage keys edited in the popup with their value types, including the per-filter and label template keys
  */
-async function init() {
-  console.log('🎛️ Popup initialized');
-
-  // Display version from manifest
-  const manifest = browser.runtime.getManifest();
-  elements.version.textContent = `v${manifest.version}`;
-
-  // Get current tab
-  const tabs = await browser.tabs.query({ active: true, currentWindow: true });
-  currentTabId = tabs[0]?.id;
+function getSettingTypes() {
+  return {
+    ...SETTING_TYPES,
+    ...Object.fromEntries(Object.values(labelTemplates.LABEL_TEMPLATE_STORAGE_KEYS).map(key => [key, 'string'])),
+    ...Object.fromEntries(Array.from(elements.tradeFilterSelects, select => [select.dataset.filterKey, 'number'])),
+    ...Object.fromEntries(Array.from(elements.sessionFilterToggles, toggle => [toggle.dataset.filterKey, 'boolean']))
+  };
+}
 
-  // Check statuses in parallel
-  await Promise.all([
-    checkTradingView(tabs[0]),
-    checkVlAuth()
-  ]);
+/**
+ * Storage keys edited in the popup
+ */
+function getSettingKeys() {
+  return Object.keys(getSettingTypes());
+}
 
-  // Load settings
-  const stored = await browser.storage.local.get([
-    'debugMode', 'levelCount', 'tradeCount', 'yearRange', 'clusteringEnabled', 'clusterThreshold',
-    'lineColor', 'lineThickness', 'lineOpacity', 'showDates', 'tradeLitColor', 'tradeDarkPoolColor', 'tradeThickness',
-    'showOriginalTradeRank', 'tradeLabelPosition'
-  ]);
+/**
+ * Load stored settings into the controls (also used when a profile is applied)
+ */
+async function loadSettings() {
+  const stored = await browser.storage.local.get(getSettingKeys());
   elements.debugToggle.checked = stored.debugMode || false;
   elements.levelCountSelect.value = stored.levelCount ?? 10;
   elements.tradeCountSelect.value = stored.tradeCount ?? 5;
@@ -112,14 +228,103 @@ async function init() {
   elements.tradeThicknessSelect.value = stored.tradeThickness ?? 2;
   elements.showOriginalTradeRankToggle.checked = stored.showOriginalTradeRank || false;
   elements.yearRangeSelect.value = stored.yearRange ?? 5;
+  elements.levelDateModeSelect.value = stored.levelDateMode || 'years';
+  elements.levelStartDateInput.value = stored.levelStartDate || '';
+  elements.levelEndDateInput.value = stored.levelEndDate || '';
   elements.clusteringToggle.checked = stored.clusteringEnabled !== false; // Default true
   elements.thresholdSelect.value = stored.clusterThreshold ?? 1.0;
+  elements.clusterMethodSelect.value = stored.clusterMethod || 'percent';
+  elements.clusterDollarInput.value = stored.clusterDollarThreshold ?? '';
+  elements.clusterAtrInput.value = stored.clusterAtr ?? '';
+  elements.clusterAtrMultipleSelect.value = stored.clusterAtrMultiple ?? 0.5;
+  elements.clusterAnchorSelect.value = stored.clusterAnchor || 'mid';
+  elements.zoneStyleSelect.value = stored.zoneStyle || 'line';
+  elements.zoneFillOpacitySelect.value = stored.zoneFillOpacity ?? 20;
   elements.lineColorInput.value = stored.lineColor ?? '#2962FF';
   elements.lineThicknessSelect.value = stored.lineThickness ?? 2;
   elements.lineOpacitySelect.value = stored.lineOpacity ?? 100;
+  elements.levelLineModeSelect.value = stored.levelLineMode || 'ray';
+  elements.levelSegmentExtendToggle.checked = stored.levelSegmentExtend || false; // Default false
+  elements.levelGradientModeSelect.value = stored.levelGradientMode || 'off';
+  elements.levelGradientColorToggle.checked = stored.levelGradientColor !== false; // Default true
+  elements.levelGradientWidthToggle.checked = stored.levelGradientWidth || false; // Default false
+  elements.levelGradientOpacityToggle.checked = stored.levelGradientOpacity || false; // Default false
+  elements.levelGradientStrongColorInput.value = stored.levelGradientStrongColor ?? '#FF1744';
+  elements.levelGradientWeakColorInput.value = stored.levelGradientWeakColor ?? '#FFEB3B';
+  elements.levelRecencyToggle.checked = stored.levelRecencyEnabled || false; // Default false
+  elements.levelRecencyOpacityToggle.checked = stored.levelRecencyOpacity !== false; // Default true
+  elements.levelRecencyWidthToggle.checked = stored.levelRecencyWidth || false; // Default false
+  elements.levelRecencyFreshSelect.value = stored.levelRecencyFreshDays ?? 30;
+  elements.levelRecencyOldSelect.value = stored.levelRecencyOldDays ?? 365;
+  elements.priceColoringToggle.checked = stored.priceColoringEnabled || false; // Default false
+  elements.supportColorInput.value = stored.supportColor ?? '#26A69A';
+  elements.resistanceColorInput.value = stored.resistanceColor ?? '#EF5350';
+  elements.inPlayColorInput.value = stored.inPlayColor ?? '#FFB300';
   elements.showDatesToggle.checked = stored.showDates || false; // Default false
+  elements.showLevelStatsToggle.checked = stored.showLevelStats || false; // Default false
+  elements.minLevelPctSelect.value = stored.minLevelPct ?? 0;
   elements.tradeLabelPositionSelect.value = stored.tradeLabelPosition || 'right';
+  elements.cacheTtlSelect.value = stored.cacheTtlMinutes ?? 60;
+  elements.liveTradesToggle.checked = stored.liveTradesEnabled || false; // Default false
+  elements.multiChartToggle.checked = stored.multiChartEnabled || false; // Default false
+  elements.clusterManualToggle.checked = stored.clusterManualLevels || false; // Default false
+  elements.exportFormatSelect.value = stored.exportFormat || 'csv';
+  elements.importColorInput.value = stored.importColor ?? '#00BCD4';
+  elements.importLineStyleSelect.value = stored.importLineStyle ?? 2;
+  elements.autoRedrawToggle.checked = stored.autoRedrawEnabled || false; // Default false
+  elements.autoRedrawLevelsToggle.checked = stored.autoRedrawLevels !== false; // Default true
+  elements.autoRedrawTradesToggle.checked = stored.autoRedrawTrades || false; // Default false
+  updateAutoRedrawVisibility();
+  for (const select of elements.tradeFilterSelects) {
+    if (stored[select.dataset.filterKey] !== undefined) {
+      select.value = stored[select.dataset.filterKey];
+    }
+  }
+  for (const toggle of elements.sessionFilterToggles) {
+    toggle.checked = stored[toggle.dataset.filterKey] !== false; // Default true
+  }
+  for (const input of elements.labelTemplateInputs) {
+    const type = input.dataset.templateType;
+    input.placeholder = labelTemplates.DEFAULT_LABEL_TEMPLATES[type];
+    input.value = stored[labelTemplates.LABEL_TEMPLATE_STORAGE_KEYS[type]] || '';
+  }
+  updateLabelPreviews();
+  updateLevelGradientLegend();
+  updateLevelLineModeVisibility();
+  updateLevelRecencyVisibility();
+  updatePriceColoringVisibility();
   updateThresholdVisibility();
+  updateLevelDateModeVisibility();
+}
+
+/**
+ * Initialize popup
+ */
+async function init() {
+  console.log('🎛️ Popup initialized');
+
+  // Display version from manifest
+  const manifest = browser.runtime.getManifest();
+  elements.version.textContent = `v${manifest.version}`;
+
+  // Get current tab
+  const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+  currentTabId = tabs[0]?.id;
+
+  // Check statuses in parallel
+  await Promise.all([
+    checkTradingView(tabs[0]),
+    checkVlAuth()
+  ]);
+
+  // Load settings and profiles
+  await loadSettings();
+  await loadProfiles();
+  await loadManualLevels();
+  setupSymbolOverrideInputs();
+  await loadSymbolOverride();
+  await loadNearestLevels();
+  await loadLevelList();
 
   // Set up event listeners
   setupEventListeners();
@@ -179,6 +384,192 @@ async function checkTradingView(tab) {
   }
 }
 
+/**
+ * Show the chart price with the closest VL levels/zones above and below it
+ */
+async function loadNearestLevels() {
+  if (!tvReady || !currentSymbol) {
+    elements.nearestLevels.replaceChildren();
+    return;
+  }
+
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: 'GET_NEAREST_LEVELS',
+      symbol: currentSymbol,
+      tabId: currentTabId
+    });
+    renderNearestLevels(response);
+  } catch (err) {
+    console.warn('Could not load nearest levels:', err);
+    elements.nearestLevels.replaceChildren();
+  }
+}
+
+function renderNearestLevels(response) {
+  if (!response?.success) {
+    elements.nearestLevels.replaceChildren();
+    return;
+  }
+
+  const row = (className, text) => {
+    const div = document.createElement('div');
+    div.className = className;
+    div.textContent = text;
+    return div;
+  };
+
+  const rows = [row('nearest-price', `Last $${response.price.toFixed(2)}`)];
+  if (!response.hasLevels) {
+    rows.push(row('nearest-empty', 'Draw levels to see the nearest ones'));
+  } else {
+    rows.push(row('nearest-above', `▲ ${describeNearestLevel(response.above, '+')}`));
+    if (response.inPlay) {
+      rows.push(row('nearest-in-play', `◆ ${describeNearestLevel(response.inPlay, '')}`));
+    }
+    rows.push(row('nearest-below', `▼ ${describeNearestLevel(response.below, '-')}`));
+  }
+  elements.nearestLevels.replaceChildren(...rows);
+}
+
+/**
+ * One readout line: price (or zone range), rank, distance and dollars
+ */
+function describeNearestLevel(entry, sign) {
+  if (!entry) return 'No level';
+
+  const parts = [entry.type === 'zone'
+    ? `Zone $${entry.lowPrice.toFixed(2)}-$${entry.highPrice.toFixed(2)}`
+    : `$${entry.price.toFixed(2)}`];
+  if (entry.rank) parts[0] += ` #${entry.rank}`;
+  parts.push(sign
+    ? `${sign}$${entry.distance.toFixed(2)} (${sign}${entry.distancePct.toFixed(2)}%)`
+    : entry.type === 'zone' ? 'price inside' : 'at price');
+  if (entry.dollars) parts.push(labelTemplates.formatDollars(entry.dollars));
+  return parts.join(' · ');
+}
+
+/**
+ * List the levels and zones drawn for the current symbol that are still on the chart
+ * Items come from the background (as last drawn); the content script knows their shapes.
+ */
+async function loadLevelList() {
+  levelList = [];
+
+  if (tvReady && currentSymbol) {
+    try {
+      const [drawn, shapes] = await Promise.all([
+        browser.runtime.sendMessage({ type: 'GET_DRAWN_ITEMS', symbol: currentSymbol }),
+        browser.tabs.sendMessage(currentTabId, { type: 'GET_DRAWN_LEVELS', symbol: currentSymbol })
+      ]);
+      const onChart = new Map((shapes?.levels || []).map(level => [level.key, level]));
+      const symbol = currentSymbol.toUpperCase();
+
+      levelList = ['levels', 'manual', 'imported']
+        .map(kind => drawn?.[kind])
+        .filter(section => section && String(section.symbol).toUpperCase() === symbol)
+        .flatMap(section => section.items)
+        .filter(item => item.key && onChart.has(item.key))
+        .map(item => ({ item, hidden: onChart.get(item.key).hidden }))
+        .sort((a, b) => getListPrice(b.item) - getListPrice(a.item));
+    } catch (err) {
+      console.warn('Could not load the level list:', err);
+    }
+  }
+
+  renderLevelList();
+}
+
+function getListPrice(item) {
+  return item.type === 'zone' ? item.highPrice : item.price;
+}
+
+function renderLevelList() {
+  elements.levelListPanel.style.display = levelList.length > 0 ? 'flex' : 'none';
+  const hiddenCount = levelList.filter(row => row.hidden).length;
+  elements.levelListSummary.textContent = `${levelList.length} drawn for ${currentSymbol}` +
+    (hiddenCount > 0 ? ` · ${hiddenCount} hidden` : '');
+
+  elements.levelListBody.replaceChildren(...levelList.map(row => {
+    const { item } = row;
+    const tr = document.createElement('tr');
+    tr.classList.toggle('hidden-level', row.hidden);
+
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = !row.hidden;
+    toggle.title = row.hidden ? 'Show on chart' : 'Hide on chart';
+    toggle.addEventListener('change', () => setLevelVisible(row, toggle.checked));
+
+    const price = document.createElement('div');
+    price.textContent = item.type === 'zone'
+      ? `$${item.lowPrice.toFixed(2)}-$${item.highPrice.toFixed(2)}`
+      : `$${item.price.toFixed(2)}${item.manual ? ' ✎' : item.imported ? ' ⇪' : ''}`;
+    const priceCell = [price];
+    if (item.type === 'zone') {
+      const members = document.createElement('div');
+      members.className = 'level-list-members';
+      members.textContent = (item.levels || [])
+        .map(level => `$${level.price.toFixed(2)}${level.rank ? ` #${level.rank}` : ''}`)
+        .join(', ');
+      priceCell.push(members);
+    }
+
+    const cells = [[toggle], priceCell, [describeListRank(item)], [describeListDollars(item)], [describeListDates(item)]];
+    tr.append(...cells.map(content => {
+      const td = document.createElement('td');
+      td.append(...content);
+      return td;
+    }));
+    return tr;
+  }));
+}
+
+function describeListRank(item) {
+  if (item.type !== 'zone') return item.rank ? `#${item.rank}` : '';
+  const [best, worst] = item.aggregated?.rankRange || [];
+  if (!best) return '';
+  return best === worst ? `#${best}` : `#${best}-${worst}`;
+}
+
+function describeListDollars(item) {
+  const dollars = item.type === 'zone' ? item.aggregated?.totalDollars : item.dollars;
+  return dollars > 0 ? labelTemplates.formatDollars(dollars) : '';
+}
+
+/**
+ * First and last trade dates (zones span all their members)
+ */
+function describeListDates(item) {
+  const members = item.type === 'zone' ? item.levels || [] : [item];
+  const dates = members.flatMap(level => String(level.dates || '').split(' - ')).filter(Boolean).sort();
+  if (dates.length === 0) return '';
+  return dates[0] === dates[dates.length - 1] ? dates[0] : `${dates[0]} – ${dates[dates.length - 1]}`;
+}
+
+/**
+ * Hide or show one level's shape on the chart (no refetch)
+ */
+async function setLevelVisible(row, visible) {
+  try {
+    const response = await browser.tabs.sendMessage(currentTabId, {
+      type: 'SET_LEVELS_VISIBLE',
+      symbol: currentSymbol,
+      keys: [row.item.key],
+      visible
+    });
+    if (!response?.success || response.updated === 0) {
+      throw new Error(response?.error || 'Shape not found on the chart');
+    }
+    row.hidden = !visible;
+  } catch (err) {
+    console.error('Level visibility error:', err);
+    elements.status.textContent = `❌ Could not ${visible ? 'show' : 'hide'} level: ${err.message}`;
+  }
+
+  renderLevelList();
+}
+
 /**
  * Check VolumeLeaders authentication
  */
@@ -223,11 +614,19 @@ function setVlStatus(state, text) {
  */
 function updateButtonStates() {
   const canFetchDraw = tvReady && vlReady && currentSymbol;
-  elements.fetchDrawBtn.disabled = !canFetchDraw;
+  // Levels can still be drawn from the cache while logged out of VL
+  elements.fetchDrawBtn.disabled = !(tvReady && currentSymbol);
   elements.fetchTradesBtn.disabled = !canFetchDraw;
 
   elements.clearChartBtn.disabled = !tvReady;
 
+  elements.manualAddBtn.disabled = !currentSymbol;
+  elements.manualDrawBtn.disabled = !(tvReady && currentSymbol);
+  elements.manualClearBtn.disabled = !tvReady;
+  elements.importBtn.disabled = !(tvReady && currentSymbol);
+  elements.clearImportBtn.disabled = !(tvReady && currentSymbol);
+  elements.overrideSaveBtn.disabled = !currentSymbol;
+  elements.overrideClearBtn.disabled = !currentSymbol || Object.keys(symbolOverride).length === 0;
 }
 
 
@@ -243,6 +642,7 @@ async function fetchAndDraw() {
 
   elements.fetchDrawBtn.disabled = true;
   elements.fetchDrawBtn.disabled = true;
+  elements.chartResults.replaceChildren();
   elements.status.textContent = `Fetching levels for ${currentSymbol}...`;
 
   try {
@@ -257,6 +657,7 @@ async function fetchAndDraw() {
       type: 'FETCH_VL_LEVELS',
       symbol: currentSymbol,
       tabId: currentTabId,
+      allCharts: elements.multiChartToggle.checked,
       drawOptions: {
         color: lineColor,
         width: lineThickness,
@@ -269,10 +670,36 @@ async function fetchAndDraw() {
       throw new Error(response.error || 'Failed to fetch levels');
     }
 
-    if (response.levels.length === 0) {
+    if (response.charts) {
+      showChartResults(response.charts, 'levels');
+    } else if (response.levels.length === 0) {
       elements.status.textContent = `No VL levels found for ${currentSymbol}`;
     } else if (response.drawResult?.success) {
-      elements.status.textContent = `✅ Drew ${response.drawResult.drawn} levels for ${currentSymbol}`;
+      let statusText = `✅ Drew ${response.drawResult.drawn} levels for ${currentSymbol}`;
+      if (response.stale) {
+        statusText = `⚠️ VL unavailable - drew ${response.drawResult.drawn} cached levels for ${currentSymbol} (${response.startDate} to ${response.endDate}, ${labelTemplates.formatCacheAge(response.cacheAgeMs)} old)`;
+      } else if (response.source === 'intercept') {
+        statusText += ` (captured from VL ${labelTemplates.formatCacheAge(response.cacheAgeMs)} ago)`;
+      } else if (response.cached) {
+        statusText += ` (cached ${labelTemplates.formatCacheAge(response.cacheAgeMs)} ago)`;
+      }
+      if (response.sessionFilter) {
+        statusText += ` · ${response.sessionFilter}`;
+      }
+      if (response.filteredCount > 0) {
+        statusText += ` · ${response.filteredCount} below PCT filter`;
+      }
+      const { support = 0, resistance = 0, inPlay = 0 } = response.drawResult;
+      if (support + resistance + inPlay > 0) {
+        statusText += ` · ${support} support, ${resistance} resistance${inPlay > 0 ? `, ${inPlay} in play` : ''}`;
+      }
+      elements.status.textContent = statusText;
+      if (response.gradient) {
+        levelGradientRange = response.gradient;
+        updateLevelGradientLegend();
+      }
+      await loadNearestLevels();
+      await loadLevelList();
     } else {
       elements.status.textContent = `⚠️ Fetched ${response.count} levels but draw failed`;
     }
@@ -298,6 +725,7 @@ async function fetchAndDrawTrades() {
 
   elements.fetchTradesBtn.disabled = true;
   elements.fetchTradesBtn.disabled = true;
+  elements.chartResults.replaceChildren();
   elements.status.textContent = `Fetching large trades for ${currentSymbol}...`;
 
   try {
@@ -313,6 +741,7 @@ async function fetchAndDrawTrades() {
       type: 'FETCH_VL_TRADES',
       symbol: currentSymbol,
       tabId: currentTabId,
+      allCharts: elements.multiChartToggle.checked,
       tradeCount: tradeCount,
       drawOptions: {
         tradeLitColor,
@@ -327,7 +756,9 @@ async function fetchAndDrawTrades() {
       throw new Error(response.error || 'Failed to fetch trades');
     }
 
-    if (response.trades.length === 0) {
+    if (response.charts) {
+      showChartResults(response.charts, 'trades');
+    } else if (response.trades.length === 0) {
       elements.status.textContent = `No large trades found for ${currentSymbol}`;
     } else if (response.drawResult?.success) {
       const dpCount = response.drawResult.darkPoolCount || 0;
@@ -337,6 +768,9 @@ async function fetchAndDrawTrades() {
       if (skippedCount > 0) {
         statusText += ` · ${skippedCount} outside range`;
       }
+      if (response.sessionFilter) {
+        statusText += ` · ${response.sessionFilter}`;
+      }
       elements.status.textContent = statusText;
     } else {
       elements.status.textContent = `⚠️ Fetched ${response.count} trades but draw failed`;
@@ -352,6 +786,31 @@ async function fetchAndDrawTrades() {
   updateButtonStates();
 }
 
+/**
+ * Show one result line per chart of a multi-chart layout
+ */
+function showChartResults(charts, kind) {
+  const drawn = charts.filter(chart => chart.drawResult?.success).length;
+  elements.status.textContent = `✅ Drew ${kind} on ${drawn} of ${charts.length} charts`;
+
+  elements.chartResults.replaceChildren(...charts.map(chart => {
+    const row = document.createElement('div');
+    const name = Number.isInteger(chart.chartIndex) ? `Chart ${chart.chartIndex + 1}` : 'Active chart';
+    row.textContent = `${name} · ${chart.symbol || '?'}: ${describeChartResult(chart, kind)}`;
+    return row;
+  }));
+}
+
+function describeChartResult(chart, kind) {
+  if (!chart.success) return `❌ ${chart.error}`;
+
+  const count = (kind === 'levels' ? chart.levels : chart.trades)?.length || 0;
+  if (count === 0) return `no ${kind} found`;
+  if (!chart.drawResult?.success) return `⚠️ fetched ${count} ${kind} but draw failed`;
+
+  return `✅ ${chart.drawResult.drawn} ${kind}${chart.stale ? ' (cached, VL unavailable)' : ''}`;
+}
+
 /**
  * Clear all VL lines from chart
  */
@@ -359,12 +818,14 @@ async function clearChart() {
   if (!tvReady) return;
 
   try {
-    const response = await browser.tabs.sendMessage(currentTabId, {
-      type: 'CLEAR_DRAWN'
+    const response = await browser.runtime.sendMessage({
+      type: 'CLEAR_DRAWN_LEVELS',
+      tabId: currentTabId
     });
 
     if (response?.success) {
       elements.status.textContent = `🗑️ Cleared ${response.removed} levels from chart`;
+      await loadLevelList();
     }
   } catch (err) {
     console.error('Clear error:', err);
@@ -374,6 +835,618 @@ async function clearChart() {
 
 
 
+/**
+ * Load the current symbol's manual levels into the Manual tab
+ */
+async function loadManualLevels() {
+  const stored = await browser.storage.local.get(MANUAL_LEVELS_STORAGE_KEY);
+  manualLevels = currentSymbol ? stored[MANUAL_LEVELS_STORAGE_KEY]?.[currentSymbol.toUpperCase()] || [] : [];
+  renderManualLevels();
+}
+
+/**
+ * Store the current symbol's manual levels (other symbols are left untouched)
+ */
+async function saveManualLevels(levels) {
+  const stored = await browser.storage.local.get(MANUAL_LEVELS_STORAGE_KEY);
+  const bySymbol = stored[MANUAL_LEVELS_STORAGE_KEY] || {};
+  const key = currentSymbol.toUpperCase();
+
+  if (levels.length > 0) {
+    bySymbol[key] = [...levels].sort((a, b) => a.price - b.price);
+  } else {
+    delete bySymbol[key];
+  }
+
+  await browser.storage.local.set({ [MANUAL_LEVELS_STORAGE_KEY]: bySymbol });
+  manualLevels = bySymbol[key] || [];
+  renderManualLevels();
+}
+
+/**
+ * Validate manual level inputs; returns null when the price is not usable
+ */
+function parseManualLevel(values) {
+  const price = parseFloat(values.price);
+  if (!Number.isFinite(price) || price <= 0) return null;
+
+  return {
+    price,
+    label: values.label?.trim() || '',
+    color: normalizeColorForDraw(values.color, '')
+  };
+}
+
+function renderManualLevels() {
+  elements.manualSummary.textContent = currentSymbol
+    ? `${manualLevels.length} manual level${manualLevels.length === 1 ? '' : 's'} for ${currentSymbol}`
+    : 'Open a TradingView chart to add levels';
+
+  elements.manualLevelList.replaceChildren(...manualLevels.map(level => {
+    const row = document.createElement('div');
+    row.className = 'manual-level';
+
+    const price = createManualInput('number', level.price, 'manual-input price');
+    price.min = '0';
+    price.step = '0.01';
+    const label = createManualInput('text', level.label, 'manual-input');
+    label.placeholder = String(level.price);
+    const color = createManualInput('text', level.color, 'manual-input color');
+    color.placeholder = MANUAL_DEFAULT_COLOR;
+    color.maxLength = 7;
+
+    for (const input of [price, label, color]) {
+      input.addEventListener('change', () => updateManualLevel(level.id, {
+        price: price.value,
+        label: label.value,
+        color: color.value
+      }));
+    }
+
+    const remove = document.createElement('button');
+    remove.className = 'btn text';
+    remove.textContent = '✕';
+    remove.title = 'Delete level';
+    remove.addEventListener('click', () => deleteManualLevel(level.id));
+
+    row.append(price, label, color, remove);
+    return row;
+  }));
+}
+
+function createManualInput(type, value, className) {
+  const input = document.createElement('input');
+  input.type = type;
+  input.className = className;
+  input.value = value ?? '';
+  return input;
+}
+
+async function addManualLevel() {
+  if (!currentSymbol) return;
+
+  const level = parseManualLevel({
+    price: elements.manualPriceInput.value,
+    label: elements.manualLabelInput.value,
+    color: elements.manualColorInput.value
+  });
+  if (!level) {
+    elements.status.textContent = '❌ Enter a price above 0';
+    return;
+  }
+
+  const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  await saveManualLevels([...manualLevels, { id, ...level }]);
+
+  elements.manualPriceInput.value = '';
+  elements.manualLabelInput.value = '';
+  elements.status.textContent = `✎ Added manual level at ${level.price} for ${currentSymbol}`;
+}
+
+async function updateManualLevel(id, values) {
+  const level = parseManualLevel(values);
+  if (!level) {
+    elements.status.textContent = '❌ Enter a price above 0';
+    renderManualLevels(); // Restore the stored values
+    return;
+  }
+
+  await saveManualLevels(manualLevels.map(existing => (existing.id === id ? { ...existing, ...level } : existing)));
+}
+
+async function deleteManualLevel(id) {
+  await saveManualLevels(manualLevels.filter(level => level.id !== id));
+}
+
+/**
+ * Draw the current symbol's manual levels (background clusters them with VL levels if enabled)
+ */
+async function drawManualLevels() {
+  if (!tvReady || !currentSymbol) return;
+
+  elements.manualDrawBtn.disabled = true;
+  elements.chartResults.replaceChildren();
+
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: 'DRAW_MANUAL_LEVELS',
+      symbol: currentSymbol,
+      tabId: currentTabId
+    });
+
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to draw manual levels');
+    }
+
+    if (response.manual) {
+      elements.status.textContent = `✎ Drew ${response.drawResult?.drawn ?? 0} manual levels for ${currentSymbol}`;
+    } else if (response.drawResult?.success) {
+      elements.status.textContent = `✅ Drew ${response.drawResult.drawn} levels for ${currentSymbol} (${response.manualCount} manual, clustered)`;
+    } else {
+      elements.status.textContent = `⚠️ Fetched ${response.count} levels but draw failed`;
+    }
+    await loadLevelList();
+  } catch (err) {
+    console.error('Draw manual levels error:', err);
+    elements.status.textContent = `❌ ${err.message}`;
+  }
+
+  updateButtonStates();
+}
+
+/**
+ * Remove manual lines from the chart without touching VL lines or stored levels
+ */
+async function clearManualLevels() {
+  if (!tvReady) return;
+
+  try {
+    const response = await browser.runtime.sendMessage({ type: 'CLEAR_MANUAL_LEVELS', tabId: currentTabId });
+    if (response?.success) {
+      elements.status.textContent = `🗑️ Removed ${response.removed} manual levels from chart`;
+      await loadLevelList();
+    }
+  } catch (err) {
+    console.error('Clear manual levels error:', err);
+    elements.status.textContent = `❌ Clear failed: ${err.message}`;
+  }
+}
+
+async function handleClusterManualToggle() {
+  const enabled = elements.clusterManualToggle.checked;
+  await browser.storage.local.set({ clusterManualLevels: enabled });
+  console.log('⚙️ Cluster manual levels with VL levels:', enabled);
+}
+
+/**
+ * Fill the override selects with the matching global select's options, plus "Global"
+ */
+function setupSymbolOverrideInputs() {
+  for (const input of elements.symbolOverrideInputs) {
+    const source = input.dataset.optionsFrom && document.getElementById(input.dataset.optionsFrom);
+    if (!source) continue;
+    input.replaceChildren(
+      new Option('Global', ''),
+      ...Array.from(source.options, option => new Option(option.text, option.value))
+    );
+  }
+}
+
+/**
+ * Load the current symbol's override settings
+ */
+async function loadSymbolOverride() {
+  const stored = await browser.storage.local.get(SYMBOL_OVERRIDES_STORAGE_KEY);
+  symbolOverride = (currentSymbol && stored[SYMBOL_OVERRIDES_STORAGE_KEY]?.[currentSymbol.toUpperCase()]) || {};
+  renderSymbolOverride();
+}
+
+/**
+ * Summary of an override (e.g., "30 levels · 2% cluster · 10 trades")
+ */
+function describeSymbolOverride(override) {
+  const parts = [];
+  if (override.levelCount !== undefined) parts.push(`${override.levelCount} levels`);
+  if (override.yearRange !== undefined) parts.push(`${override.yearRange}y range`);
+  if (override.clusteringEnabled !== undefined) parts.push(override.clusteringEnabled ? 'clustering on' : 'clustering off');
+  if (override.clusterThreshold !== undefined) parts.push(`${override.clusterThreshold}% cluster`);
+  if (override.lineColor) parts.push(`line ${override.lineColor}`);
+  if (override.tradeCount !== undefined) parts.push(`${override.tradeCount} trades`);
+  if (override.tradeLitColor) parts.push(`lit ${override.tradeLitColor}`);
+  if (override.tradeDarkPoolColor) parts.push(`dark pool ${override.tradeDarkPoolColor}`);
+  return parts.join(' · ');
+}
+
+function renderSymbolOverride() {
+  for (const input of elements.symbolOverrideInputs) {
+    const value = symbolOverride[input.dataset.overrideKey];
+    if (input.tagName !== 'SELECT') {
+      input.value = value ?? '';
+      continue;
+    }
+    // Match numerically so a stored 1 selects the "1.0" option
+    const option = value === undefined ? null : Array.from(input.options).find(candidate => candidate.value !== '' &&
+      (candidate.value === String(value) || Number(candidate.value) === Number(value)));
+    input.value = option?.value ?? '';
+  }
+
+  const description = describeSymbolOverride(symbolOverride);
+  elements.symbolOverrideTitle.textContent = `📌 ${currentSymbol || 'Symbol'} override`;
+  if (!currentSymbol) {
+    elements.symbolOverrideSummary.textContent = 'Open a TradingView chart to set per-symbol settings.';
+  } else if (description) {
+    elements.symbolOverrideSummary.textContent = `Active: ${description}. Other settings follow the global values.`;
+  } else {
+    elements.symbolOverrideSummary.textContent = `${currentSymbol} uses the global settings. Pick values below to override them for this symbol only.`;
+  }
+  elements.symbolOverrideBadge.textContent = description ? `📌 Override: ${description}` : '';
+  updateButtonStates();
+}
+
+/**
+ * Read the override inputs; blank / "Global" values are left out
+ */
+function readSymbolOverrideInputs() {
+  const override = {};
+  for (const input of elements.symbolOverrideInputs) {
+    const value = input.value.trim();
+    const key = input.dataset.overrideKey;
+    if (!value) continue;
+
+    if (input.dataset.overrideType === 'bool') {
+      override[key] = value === 'true';
+    } else if (input.dataset.overrideType === 'int') {
+      override[key] = parseInt(value, 10);
+    } else if (input.dataset.overrideType === 'float') {
+      override[key] = parseFloat(value);
+    } else {
+      const color = normalizeColorForDraw(value, '');
+      if (!color) {
+        throw new Error(`Invalid color "${value}" (use #RRGGBB)`);
+      }
+      override[key] = color;
+    }
+  }
+  return override;
+}
+
+async function writeSymbolOverride(override) {
+  const stored = await browser.storage.local.get(SYMBOL_OVERRIDES_STORAGE_KEY);
+  const bySymbol = stored[SYMBOL_OVERRIDES_STORAGE_KEY] || {};
+  const key = currentSymbol.toUpperCase();
+  if (Object.keys(override).length > 0) {
+    bySymbol[key] = override;
+  } else {
+    delete bySymbol[key];
+  }
+  await browser.storage.local.set({ [SYMBOL_OVERRIDES_STORAGE_KEY]: bySymbol });
+  symbolOverride = override;
+  renderSymbolOverride();
+}
+
+/**
+ * Save the override inputs for the current symbol
+ */
+async function saveSymbolOverride() {
+  if (!currentSymbol) return;
+
+  try {
+    const override = readSymbolOverrideInputs();
+    await writeSymbolOverride(override);
+    elements.status.textContent = Object.keys(override).length > 0
+      ? `📌 Saved ${currentSymbol} override`
+      : `${currentSymbol} uses the global settings`;
+    console.log(`📌 Override for ${currentSymbol}:`, override);
+  } catch (err) {
+    elements.status.textContent = `❌ ${err.message}`;
+  }
+}
+
+/**
+ * Drop the current symbol's override so it follows the global settings again
+ */
+async function clearSymbolOverride() {
+  if (!currentSymbol) return;
+
+  await writeSymbolOverride({});
+  elements.status.textContent = `🗑️ ${currentSymbol} uses the global settings again`;
+}
+
+/**
+ * Download the last fetched levels and trades as CSV or JSON
+ */
+async function exportData() {
+  const format = elements.exportFormatSelect.value;
+
+  try {
+    const results = await browser.runtime.sendMessage({ type: 'GET_EXPORT_DATA', symbol: currentSymbol });
+    if (!results?.levels && !results?.trades) {
+      elements.status.textContent = 'Nothing to export yet - draw levels or trades first';
+      return;
+    }
+
+    const data = levelExport.buildExportData(results);
+    const text = format === 'json' ? levelExport.formatExportJson(data) : levelExport.formatExportCsv(data);
+    downloadFile(text, levelExport.buildExportFilename(data, format), format === 'json' ? 'application/json' : 'text/csv');
+
+    const levelCount = data.levels?.levels.length || 0;
+    const tradeCount = data.trades?.trades.length || 0;
+    elements.status.textContent = `⬇️ Exported ${levelCount} levels and ${tradeCount} trades for ${data.ticker}`;
+  } catch (err) {
+    console.error('Export error:', err);
+    elements.status.textContent = `❌ Export failed: ${err.message}`;
+  }
+}
+
+/**
+ * Copy the levels, zones and trades last drawn on the chart as a Pine v5 indicator
+ */
+async function copyPineScript() {
+  try {
+    const drawn = await browser.runtime.sendMessage({ type: 'GET_DRAWN_ITEMS', symbol: currentSymbol });
+    if (!drawn?.levels && !drawn?.manual && !drawn?.imported && !drawn?.trades) {
+      elements.status.textContent = 'Nothing drawn yet - draw levels or trades first';
+      return;
+    }
+
+    const { script, symbol, counts } = pineScript.buildPineScript(drawn);
+    await navigator.clipboard.writeText(script);
+    elements.status.textContent = `📋 Copied Pine Script for ${symbol} (${counts.levels} levels, ${counts.zones} zones, ${counts.trades} trades)`;
+  } catch (err) {
+    console.error('Pine Script error:', err);
+    elements.status.textContent = `❌ Copy failed: ${err.message}`;
+  }
+}
+
+/**
+ * Validate pasted CSV or JSON and draw it with the import style
+ */
+async function importLevels() {
+  if (!tvReady || !currentSymbol) return;
+
+  const { ticker, levels, errors } = levelExport.parseImportText(elements.importText.value);
+  elements.importErrors.textContent = errors.slice(0, 5).join('\n') +
+    (errors.length > 5 ? `\n…and ${errors.length - 5} more` : '');
+
+  if (levels.length === 0) {
+    elements.status.textContent = '❌ No valid levels to import';
+    return;
+  }
+
+  elements.importBtn.disabled = true;
+
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: 'DRAW_IMPORTED_LEVELS',
+      symbol: currentSymbol,
+      tabId: currentTabId,
+      levels
+    });
+
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to draw imported levels');
+    }
+
+    let statusText = `⇪ Imported ${response.drawResult?.drawn ?? levels.length} levels for ${currentSymbol}`;
+    if (errors.length > 0) {
+      statusText += ` · ${errors.length} skipped`;
+    }
+    if (ticker && ticker.toUpperCase() !== currentSymbol.toUpperCase()) {
+      statusText += ` · file is for ${ticker}`;
+    }
+    elements.status.textContent = statusText;
+    await loadLevelList();
+  } catch (err) {
+    console.error('Import error:', err);
+    elements.status.textContent = `❌ Import failed: ${err.message}`;
+  }
+
+  updateButtonStates();
+}
+
+/**
+ * Remove the current symbol's imported levels (stored and drawn)
+ */
+async function clearImportedLevels() {
+  if (!tvReady || !currentSymbol) return;
+
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: 'CLEAR_IMPORTED_LEVELS',
+      symbol: currentSymbol,
+      tabId: currentTabId
+    });
+    if (response?.success) {
+      elements.status.textContent = `🗑️ Removed ${response.removed} imported levels from chart`;
+      await loadLevelList();
+    }
+  } catch (err) {
+    console.error('Clear import error:', err);
+    elements.status.textContent = `❌ Clear failed: ${err.message}`;
+  }
+}
+
+async function handleImportStyleChange() {
+  const color = normalizeColorForDraw(elements.importColorInput.value, '');
+  const values = { importLineStyle: parseInt(elements.importLineStyleSelect.value, 10) };
+  if (color) {
+    elements.importColorInput.value = color;
+    values.importColor = color;
+  }
+  await browser.storage.local.set(values);
+  console.log('🎨 Import style set to:', values);
+}
+
+function downloadFile(text, filename, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function handleExportFormatChange() {
+  await browser.storage.local.set({ exportFormat: elements.exportFormatSelect.value });
+}
+
+/**
+ * Setting keys saved in a profile
+ */
+function getProfileSettingKeys() {
+  return getSettingKeys().filter(key => !PROFILE_EXCLUDED_KEYS.includes(key));
+}
+
+/**
+ * Setting keys saved in a profile with their value types
+ */
+function getProfileSettingTypes() {
+  return Object.fromEntries(Object.entries(getSettingTypes()).filter(([key]) => !PROFILE_EXCLUDED_KEYS.includes(key)));
+}
+
+/**
+ * Load saved profiles into the header dropdown
+ */
+async function loadProfiles() {
+  const stored = await browser.storage.local.get([SETTINGS_PROFILES_STORAGE_KEY, ACTIVE_PROFILE_STORAGE_KEY]);
+  profiles = stored[SETTINGS_PROFILES_STORAGE_KEY] || {};
+  activeProfile = profiles[stored[ACTIVE_PROFILE_STORAGE_KEY]] ? stored[ACTIVE_PROFILE_STORAGE_KEY] : '';
+  renderProfiles();
+}
+
+async function saveProfiles() {
+  await browser.storage.local.set({
+    [SETTINGS_PROFILES_STORAGE_KEY]: profiles,
+    [ACTIVE_PROFILE_STORAGE_KEY]: activeProfile
+  });
+}
+
+function renderProfiles() {
+  const names = Object.keys(profiles).sort((a, b) => a.localeCompare(b));
+  const custom = new Option(names.length > 0 ? 'Current settings' : 'No profiles saved', '');
+  elements.profileSelect.replaceChildren(custom, ...names.map(name => new Option(name, name)));
+  elements.profileSelect.value = activeProfile;
+  elements.profileNameInput.value = activeProfile;
+  elements.profileDeleteBtn.disabled = !activeProfile;
+}
+
+/**
+ * Switch to a saved profile: settings it doesn't contain go back to their defaults
+ */
+async function applyProfile(name) {
+  const profile = profiles[name];
+  activeProfile = profile ? name : '';
+
+  if (!profile) {
+    await saveProfiles();
+    renderProfiles();
+    return;
+  }
+
+  const keys = getProfileSettingKeys();
+  const settings = settingsProfiles.pickProfileSettings(profile.settings, keys);
+  await browser.storage.local.remove(keys.filter(key => !(key in settings)));
+  await browser.storage.local.set(settings);
+  await saveProfiles();
+  await loadSettings();
+  renderProfiles();
+  elements.status.textContent = `🎛️ Switched to profile "${name}"`;
+  console.log('🎛️ Applied profile:', name, settings);
+}
+
+/**
+ * Save the current settings under the entered name (overwrites a profile with the same name)
+ */
+async function saveProfile() {
+  const name = settingsProfiles.normalizeProfileName(elements.profileNameInput.value);
+  if (!name) {
+    elements.status.textContent = '❌ Enter a profile name';
+    return;
+  }
+
+  const keys = getProfileSettingKeys();
+  const stored = await browser.storage.local.get(keys);
+  const existed = Boolean(profiles[name]);
+  profiles[name] = {
+    settings: settingsProfiles.pickProfileSettings(stored, keys),
+    savedAt: new Date().toISOString()
+  };
+  activeProfile = name;
+  await saveProfiles();
+  renderProfiles();
+  elements.status.textContent = `💾 ${existed ? 'Updated' : 'Saved'} profile "${name}"`;
+}
+
+/**
+ * Delete the selected profile (the current settings are kept)
+ */
+async function deleteProfile() {
+  if (!activeProfile) return;
+
+  const name = activeProfile;
+  delete profiles[name];
+  activeProfile = '';
+  await saveProfiles();
+  renderProfiles();
+  elements.status.textContent = `🗑️ Deleted profile "${name}"`;
+}
+
+/**
+ * Download all saved profiles as JSON to share with others
+ */
+function exportProfiles() {
+  const count = Object.keys(profiles).length;
+  if (count === 0) {
+    elements.status.textContent = 'No profiles to export - save one first';
+    return;
+  }
+
+  const data = settingsProfiles.buildProfilesExport(profiles);
+  downloadFile(`${JSON.stringify(data, null, 2)}\n`, `vl-profiles-${data.exportedAt.slice(0, 10)}.json`, 'application/json');
+  elements.status.textContent = `⬇️ Exported ${count} profile${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Add profiles from pasted JSON (profiles with the same name are replaced)
+ */
+async function importProfiles() {
+  const { profiles: imported, errors } = settingsProfiles.parseProfilesImport(
+    elements.profileImportText.value,
+    getProfileSettingTypes()
+  );
+  const names = Object.keys(imported);
+  errors.forEach(error => console.warn('Profile import:', error));
+
+  if (names.length === 0) {
+    elements.status.textContent = `❌ Profile import failed: ${errors[0] || 'No profiles found'}`;
+    return;
+  }
+
+  Object.assign(profiles, imported);
+  await saveProfiles();
+  renderProfiles();
+  elements.profileImportText.value = '';
+
+  let statusText = `📥 Imported ${names.length} profile${names.length === 1 ? '' : 's'}: ${names.join(', ')}`;
+  if (errors.length > 0) {
+    statusText += ` · ${errors.length} warning${errors.length === 1 ? '' : 's'}`;
+  }
+  elements.status.textContent = statusText;
+}
+
+/**
+ * Remove all cached VL levels
+ */
+async function clearLevelCache() {
+  try {
+    await browser.runtime.sendMessage({ type: 'CLEAR_LEVEL_CACHE' });
+    elements.status.textContent = '🧹 Level cache cleared';
+  } catch (err) {
+    console.error('Clear cache error:', err);
+    elements.status.textContent = `❌ Clear cache failed: ${err.message}`;
+  }
+}
+
 /**
  * Toggle debug mode
  */
@@ -454,6 +1527,27 @@ async function handleShowOriginalTradeRankToggle() {
   console.log('⚙️ Show original trade rank enabled:', enabled);
 }
 
+/**
+ * Handle a trade filter change (min size, dark pool, sweeps, ...)
+ * Each select names its storage key in data-filter-key
+ */
+async function handleTradeFilterChange(event) {
+  const key = event.target.dataset.filterKey;
+  const value = parseInt(event.target.value, 10);
+  await browser.storage.local.set({ [key]: value });
+  console.log(`⚙️ Trade filter ${key} set to:`, value);
+}
+
+/**
+ * Handle a session or print-type toggle (premarket, RTH, phantom, ...)
+ */
+async function handleSessionFilterToggle(event) {
+  const key = event.target.dataset.filterKey;
+  const enabled = event.target.checked;
+  await browser.storage.local.set({ [key]: enabled });
+  console.log(`⚙️ Session filter ${key} enabled:`, enabled);
+}
+
 async function handleTradeLabelPositionChange() {
   const position = elements.tradeLabelPositionSelect.value;
   await browser.storage.local.set({ tradeLabelPosition: position });
@@ -469,6 +1563,26 @@ async function handleYearRangeChange() {
   console.log('⚙️ Year range set to:', yearRange);
 }
 
+/**
+ * Handle level date mode change (years back, visible range, custom dates)
+ */
+async function handleLevelDateModeChange() {
+  const levelDateMode = elements.levelDateModeSelect.value;
+  await browser.storage.local.set({ levelDateMode });
+  updateLevelDateModeVisibility();
+  console.log('⚙️ Level date mode set to:', levelDateMode);
+}
+
+/**
+ * Handle custom level start/end date change (blank end date = today)
+ */
+async function handleLevelCustomDatesChange() {
+  const levelStartDate = elements.levelStartDateInput.value;
+  const levelEndDate = elements.levelEndDateInput.value;
+  await browser.storage.local.set({ levelStartDate, levelEndDate });
+  console.log('⚙️ Custom level dates set to:', levelStartDate, '-', levelEndDate || 'today');
+}
+
 /**
  * Handle clustering toggle change
  */
@@ -488,6 +1602,61 @@ async function handleThresholdChange() {
   console.log('⚙️ Cluster threshold set to:', threshold + '%');
 }
 
+/**
+ * Handle clustering method change (percent, dollar distance or ATR multiple)
+ */
+async function handleClusterMethodChange() {
+  const clusterMethod = elements.clusterMethodSelect.value;
+  await browser.storage.local.set({ clusterMethod });
+  updateThresholdVisibility();
+  console.log('⚙️ Cluster method set to:', clusterMethod);
+}
+
+/**
+ * Save dollar/ATR cluster distances; blank or invalid values clear the stored distance
+ */
+async function handleClusterDistanceChange() {
+  const values = { clusterAtrMultiple: parseFloat(elements.clusterAtrMultipleSelect.value) };
+  const cleared = [];
+  for (const [key, input] of [
+    ['clusterDollarThreshold', elements.clusterDollarInput],
+    ['clusterAtr', elements.clusterAtrInput]
+  ]) {
+    const value = parseFloat(input.value);
+    if (Number.isFinite(value) && value > 0) {
+      values[key] = value;
+    } else {
+      cleared.push(key);
+    }
+  }
+
+  await browser.storage.local.set(values);
+  await browser.storage.local.remove(cleared);
+  console.log('⚙️ Cluster distances set to:', values, 'cleared:', cleared);
+}
+
+async function handleClusterAnchorChange() {
+  const clusterAnchor = elements.clusterAnchorSelect.value;
+  await browser.storage.local.set({ clusterAnchor });
+  console.log('⚙️ Zone anchor set to:', clusterAnchor);
+}
+
+/**
+ * Handle zone style selection change (thick line or shaded rectangle)
+ */
+async function handleZoneStyleChange() {
+  const zoneStyle = elements.zoneStyleSelect.value;
+  await browser.storage.local.set({ zoneStyle });
+  updateThresholdVisibility();
+  console.log('⚙️ Zone style set to:', zoneStyle);
+}
+
+async function handleZoneFillOpacityChange() {
+  const zoneFillOpacity = parseInt(elements.zoneFillOpacitySelect.value, 10);
+  await browser.storage.local.set({ zoneFillOpacity });
+  console.log('⚙️ Zone fill opacity set to:', zoneFillOpacity + '%');
+}
+
 /**
  * Handle line color change
  */
@@ -506,6 +1675,7 @@ async function handleLineColorChange() {
   }
 
   await browser.storage.local.set({ lineColor: color });
+  updateLevelGradientLegend();
   console.log('🎨 Line color set to:', color);
 }
 
@@ -521,9 +1691,148 @@ async function handleLineThicknessChange() {
 async function handleLineOpacityChange() {
   const opacity = parseInt(elements.lineOpacitySelect.value, 10);
   await browser.storage.local.set({ lineOpacity: opacity });
+  updateLevelGradientLegend();
   console.log('⚙️ Line opacity set to:', opacity + '%');
 }
 
+/**
+ * Save the level line mode (ray or first-to-last-trade segment)
+ */
+async function handleLevelLineModeChange() {
+  const values = {
+    levelLineMode: elements.levelLineModeSelect.value,
+    levelSegmentExtend: elements.levelSegmentExtendToggle.checked
+  };
+  await browser.storage.local.set(values);
+  updateLevelLineModeVisibility();
+  console.log('⚙️ Level line mode set to:', values);
+}
+
+function updateLevelLineModeVisibility() {
+  elements.levelSegmentExtendRow.style.display = elements.levelLineModeSelect.value === 'segment' ? 'flex' : 'none';
+}
+
+/**
+ * Save recency fading settings (what fades and the fresh/faded age cutoffs)
+ */
+async function handleLevelRecencyChange(event) {
+  const optionDays = select => Array.from(select.options, option => parseInt(option.value, 10));
+  let freshDays = parseInt(elements.levelRecencyFreshSelect.value, 10);
+  let oldDays = parseInt(elements.levelRecencyOldSelect.value, 10);
+
+  // Keep "fully faded" after "full style": move the cutoff that wasn't just changed
+  if (oldDays <= freshDays) {
+    const laterOld = optionDays(elements.levelRecencyOldSelect).find(days => days > freshDays);
+    if (event?.target === elements.levelRecencyFreshSelect && laterOld) {
+      oldDays = laterOld;
+      elements.levelRecencyOldSelect.value = String(oldDays);
+    } else {
+      freshDays = optionDays(elements.levelRecencyFreshSelect).filter(days => days < oldDays).pop() ?? freshDays;
+      elements.levelRecencyFreshSelect.value = String(freshDays);
+    }
+  }
+
+  const values = {
+    levelRecencyEnabled: elements.levelRecencyToggle.checked,
+    levelRecencyOpacity: elements.levelRecencyOpacityToggle.checked,
+    levelRecencyWidth: elements.levelRecencyWidthToggle.checked,
+    levelRecencyFreshDays: freshDays,
+    levelRecencyOldDays: oldDays
+  };
+  await browser.storage.local.set(values);
+  updateLevelRecencyVisibility();
+  console.log('⚙️ Level recency fading set to:', values);
+}
+
+function updateLevelRecencyVisibility() {
+  elements.levelRecencyOptions.style.display = elements.levelRecencyToggle.checked ? 'flex' : 'none';
+}
+
+/**
+ * Save support/resistance coloring (toggle and the three colors)
+ */
+async function handlePriceColoringChange() {
+  const values = { priceColoringEnabled: elements.priceColoringToggle.checked };
+  for (const [key, input] of [
+    ['supportColor', elements.supportColorInput],
+    ['resistanceColor', elements.resistanceColorInput],
+    ['inPlayColor', elements.inPlayColorInput]
+  ]) {
+    const color = normalizeColorForDraw(input.value, '');
+    if (color) {
+      input.value = color;
+      values[key] = color;
+    }
+  }
+
+  await browser.storage.local.set(values);
+  updatePriceColoringVisibility();
+  console.log('🎨 Support/resistance coloring set to:', values);
+}
+
+function updatePriceColoringVisibility() {
+  elements.priceColoringOptions.style.display = elements.priceColoringToggle.checked ? 'flex' : 'none';
+}
+
+/**
+ * Save the strength styling settings (mode, styled properties, end colors)
+ */
+async function handleLevelGradientChange() {
+  const values = {
+    levelGradientMode: elements.levelGradientModeSelect.value,
+    levelGradientColor: elements.levelGradientColorToggle.checked,
+    levelGradientWidth: elements.levelGradientWidthToggle.checked,
+    levelGradientOpacity: elements.levelGradientOpacityToggle.checked
+  };
+  for (const [key, input] of [
+    ['levelGradientStrongColor', elements.levelGradientStrongColorInput],
+    ['levelGradientWeakColor', elements.levelGradientWeakColorInput]
+  ]) {
+    const color = normalizeColorForDraw(input.value, '');
+    if (color) {
+      input.value = color;
+      values[key] = color;
+    }
+  }
+
+  await browser.storage.local.set(values);
+  levelGradientRange = null;
+  updateLevelGradientLegend();
+  console.log('🎨 Level gradient set to:', values);
+}
+
+/**
+ * Legend for strength styling: strongest on the left, weakest on the right,
+ * labelled with the values from the last draw when available
+ */
+function updateLevelGradientLegend() {
+  const mode = elements.levelGradientModeSelect.value;
+  elements.levelGradientOptions.style.display = mode === 'off' ? 'none' : 'flex';
+  if (mode === 'off') return;
+
+  const lineColor = normalizeColorForDraw(elements.lineColorInput.value, '#2962FF');
+  const colorOn = elements.levelGradientColorToggle.checked;
+  const strongColor = colorOn ? normalizeColorForDraw(elements.levelGradientStrongColorInput.value, '#FF1744') : lineColor;
+  const weakColor = colorOn ? normalizeColorForDraw(elements.levelGradientWeakColorInput.value, '#FFEB3B') : lineColor;
+  const strongAlpha = (parseInt(elements.lineOpacitySelect.value, 10) || 100) / 100;
+  const weakAlpha = elements.levelGradientOpacityToggle.checked ? Math.min(0.3, strongAlpha) : strongAlpha;
+  const toRgba = (hex, alpha) => `rgba(${parseInt(hex.slice(1, 3), 16)}, ${parseInt(hex.slice(3, 5), 16)}, ${parseInt(hex.slice(5, 7), 16)}, ${alpha})`;
+  elements.levelGradientBar.style.background =
+    `linear-gradient(to right, ${toRgba(strongColor, strongAlpha)}, ${toRgba(weakColor, weakAlpha)})`;
+
+  const range = levelGradientRange?.mode === mode ? levelGradientRange : null;
+  const format = value => (mode === 'rank' ? `#${value}` : labelTemplates.formatDollars(value));
+  const widths = elements.levelGradientWidthToggle.checked ? [' · thick', ' · thin'] : ['', ''];
+  elements.levelGradientStrongLabel.textContent = `${range ? format(range.strongest) : 'Strongest'}${widths[0]}`;
+  elements.levelGradientWeakLabel.textContent = `${range ? format(range.weakest) : 'Weakest'}${widths[1]}`;
+}
+
+async function handleCacheTtlChange() {
+  const cacheTtlMinutes = parseInt(elements.cacheTtlSelect.value, 10);
+  await browser.storage.local.set({ cacheTtlMinutes });
+  console.log('⚙️ Level cache TTL set to:', cacheTtlMinutes + 'm');
+}
+
 /**
  * Handle show dates toggle change
  */
@@ -534,11 +1843,120 @@ async function handleShowDatesToggle() {
 }
 
 /**
- * Update threshold row visibility based on clustering toggle
+ * Handle show RS/PCT toggle change
+ */
+async function handleShowLevelStatsToggle() {
+  const enabled = elements.showLevelStatsToggle.checked;
+  await browser.storage.local.set({ showLevelStats: enabled });
+  console.log('⚙️ Show RS/PCT enabled:', enabled);
+}
+
+async function handleMinLevelPctChange() {
+  const minLevelPct = parseInt(elements.minLevelPctSelect.value, 10);
+  await browser.storage.local.set({ minLevelPct });
+  console.log('⚙️ Minimum level PCT set to:', minLevelPct + '%');
+}
+
+/**
+ * Save a label template; a blank template restores the default
+ */
+async function handleLabelTemplateChange(event) {
+  const input = event.target;
+  const key = labelTemplates.LABEL_TEMPLATE_STORAGE_KEYS[input.dataset.templateType];
+  const template = input.value.trim();
+  updateLabelPreviews();
+
+  if (template) {
+    await browser.storage.local.set({ [key]: template });
+  } else {
+    await browser.storage.local.remove(key);
+  }
+  console.log(`🏷️ ${input.dataset.templateType} label template set to:`, template || '(default)');
+}
+
+/**
+ * Render each label template against sample data
+ */
+function updateLabelPreviews() {
+  const showDates = elements.showDatesToggle.checked;
+  const showStats = elements.showLevelStatsToggle.checked;
+  const showOriginalRank = elements.showOriginalTradeRankToggle.checked;
+
+  for (const input of elements.labelTemplateInputs) {
+    const type = input.dataset.templateType;
+    const template = input.value.trim() || labelTemplates.DEFAULT_LABEL_TEMPLATES[type];
+    const sample = LABEL_PREVIEW_SAMPLES[type];
+    let preview;
+    if (type === 'zone') {
+      preview = labelTemplates.formatZoneLabel(sample, showDates, showStats, template);
+    } else if (type === 'trade') {
+      preview = labelTemplates.formatTradeLabel(sample, showOriginalRank, template);
+    } else {
+      preview = labelTemplates.formatLevelLabel(sample, showDates, showStats, template);
+    }
+    document.getElementById(`${type}-label-preview`).textContent = preview;
+  }
+}
+
+/**
+ * Show the year range or custom date inputs for the selected date mode
+ */
+function updateLevelDateModeVisibility() {
+  const mode = elements.levelDateModeSelect.value;
+  elements.yearRangeRow.style.display = mode === 'custom' ? 'none' : 'flex';
+  elements.levelCustomDatesRow.style.display = mode === 'custom' ? 'flex' : 'none';
+}
+
+/**
+ * Save auto-redraw toggles (master switch plus levels/trades)
+ */
+async function handleAutoRedrawToggle() {
+  const values = {
+    autoRedrawEnabled: elements.autoRedrawToggle.checked,
+    autoRedrawLevels: elements.autoRedrawLevelsToggle.checked,
+    autoRedrawTrades: elements.autoRedrawTradesToggle.checked
+  };
+  await browser.storage.local.set(values);
+  updateAutoRedrawVisibility();
+  console.log('⚙️ Auto-redraw set to:', values);
+}
+
+/**
+ * Handle multi-chart toggle (draw on every chart in the layout)
+ */
+async function handleMultiChartToggle() {
+  const enabled = elements.multiChartToggle.checked;
+  await browser.storage.local.set({ multiChartEnabled: enabled });
+  console.log('⚙️ Multi-chart layout mode enabled:', enabled);
+}
+
+/**
+ * Handle live trades toggle (merge trades for newly visible dates on scroll/zoom)
+ */
+async function handleLiveTradesToggle() {
+  const enabled = elements.liveTradesToggle.checked;
+  await browser.storage.local.set({ liveTradesEnabled: enabled });
+  console.log('⚙️ Live trades enabled:', enabled);
+}
+
+function updateAutoRedrawVisibility() {
+  elements.autoRedrawOptions.style.display = elements.autoRedrawToggle.checked ? 'flex' : 'none';
+}
+
+/**
+ * Update threshold and zone style row visibility based on clustering settings
  */
 function updateThresholdVisibility() {
-  elements.thresholdRow.style.display =
-    elements.clusteringToggle.checked ? 'flex' : 'none';
+  const clustering = elements.clusteringToggle.checked;
+  const method = elements.clusterMethodSelect.value;
+  elements.clusterMethodRow.style.display = clustering ? 'flex' : 'none';
+  elements.thresholdRow.style.display = clustering && method === 'percent' ? 'flex' : 'none';
+  elements.clusterDollarRow.style.display = clustering && method === 'dollars' ? 'flex' : 'none';
+  elements.clusterAtrRow.style.display = clustering && method === 'atr' ? 'flex' : 'none';
+  elements.clusterAnchorRow.style.display = clustering ? 'flex' : 'none';
+  elements.zoneStyleRow.style.display = clustering ? 'flex' : 'none';
+  elements.zoneFillOpacityRow.style.display =
+    clustering && elements.zoneStyleSelect.value === 'rectangle' ? 'flex' : 'none';
 }
 
 
@@ -550,6 +1968,30 @@ function setupEventListeners() {
   elements.fetchDrawBtn.addEventListener('click', fetchAndDraw);
   elements.fetchTradesBtn.addEventListener('click', fetchAndDrawTrades);
   elements.clearChartBtn.addEventListener('click', clearChart);
+  elements.clearCacheBtn.addEventListener('click', clearLevelCache);
+  elements.liveTradesToggle.addEventListener('change', handleLiveTradesToggle);
+  elements.multiChartToggle.addEventListener('change', handleMultiChartToggle);
+  elements.manualAddBtn.addEventListener('click', addManualLevel);
+  elements.manualDrawBtn.addEventListener('click', drawManualLevels);
+  elements.manualClearBtn.addEventListener('click', clearManualLevels);
+  elements.clusterManualToggle.addEventListener('change', handleClusterManualToggle);
+  elements.exportBtn.addEventListener('click', exportData);
+  elements.copyPineBtn.addEventListener('click', copyPineScript);
+  elements.importBtn.addEventListener('click', importLevels);
+  elements.clearImportBtn.addEventListener('click', clearImportedLevels);
+  elements.importColorInput.addEventListener('change', handleImportStyleChange);
+  elements.importLineStyleSelect.addEventListener('change', handleImportStyleChange);
+  elements.exportFormatSelect.addEventListener('change', handleExportFormatChange);
+  elements.overrideSaveBtn.addEventListener('click', saveSymbolOverride);
+  elements.overrideClearBtn.addEventListener('click', clearSymbolOverride);
+  elements.profileSelect.addEventListener('change', () => applyProfile(elements.profileSelect.value));
+  elements.profileSaveBtn.addEventListener('click', saveProfile);
+  elements.profileDeleteBtn.addEventListener('click', deleteProfile);
+  elements.profileExportBtn.addEventListener('click', exportProfiles);
+  elements.profileImportBtn.addEventListener('click', importProfiles);
+  elements.autoRedrawToggle.addEventListener('change', handleAutoRedrawToggle);
+  elements.autoRedrawLevelsToggle.addEventListener('change', handleAutoRedrawToggle);
+  elements.autoRedrawTradesToggle.addEventListener('change', handleAutoRedrawToggle);
 
 
 
@@ -557,17 +1999,53 @@ function setupEventListeners() {
   elements.levelCountSelect.addEventListener('change', handleLevelCountChange);
   elements.tradeCountSelect.addEventListener('change', handleTradeCountChange);
   elements.yearRangeSelect.addEventListener('change', handleYearRangeChange);
+  elements.levelDateModeSelect.addEventListener('change', handleLevelDateModeChange);
+  elements.levelStartDateInput.addEventListener('change', handleLevelCustomDatesChange);
+  elements.levelEndDateInput.addEventListener('change', handleLevelCustomDatesChange);
   elements.clusteringToggle.addEventListener('change', handleClusteringToggle);
   elements.thresholdSelect.addEventListener('change', handleThresholdChange);
+  elements.clusterMethodSelect.addEventListener('change', handleClusterMethodChange);
+  elements.clusterDollarInput.addEventListener('input', handleClusterDistanceChange);
+  elements.clusterAtrInput.addEventListener('input', handleClusterDistanceChange);
+  elements.clusterAtrMultipleSelect.addEventListener('change', handleClusterDistanceChange);
+  elements.clusterAnchorSelect.addEventListener('change', handleClusterAnchorChange);
+  elements.zoneStyleSelect.addEventListener('change', handleZoneStyleChange);
+  elements.zoneFillOpacitySelect.addEventListener('change', handleZoneFillOpacityChange);
   elements.lineColorInput.addEventListener('input', handleLineColorChange);
   elements.lineThicknessSelect.addEventListener('change', handleLineThicknessChange);
   elements.lineOpacitySelect.addEventListener('change', handleLineOpacityChange);
+  elements.levelLineModeSelect.addEventListener('change', handleLevelLineModeChange);
+  elements.levelSegmentExtendToggle.addEventListener('change', handleLevelLineModeChange);
+  elements.levelGradientModeSelect.addEventListener('change', handleLevelGradientChange);
+  elements.levelRecencyToggle.addEventListener('change', handleLevelRecencyChange);
+  elements.levelRecencyOpacityToggle.addEventListener('change', handleLevelRecencyChange);
+  elements.levelRecencyWidthToggle.addEventListener('change', handleLevelRecencyChange);
+  elements.levelRecencyFreshSelect.addEventListener('change', handleLevelRecencyChange);
+  elements.levelRecencyOldSelect.addEventListener('change', handleLevelRecencyChange);
+  elements.priceColoringToggle.addEventListener('change', handlePriceColoringChange);
+  elements.supportColorInput.addEventListener('change', handlePriceColoringChange);
+  elements.resistanceColorInput.addEventListener('change', handlePriceColoringChange);
+  elements.inPlayColorInput.addEventListener('change', handlePriceColoringChange);
+  elements.levelGradientColorToggle.addEventListener('change', handleLevelGradientChange);
+  elements.levelGradientWidthToggle.addEventListener('change', handleLevelGradientChange);
+  elements.levelGradientOpacityToggle.addEventListener('change', handleLevelGradientChange);
+  elements.levelGradientStrongColorInput.addEventListener('change', handleLevelGradientChange);
+  elements.levelGradientWeakColorInput.addEventListener('change', handleLevelGradientChange);
   elements.showDatesToggle.addEventListener('change', handleShowDatesToggle);
+  elements.showLevelStatsToggle.addEventListener('change', handleShowLevelStatsToggle);
+  elements.minLevelPctSelect.addEventListener('change', handleMinLevelPctChange);
   elements.tradeLitColorInput.addEventListener('input', handleTradeLitColorChange);
   elements.tradeDarkPoolColorInput.addEventListener('input', handleTradeDarkPoolColorChange);
   elements.tradeThicknessSelect.addEventListener('change', handleTradeThicknessChange);
   elements.showOriginalTradeRankToggle.addEventListener('change', handleShowOriginalTradeRankToggle);
   elements.tradeLabelPositionSelect.addEventListener('change', handleTradeLabelPositionChange);
+  elements.cacheTtlSelect.addEventListener('change', handleCacheTtlChange);
+  elements.tradeFilterSelects.forEach(select => select.addEventListener('change', handleTradeFilterChange));
+  elements.sessionFilterToggles.forEach(toggle => toggle.addEventListener('change', handleSessionFilterToggle));
+  elements.labelTemplateInputs.forEach(input => input.addEventListener('input', handleLabelTemplateChange));
+  elements.showDatesToggle.addEventListener('change', updateLabelPreviews);
+  elements.showLevelStatsToggle.addEventListener('change', updateLabelPreviews);
+  elements.showOriginalTradeRankToggle.addEventListener('change', updateLabelPreviews);
 
   // Tab switching
   document.querySelectorAll('.tab').forEach(tab => {
@@ -0,0 +1,131 @@
+/**
+ * VL TradingView Bridge - Settings Profiles
+ *
+ * Named snapshots of the popup settings (e.g., "Scalping", "Swing",
+ * "Earnings week") and the JSON file format used to share them. Used by
+ * the popup, which decides which storage keys count as settings.
+ */
+
+const PROFILES_FORMAT = 'vl-tv-bridge-profiles';
+const PROFILES_VERSION = 1;
+const PROFILE_NAME_MAX_LENGTH = 40;
+
+/**
+ * Trim a profile name; empty when nothing usable is left
+ */
+function normalizeProfileName(name) {
+  return String(name ?? '').trim().replace(/\s+/g, ' ').slice(0, PROFILE_NAME_MAX_LENGTH);
+}
+
+/**
+ * Pick the given setting keys from stored values (unset keys are left out
+ * so applying the profile restores their defaults)
+ * @param {Object} stored - browser.storage.local values
+ * @param {string[]} keys - Setting keys to snapshot
+ * @returns {Object}
+ */
+function pickProfileSettings(stored = {}, keys = []) {
+  return Object.fromEntries(keys
+    .filter(key => stored[key] !== undefined && stored[key] !== null)
+    .map(key => [key, stored[key]]));
+}
+
+/**
+ * Build the shareable profiles document
+ * @param {Object} profiles - { name: { settings, savedAt } }
+ * @param {Date} now - Export time
+ */
+function buildProfilesExport(profiles = {}, now = new Date()) {
+  return {
+    format: PROFILES_FORMAT,
+    version: PROFILES_VERSION,
+    exportedAt: now.toISOString(),
+    profiles
+  };
+}
+
+/**
+ * Check a setting value against its type: 'number' (finite), 'boolean',
+ * 'color' (#RRGGBB) or 'string'
+ */
+function isValidSettingValue(value, type) {
+  switch (type) {
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'color':
+      return typeof value === 'string' && /^#[0-9A-F]{6}$/i.test(value);
+    case 'string':
+      return typeof value === 'string';
+    default:
+      return false;
+  }
+}
+
+/**
+ * Parse a profiles file: our export document or a plain { name: settings } map
+ * Unknown settings and values of the wrong type are dropped; invalid profiles
+ * are skipped and reported.
+ * @param {string} text - File contents
+ * @param {Object} types - Setting key -> value type a profile may contain
+ * @returns {{ profiles: Object, errors: string[] }}
+ */
+function parseProfilesImport(text, types = {}) {
+  let data;
+  try {
+    data = JSON.parse(String(text ?? ''));
+  } catch (err) {
+    return { profiles: {}, errors: [`Invalid JSON: ${err.message}`] };
+  }
+
+  const source = data?.format === PROFILES_FORMAT ? data.profiles : data;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return { profiles: {}, errors: ['No profiles found'] };
+  }
+
+  const profiles = {};
+  const errors = [];
+
+  for (const [rawName, entry] of Object.entries(source)) {
+    const name = normalizeProfileName(rawName);
+    // Accept { settings, savedAt } entries and bare settings objects
+    const settings = entry && typeof entry.settings === 'object' ? entry.settings : entry;
+
+    if (!name) {
+      errors.push('Skipped a profile without a name');
+      continue;
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      errors.push(`${name}: settings must be an object`);
+      continue;
+    }
+
+    const known = Object.keys(settings).filter(key => Object.hasOwn(types, key));
+    const ignored = Object.keys(settings).length - known.length;
+    if (ignored > 0) {
+      errors.push(`${name}: ignored ${ignored} unknown setting${ignored === 1 ? '' : 's'}`);
+    }
+
+    const invalid = known.filter(key => settings[key] !== null && !isValidSettingValue(settings[key], types[key]));
+    invalid.forEach(key => errors.push(`${name}: ignored ${key} (expected a ${types[key]})`));
+    const picked = pickProfileSettings(settings, known.filter(key => !invalid.includes(key)));
+
+    profiles[name] = { settings: picked, savedAt: entry.savedAt || null };
+  }
+
+  if (Object.keys(profiles).length === 0 && errors.length === 0) {
+    errors.push('No profiles found');
+  }
+
+  return { profiles, errors };
+}
+
+// Export as global object for use in popup.js
+var settingsProfiles = {
+  PROFILES_FORMAT,
+  normalizeProfileName,
+  pickProfileSettings,
+  buildProfilesExport,
+  parseProfilesImport
+};
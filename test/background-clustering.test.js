@@ -0,0 +1,264 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+function loadBackground() {
+  const context = vm.createContext({
+    console,
+    browser: {
+      runtime: { onMessage: { addListener() {} } },
+      tabs: { onRemoved: { addListener() {} } },
+      webRequest: {
+        filterResponseData: () => ({}),
+        onBeforeRequest: { addListener() {} },
+        onBeforeSendHeaders: { addListener() {} }
+      }
+    },
+    tickerMap: { tvToVl: ticker => ticker.toUpperCase() }
+  });
+
+  for (const file of ['label-template.js', 'background.js']) {
+    const script = fs.readFileSync(path.join(__dirname, '..', 'firefox', file), 'utf8');
+    vm.runInContext(script, context);
+  }
+  return context;
+}
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+const LEVELS = [
+  { price: 100, rank: 1, dollars: 3000000 },
+  { price: 100.8, rank: 2, dollars: 1000000 },
+  { price: 102, rank: 3, dollars: 2000000 },
+  { price: 110, rank: 4, dollars: 500000 }
+];
+
+function summarize(clusters) {
+  return plain(clusters.map(item => (item.type === 'zone'
+    ? { type: 'zone', ranks: item.levels.map(l => l.rank) }
+    : { type: 'level', rank: item.rank })));
+}
+
+test('percent clustering measures the threshold from the cluster high', () => {
+  const context = loadBackground();
+
+  assert.deepEqual(summarize(context.clusterLevels(LEVELS, 1.0)), [
+    { type: 'zone', ranks: [1, 2] },
+    { type: 'level', rank: 3 },
+    { type: 'level', rank: 4 }
+  ]);
+  assert.deepEqual(summarize(context.clusterLevels(LEVELS, 0)), [
+    { type: 'level', rank: 1 },
+    { type: 'level', rank: 2 },
+    { type: 'level', rank: 3 },
+    { type: 'level', rank: 4 }
+  ]);
+});
+
+test('dollar clustering uses a fixed price distance', () => {
+  const context = loadBackground();
+  const options = context.getClusterOptions({ clusterMethod: 'dollars', clusterDollarThreshold: 1.5 });
+
+  assert.deepEqual(summarize(context.clusterLevels(LEVELS, 1.0, options)), [
+    { type: 'zone', ranks: [1, 2, 3] },
+    { type: 'level', rank: 4 }
+  ]);
+});
+
+test('ATR clustering uses the entered ATR times the multiple', () => {
+  const context = loadBackground();
+  const options = context.getClusterOptions({ clusterMethod: 'atr', clusterAtr: 2, clusterAtrMultiple: 0.5 });
+
+  assert.deepEqual(summarize(context.clusterLevels(LEVELS, 1.0, options)), [
+    { type: 'zone', ranks: [1, 2] },
+    { type: 'level', rank: 3 },
+    { type: 'level', rank: 4 }
+  ]);
+  assert.equal(context.describeClusterThreshold(1.0, options), '0.5 × ATR 2.00');
+});
+
+test('dollar and ATR methods without a distance leave levels unclustered', () => {
+  const context = loadBackground();
+  const dollars = context.getClusterOptions({ clusterMethod: 'dollars' });
+  const atr = context.getClusterOptions({ clusterMethod: 'atr' });
+
+  assert.equal(context.clusterLevels(LEVELS, 1.0, dollars).every(item => item.type === 'level'), true);
+  assert.equal(context.clusterLevels(LEVELS, 1.0, atr).every(item => item.type === 'level'), true);
+});
+
+test('weighted anchor places zones at the dollar-weighted average price', () => {
+  const context = loadBackground();
+  const options = context.getClusterOptions({ clusterAnchor: 'weighted' });
+
+  const [zone] = context.clusterLevels(LEVELS, 1.0, options);
+  const [midZone] = context.clusterLevels(LEVELS, 1.0);
+
+  assert.equal(zone.midPrice, 100.4);
+  assert.equal(zone.weightedPrice, 100.2);
+  assert.equal(zone.anchorPrice, 100.2);
+  assert.equal(midZone.anchorPrice, 100.4);
+});
+
+test('weighted anchor falls back to the midpoint without dollar volume', () => {
+  const context = loadBackground();
+  const zone = context.finalizeCluster([{ price: 10 }, { price: 12 }], 'weighted');
+
+  assert.equal(zone.anchorPrice, 11);
+});
+
+test('cluster options default to percent clustering at the midpoint', () => {
+  const context = loadBackground();
+
+  assert.deepEqual(plain(context.getClusterOptions({ clusterMethod: 'bogus' })), {
+    method: 'percent',
+    dollarThreshold: 0,
+    atr: 0,
+    atrMultiple: 0.5,
+    anchor: 'mid'
+  });
+});
+
+test('rank gradient scales color, width and opacity from the strongest to the weakest level', () => {
+  const context = loadBackground();
+  const gradient = context.getLevelGradientOptions({
+    levelGradientMode: 'rank',
+    levelGradientWidth: true,
+    levelGradientOpacity: true,
+    levelGradientStrongColor: '#ff0000',
+    levelGradientWeakColor: '#0000FF'
+  });
+  const items = [
+    ...context.clusterLevels(LEVELS.slice(0, 2), 1.0),
+    { type: 'level', ...LEVELS[2] },
+    { type: 'level', ...LEVELS[3] },
+    { type: 'level', manual: true, price: 105, color: '#E040FB' }
+  ];
+
+  const { items: styled, legend } = context.applyLevelGradient(items, gradient, { opacity: 80 });
+
+  assert.deepEqual(plain(styled.map(({ color, width, opacity }) => ({ color, width, opacity }))), [
+    { color: '#FF0000', opacity: 80 },
+    { color: '#5500AA', width: 2, opacity: 47 },
+    { color: '#0000FF', width: 1, opacity: 30 },
+    { color: '#E040FB' }
+  ]);
+  assert.deepEqual(plain(legend), { mode: 'rank', strongest: 1, weakest: 4 });
+});
+
+test('dollar gradient uses zone totals and is off by default', () => {
+  const context = loadBackground();
+  const items = context.clusterLevels(LEVELS, 1.0);
+
+  const { items: styled, legend } = context.applyLevelGradient(items, context.getLevelGradientOptions({ levelGradientMode: 'dollars' }));
+  assert.deepEqual(plain(styled.map(item => item.color)), ['#FF1744', '#FF903F', '#FFEB3B']);
+  assert.deepEqual(plain(legend), { mode: 'dollars', strongest: 4000000, weakest: 500000 });
+
+  const off = context.applyLevelGradient(items, context.getLevelGradientOptions({}));
+  assert.equal(off.items, items);
+  assert.equal(off.legend, null);
+});
+
+test('recency fading scales opacity and width by age, using the newest zone member', () => {
+  const context = loadBackground();
+  const recency = context.getLevelRecencyOptions({
+    levelRecencyEnabled: true,
+    levelRecencyWidth: true,
+    levelRecencyFreshDays: 30,
+    levelRecencyOldDays: 130
+  });
+  const now = new Date('2026-06-08T12:00:00Z');
+  const items = [
+    { type: 'level', price: 1, dates: '2026-05-01 - 2026-05-20' }, // ~19 days: fresh
+    { type: 'level', price: 2, dates: '2025-11-01 - 2026-03-01' }, // ~99 days: partly faded
+    { type: 'level', price: 3, timestamp: Date.parse('2020-01-01T00:00:00Z') / 1000 }, // Years old: fully faded
+    context.finalizeCluster([
+      { price: 4, dates: '2020-01-02 - 2020-02-03' },
+      { price: 4.1, dates: '2026-05-01 - 2026-05-20' }
+    ]),
+    { type: 'level', manual: true, price: 5 }
+  ];
+
+  const faded = context.applyLevelRecency(items, recency, { opacity: 100, width: 3, zoneFillOpacity: 20 }, now);
+
+  assert.equal(faded[0], items[0]);
+  assert.deepEqual(plain([faded[1].opacity, faded[1].width]), [45, 2]);
+  assert.deepEqual(plain([faded[2].opacity, faded[2].width]), [20, 1]);
+  assert.equal(faded[3], items[3]);
+  assert.equal(faded[4], items[4]);
+  assert.equal(context.applyLevelRecency(items, context.getLevelRecencyOptions({}), {}, now), items);
+});
+
+test('recency cutoffs keep the faded age past the fresh age', () => {
+  const context = loadBackground();
+
+  assert.deepEqual(plain(context.getLevelRecencyOptions({ levelRecencyEnabled: true, levelRecencyFreshDays: 365, levelRecencyOldDays: 90 })), {
+    enabled: true,
+    opacity: true,
+    width: false,
+    freshDays: 365,
+    oldDays: 366
+  });
+});
+
+test('findNearestLevels picks the closest level or zone on each side and zones containing the price', () => {
+  const context = loadBackground();
+  const zone = context.clusterLevels([
+    { price: 99, rank: 3, dollars: 1000000 },
+    { price: 101, rank: 5, dollars: 2000000 }
+  ], 5)[0];
+  const items = [
+    zone,
+    { type: 'level', price: 104, rank: 7, dollars: 500000 },
+    { type: 'level', price: 110, rank: 1, dollars: 9000000 },
+    { type: 'level', price: 90, rank: 2, dollars: 4000000 },
+    { type: 'level', price: 95, rank: 9, dollars: 100000 },
+    { type: 'level', manual: true, price: 102 }
+  ];
+
+  const nearest = plain(context.findNearestLevels(items, 100));
+  assert.equal(nearest.above.price, 104);
+  assert.equal(nearest.above.distance, 4);
+  assert.equal(nearest.above.distancePct, 4);
+  assert.equal(nearest.above.rank, 7);
+  assert.equal(nearest.below.price, 95);
+  assert.equal(nearest.below.distance, 5);
+  assert.deepEqual([nearest.inPlay.type, nearest.inPlay.lowPrice, nearest.inPlay.highPrice, nearest.inPlay.rank, nearest.inPlay.dollars, nearest.inPlay.levelCount],
+    ['zone', 99, 101, 3, 3000000, 2]);
+
+  assert.deepEqual(plain(context.findNearestLevels([], 100)), { above: null, below: null, inPlay: null });
+});
+
+test('assignLevelKeys keys levels by price and rank, zones by range, and numbers repeats', () => {
+  const context = loadBackground();
+  const keyed = context.assignLevelKeys([
+    { type: 'zone', lowPrice: 99, highPrice: 101 },
+    { type: 'level', price: 104, rank: 7 },
+    { type: 'level', price: 104, rank: 7 },
+    { type: 'level', manual: true, price: 104 },
+    { type: 'level', imported: true, price: 105 }
+  ]);
+
+  assert.deepEqual(plain(keyed.map(item => item.key)), [
+    'zone:99-101', 'level:104#7', 'level:104#7~1', 'manual:104', 'imported:105'
+  ]);
+});
+
+test('withManualMembers keeps manual labels and colors on zones', () => {
+  const context = loadBackground();
+  const manual = { type: 'level', manual: true, price: 100.2, label: '✎ Gap fill', color: '#FF0000' };
+
+  const mixed = context.withManualMembers({ type: 'zone', levels: [{ price: 100, rank: 1 }, manual] }, 'VL #1');
+  assert.equal(mixed.label, 'VL #1 ✎ Gap fill');
+  assert.equal(mixed.color, '#FF0000');
+  assert.equal(mixed.keepColor, true);
+
+  const onlyManual = context.withManualMembers({ type: 'zone', levels: [manual, { ...manual, label: '✎ Target', color: undefined }] }, 'VL #');
+  assert.equal(onlyManual.manual, true);
+  assert.equal(onlyManual.label, '✎ Gap fill, Target');
+
+  assert.equal(context.withManualMembers({ type: 'zone', levels: [{ price: 1 }] }, 'VL #2').label, 'VL #2');
+});
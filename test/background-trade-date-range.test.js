@@ -4,11 +4,13 @@ const path = require('node:path');
 const test = require('node:test');
 const vm = require('node:vm');
 
-function loadBackground(settings = {}) {
+function loadBackground(settings = {}, overrides = {}) {
   const fetchCalls = [];
   const tabMessages = [];
+  const tabRemovedListeners = [];
   const context = vm.createContext({
     AbortController,
+    URL,
     URLSearchParams,
     TextDecoder,
     TextEncoder,
@@ -16,6 +18,11 @@ function loadBackground(settings = {}) {
     fetch: async (url, options = {}) => {
       fetchCalls.push({ url, options });
 
+      const overridden = overrides.fetch && await overrides.fetch(String(url));
+      if (overridden) {
+        return overridden;
+      }
+
       if (String(url).includes('/TradeLevels?Ticker=SPY')) {
         return {
           ok: true,
@@ -54,15 +61,31 @@ function loadBackground(settings = {}) {
     browser: {
       cookies: { getAll: async () => [{ name: '.ASPXAUTH' }] },
       runtime: { onMessage: { addListener() {} } },
-      storage: { local: { get: async () => settings } },
+      storage: {
+        local: {
+          get: async () => settings,
+          set: async values => Object.assign(settings, values),
+          remove: async key => delete settings[key]
+        }
+      },
       tabs: {
         sendMessage: async (tabId, message) => {
           tabMessages.push({ tabId, message });
           if (message?.type === 'GET_VISIBLE_RANGE') {
             return { range: settings.visibleRange || null };
           }
+          if (message?.type === 'GET_CHARTS') {
+            return { charts: settings.charts || [] };
+          }
+          if (message?.type === 'GET_LAST_PRICE') {
+            return { price: settings.lastPrice ?? null };
+          }
+          if (message?.type === 'DRAW_LEVELS' && settings.drawLevelsResponse) {
+            return settings.drawLevelsResponse;
+          }
           return {};
-        }
+        },
+        onRemoved: { addListener: listener => tabRemovedListeners.push(listener) }
       },
       webRequest: {
         filterResponseData: () => ({}),
@@ -73,10 +96,15 @@ function loadBackground(settings = {}) {
     tickerMap: { tvToVl: ticker => ticker.toUpperCase() }
   });
 
-  const script = fs.readFileSync(path.join(__dirname, '..', 'firefox', 'background.js'), 'utf8');
-  vm.runInContext(script, context);
+  for (const file of ['label-template.js', 'background.js']) {
+    const script = fs.readFileSync(path.join(__dirname, '..', 'firefox', file), 'utf8');
+    vm.runInContext(script, context);
+  }
+  context.sleep = async () => {};
   context.fetchCalls = fetchCalls;
   context.tabMessages = tabMessages;
+  context.removeTab = tabId => tabRemovedListeners.forEach(listener => listener(tabId));
+  context.storedSettings = settings;
   return context;
 }
 
@@ -84,6 +112,10 @@ function plain(value) {
   return JSON.parse(JSON.stringify(value));
 }
 
+function sendToBackground(context, message) {
+  return new Promise(resolve => context.handleMessage(message, {}, resolve));
+}
+
 test('trade visible range end date is clamped to today', () => {
   const { getTradeDateRange } = loadBackground();
   const now = new Date('2026-06-08T12:00:00Z');
@@ -284,6 +316,14 @@ test('trade response treats FullDateTime as New York market time', async () => {
   assert.equal(result.trades[0].darkPool, true);
 });
 
+test('New York midnight keeps its date when converting FullDateTime', () => {
+  const context = loadBackground({});
+
+  // Intl formats midnight as hour 24 unless the hour cycle is h23
+  assert.equal(context.getTimeZoneOffsetMs(Date.parse('2026-06-02T04:00:00Z'), 'America/New_York'), -4 * 60 * 60 * 1000);
+  assert.equal(context.parseVlFullDateTime('2026-06-02T00:15:00'), Date.parse('2026-06-02T04:15:00Z') / 1000);
+});
+
 test('level request matches the VolumeLeaders Chart0 GetTradeLevels HAR shape', async () => {
   const context = loadBackground({ yearRange: 1, levelCount: 5, tradeCount: 3 });
 
@@ -380,3 +420,990 @@ test('levels parse MinDate and propagate the earliest clustered anchor to drawin
   assert.equal(drawMessage.levels[0].timestamp, 1779062400);
   assert.equal(drawMessage.levels[1].timestamp, null);
 });
+
+test('levels are served from the cache within the configured TTL', async () => {
+  const context = loadBackground({ yearRange: 1, levelCount: 5, cacheTtlMinutes: 60 });
+  const now = new Date('2026-06-08T12:00:00Z');
+
+  const first = await context.fetchVlLevels('CRDU', now);
+  const second = await context.fetchVlLevels('CRDU', new Date('2026-06-08T12:30:00Z'));
+
+  const levelRequests = context.fetchCalls.filter(call => String(call.url).endsWith('/Chart0/GetTradeLevels'));
+  assert.equal(levelRequests.length, 1);
+  assert.equal(first.cached, undefined);
+  assert.equal(second.cached, true);
+  assert.equal(second.cacheAgeMs, 30 * 60 * 1000);
+  assert.equal(second.levels[0].price, 36.8);
+});
+
+test('expired level cache entries are refetched', async () => {
+  const context = loadBackground({ yearRange: 1, levelCount: 5, cacheTtlMinutes: 15 });
+
+  await context.fetchVlLevels('CRDU', new Date('2026-06-08T12:00:00Z'));
+  const second = await context.fetchVlLevels('CRDU', new Date('2026-06-08T12:30:00Z'));
+
+  const levelRequests = context.fetchCalls.filter(call => String(call.url).endsWith('/Chart0/GetTradeLevels'));
+  assert.equal(levelRequests.length, 2);
+  assert.equal(second.cached, undefined);
+});
+
+test('concurrent level cache writes keep both entries', async () => {
+  const context = loadBackground({});
+  const { get } = context.browser.storage.local;
+  // Real storage hands out copies, so unqueued writes would overwrite each other
+  context.browser.storage.local.get = async keys => plain(await get(keys));
+
+  await Promise.all([
+    context.writeLevelCacheEntry('SPY|a', { ticker: 'SPY', levels: [], cachedAt: 1 }),
+    context.writeLevelCacheEntry('QQQ|b', { ticker: 'QQQ', levels: [], cachedAt: 2 })
+  ]);
+
+  assert.deepEqual(Object.keys(context.storedSettings.levelCache).sort(), ['QQQ|b', 'SPY|a']);
+});
+
+test('cached levels are drawn when VolumeLeaders is logged out', async () => {
+  const context = loadBackground({ yearRange: 1, levelCount: 5, cacheTtlMinutes: 0 });
+
+  await context.fetchVlLevels('CRDU', new Date('2026-06-08T12:00:00Z'));
+  context.browser.cookies.getAll = async () => [];
+
+  // A day later the date range differs, so the newest entry for the ticker is used
+  const result = await context.fetchVlLevels('CRDU', new Date('2026-06-09T12:00:00Z'));
+
+  assert.equal(result.success, true);
+  assert.equal(result.cached, true);
+  assert.equal(result.stale, true);
+  assert.equal(result.cacheAgeMs, 24 * 60 * 60 * 1000);
+  assert.match(result.error, /Not logged into VolumeLeaders/);
+  assert.equal(result.levels[0].price, 36.8);
+});
+
+test('cached levels for another range do not stand in for a custom range', async () => {
+  const context = loadBackground({ levelCount: 5, cacheTtlMinutes: 0, levelDateMode: 'custom', levelStartDate: '2026-01-01' });
+
+  await context.fetchVlLevels('CRDU', new Date('2026-06-08T12:00:00Z'));
+  context.browser.cookies.getAll = async () => [];
+  context.storedSettings.levelStartDate = '2025-01-01';
+
+  await assert.rejects(
+    context.fetchVlLevels('CRDU', new Date('2026-06-08T12:00:00Z')),
+    /Not logged into VolumeLeaders/
+  );
+});
+
+test('level fetch errors surface when nothing is cached', async () => {
+  const context = loadBackground({ yearRange: 1, levelCount: 5 });
+  context.browser.cookies.getAll = async () => [];
+
+  await assert.rejects(
+    context.fetchVlLevels('CRDU', new Date('2026-06-08T12:00:00Z')),
+    /Not logged into VolumeLeaders/
+  );
+});
+
+test('intercepted TradeLevels responses are stored and reused by level fetches', async () => {
+  const context = loadBackground({ yearRange: 1, levelCount: 2, cacheTtlMinutes: 60 });
+  const capturedAt = new Date('2026-06-08T11:50:00Z');
+
+  await context.extractLevels('https://www.volumeleaders.com/TradeLevels/GetTradeLevels', [
+    { Ticker: 'CRDU', Price: 40.1, TradeLevelRank: 3, Dollars: 1000000 },
+    { Ticker: 'CRDU', Price: 36.8, TradeLevelRank: 1, Dollars: 3000000, MinDate: '/Date(1779148800000)/' },
+    { Ticker: 'CRDU', Price: 38.2, TradeLevelRank: 2, Dollars: 2000000 }
+  ], { ticker: 'CRDU', startDate: '2024-01-01', endDate: '2026-06-08', levelCount: '3' }, capturedAt);
+
+  const entry = context.storedSettings.levelCache['CRDU|2024-01-01|2026-06-08|3'];
+  assert.equal(entry.source, 'intercept');
+  assert.equal(entry.cachedAt, capturedAt.getTime());
+  assert.equal(entry.levels[1].timestamp, 1779148800);
+
+  const result = await context.fetchVlLevels('CRDU', new Date('2026-06-08T12:00:00Z'));
+
+  assert.equal(context.fetchCalls.length, 0);
+  assert.equal(result.source, 'intercept');
+  assert.deepEqual(plain(result.levels.map(level => level.rank)), [1, 2]);
+});
+
+test('intercepted request params are read from the form body and query string', () => {
+  const { parseInterceptedRequestParams } = loadBackground();
+
+  const params = parseInterceptedRequestParams({
+    url: 'https://www.volumeleaders.com/TradeLevels/GetTradeLevels?Ticker=SPY',
+    requestBody: { formData: { StartDate: ['2021-01-01'], EndDate: ['2026-01-01'], Levels: ['10'] } }
+  });
+
+  assert.deepEqual(plain(params), {
+    ticker: 'SPY',
+    startDate: '2021-01-01',
+    endDate: '2026-01-01',
+    levelCount: '10',
+    sessionFilter: ''
+  });
+});
+
+test('rejected XSRF tokens are refreshed and the request retried', async () => {
+  let levelAttempts = 0;
+  const context = loadBackground({ yearRange: 1, levelCount: 5 }, {
+    fetch: url => {
+      if (url.endsWith('/Chart0/GetTradeLevels') && ++levelAttempts === 1) {
+        return { ok: false, status: 400, statusText: 'Bad Request' };
+      }
+      return null;
+    }
+  });
+
+  const result = await context.fetchVlLevels('CRDU', new Date('2026-06-08T12:00:00Z'));
+
+  const tokenFetches = context.fetchCalls.filter(call => String(call.url).includes('/TradeLevels?Ticker=SPY'));
+  assert.equal(levelAttempts, 2);
+  assert.equal(tokenFetches.length, 2);
+  assert.equal(result.levels[0].price, 36.8);
+});
+
+test('network failures while refreshing a rejected token are retried', async () => {
+  let levelAttempts = 0;
+  let tokenAttempts = 0;
+  const context = loadBackground({ yearRange: 1, levelCount: 5 }, {
+    fetch: url => {
+      if (url.includes('/TradeLevels?Ticker=SPY') && ++tokenAttempts === 2) {
+        throw new TypeError('NetworkError when attempting to fetch resource.');
+      }
+      if (url.endsWith('/Chart0/GetTradeLevels') && ++levelAttempts === 1) {
+        return { ok: false, status: 400, statusText: 'Bad Request' };
+      }
+      return null;
+    }
+  });
+  context.sleep = async () => {};
+
+  const result = await context.fetchVlLevels('CRDU', new Date('2026-06-08T12:00:00Z'));
+
+  assert.equal(tokenAttempts, 3);
+  assert.equal(levelAttempts, 2);
+  assert.equal(result.levels[0].price, 36.8);
+});
+
+test('server errors and network failures are retried before surfacing', async () => {
+  let tradeAttempts = 0;
+  const context = loadBackground({ yearRange: 1 }, {
+    fetch: url => {
+      if (!url.endsWith('/Chart0/GetAllPriceVolumeTradeData')) return null;
+      tradeAttempts++;
+      if (tradeAttempts === 1) throw new TypeError('NetworkError when attempting to fetch resource.');
+      if (tradeAttempts === 2) return { ok: false, status: 503, statusText: 'Service Unavailable' };
+      return null;
+    }
+  });
+
+  const result = await context.fetchVlTrades('CRDU', 5, null, new Date('2026-06-08T12:00:00Z'));
+
+  assert.equal(tradeAttempts, 3);
+  assert.equal(result.success, true);
+});
+
+test('VL errors surface once retries run out', async () => {
+  const delays = [];
+  const context = loadBackground({ yearRange: 1 }, {
+    fetch: url => url.endsWith('/Chart0/GetAllPriceVolumeTradeData')
+      ? { ok: false, status: 500, statusText: 'Internal Server Error' }
+      : null
+  });
+  context.sleep = async ms => delays.push(ms);
+
+  await assert.rejects(
+    context.fetchVlTrades('CRDU', 5, null, new Date('2026-06-08T12:00:00Z')),
+    /VL API error: 500 Internal Server Error \(gave up after 3 attempts\)/
+  );
+  assert.deepEqual(delays, [500, 1000]);
+});
+
+test('expired VL sessions are not retried', async () => {
+  let tradeAttempts = 0;
+  const context = loadBackground({ yearRange: 1 }, {
+    fetch: url => {
+      if (!url.endsWith('/Chart0/GetAllPriceVolumeTradeData')) return null;
+      tradeAttempts++;
+      return { ok: false, status: 401, statusText: 'Unauthorized' };
+    }
+  });
+
+  await assert.rejects(
+    context.fetchVlTrades('CRDU', 5, null, new Date('2026-06-08T12:00:00Z')),
+    /session expired/
+  );
+  assert.equal(tradeAttempts, 1);
+});
+
+test('trade filters flow into the request body and the trade and level Chart0 referers', async () => {
+  const context = loadBackground({
+    yearRange: 1,
+    tradeDarkPools: 1,
+    tradeSweeps: 0,
+    tradeLatePrints: -1,
+    tradeSignaturePrints: 1,
+    tradeMinDollars: 5000000,
+    tradeVcd: 90
+  });
+
+  await context.fetchVlTrades('CRDU', 5, null, new Date('2026-06-08T12:00:00Z'));
+  await context.fetchVlLevels('CRDU', new Date('2026-06-08T12:00:00Z'));
+
+  const tradeRequest = context.fetchCalls.find(call => String(call.url).endsWith('/Chart0/GetAllPriceVolumeTradeData'));
+  const levelRequest = context.fetchCalls.find(call => String(call.url).endsWith('/Chart0/GetTradeLevels'));
+  const body = JSON.parse(tradeRequest.options.body);
+  const referer = new URL(tradeRequest.options.headers.Referer).searchParams;
+  const levelReferer = new URL(levelRequest.options.headers.Referer).searchParams;
+
+  assert.equal(body.DarkPools, 1);
+  assert.equal(body.Sweeps, 0);
+  assert.equal(body.LatePrints, -1);
+  assert.equal(body.SignaturePrints, 1);
+  assert.equal(body.MinDollars, 5000000);
+  assert.equal(body.VCD, 90);
+  assert.equal(referer.get('DarkPools'), '1');
+  assert.equal(referer.get('Sweeps'), '0');
+  assert.equal(referer.get('SignaturePrints'), '1');
+  assert.equal(referer.get('MinDollars'), '5000000');
+  assert.equal(referer.get('VCD'), '90');
+  assert.equal(levelReferer.get('DarkPools'), '1');
+  assert.equal(levelReferer.get('MinDollars'), '5000000');
+  assert.equal(levelReferer.get('VCD'), '90');
+});
+
+test('invalid trade filter values fall back to VL defaults', () => {
+  const { getTradeFilters } = loadBackground();
+
+  assert.deepEqual(plain(getTradeFilters({ tradeDarkPools: 2, tradeSweeps: null, tradeMinDollars: -5, tradeVcd: 'x' })), {
+    darkPools: -1,
+    sweeps: -1,
+    latePrints: -1,
+    signaturePrints: -1,
+    minDollars: 500000,
+    vcd: 0
+  });
+});
+
+test('session filters flow into trade and level requests', async () => {
+  const context = loadBackground({
+    yearRange: 1,
+    levelCount: 5,
+    includePremarket: false,
+    includeAh: false,
+    includePhantom: false,
+    includeOffsetting: false
+  });
+  const now = new Date('2026-06-08T12:00:00Z');
+
+  const trades = await context.fetchVlTrades('CRDU', 5, null, now);
+  const levels = await context.fetchVlLevels('CRDU', now);
+
+  const tradeRequest = context.fetchCalls.find(call => String(call.url).endsWith('/Chart0/GetAllPriceVolumeTradeData'));
+  const levelRequest = context.fetchCalls.find(call => String(call.url).endsWith('/Chart0/GetTradeLevels'));
+  const tradeBody = JSON.parse(tradeRequest.options.body);
+  const levelBody = Object.fromEntries(new URLSearchParams(levelRequest.options.body));
+  const levelReferer = new URL(levelRequest.options.headers.Referer).searchParams;
+
+  assert.equal(tradeBody.IncludePremarket, 0);
+  assert.equal(tradeBody.IncludeRTH, 1);
+  assert.equal(tradeBody.IncludeAH, 0);
+  assert.equal(tradeBody.IncludePhantom, 0);
+  assert.equal(tradeBody.IncludeOffsetting, 0);
+  assert.equal(levelBody.IncludePremarket, '0');
+  assert.equal(levelBody.IncludeRTH, '1');
+  assert.equal(levelBody.IncludePhantom, '0');
+  assert.equal(levelReferer.get('IncludeAH'), '0');
+  assert.equal(levelReferer.get('IncludeOpening'), '1');
+  assert.equal(trades.sessionFilter, 'RTH only, no phantom, no offsetting');
+  assert.equal(levels.sessionFilter, 'RTH only, no phantom, no offsetting');
+});
+
+test('session filter descriptions are empty when everything is included', () => {
+  const { describeSessionFilters, getSessionFilters } = loadBackground();
+
+  assert.equal(describeSessionFilters(getSessionFilters({})), '');
+  assert.equal(describeSessionFilters(getSessionFilters({ includeAh: false })), 'Pre+RTH');
+  assert.equal(describeSessionFilters(getSessionFilters({ includeOpening: false, includeClosing: false })), 'no open, no close');
+});
+
+test('level cache entries are kept separate per session filter', async () => {
+  const context = loadBackground({ yearRange: 1, levelCount: 5, cacheTtlMinutes: 60 });
+  const now = new Date('2026-06-08T12:00:00Z');
+
+  await context.fetchVlLevels('CRDU', now);
+  context.storedSettings.includePremarket = false;
+  context.storedSettings.includeAh = false;
+  const rthOnly = await context.fetchVlLevels('CRDU', now);
+
+  const levelRequests = context.fetchCalls.filter(call => String(call.url).endsWith('/Chart0/GetTradeLevels'));
+  assert.equal(levelRequests.length, 2);
+  assert.equal(rthOnly.cached, undefined);
+  assert.ok(context.storedSettings.levelCache['CRDU|2025-06-08|2026-06-08|5|RTH only']);
+});
+
+test('custom level date mode sends the explicit start and end dates', async () => {
+  const context = loadBackground({
+    levelCount: 5,
+    levelDateMode: 'custom',
+    levelStartDate: '2020-03-23',
+    levelEndDate: '2021-01-04'
+  });
+
+  const result = await context.fetchVlLevels('CRDU', new Date('2026-06-08T12:00:00Z'));
+
+  const levelRequest = context.fetchCalls.find(call => String(call.url).endsWith('/Chart0/GetTradeLevels'));
+  const body = Object.fromEntries(new URLSearchParams(levelRequest.options.body));
+  assert.equal(body.StartDate, '2020-03-23');
+  assert.equal(body.EndDate, '2021-01-04');
+  assert.equal(result.dateMode, 'custom');
+});
+
+test('level date range clamps custom end dates and falls back to years when invalid', () => {
+  const { getLevelDateRange } = loadBackground();
+  const now = new Date('2026-06-08T12:00:00Z');
+
+  assert.deepEqual(plain(getLevelDateRange({ levelDateMode: 'custom', levelStartDate: '2020-03-23', levelEndDate: '2030-01-01' }, null, now)), {
+    startDate: '2020-03-23',
+    endDate: '2026-06-08',
+    dateMode: 'custom'
+  });
+  assert.deepEqual(plain(getLevelDateRange({ levelDateMode: 'custom', levelStartDate: '', yearRange: 2 }, null, now)), {
+    startDate: '2024-06-08',
+    endDate: '2026-06-08',
+    dateMode: 'years'
+  });
+  assert.deepEqual(plain(getLevelDateRange({ levelDateMode: 'visible', yearRange: 2 }, null, now)), {
+    startDate: '2024-06-08',
+    endDate: '2026-06-08',
+    dateMode: 'years'
+  });
+});
+
+test('visible level date mode reads the chart range and labels the drawn levels', async () => {
+  const visibleRange = {
+    from: Date.parse('2026-03-10T00:00:00Z') / 1000,
+    to: Date.parse('2026-05-01T00:00:00Z') / 1000
+  };
+  const context = loadBackground({ levelCount: 5, levelDateMode: 'visible', clusteringEnabled: false, visibleRange });
+
+  await context.fetchAndDraw('CRDU', 123);
+
+  const levelRequest = context.fetchCalls.find(call => String(call.url).endsWith('/Chart0/GetTradeLevels'));
+  const body = Object.fromEntries(new URLSearchParams(levelRequest.options.body));
+  const drawMessage = context.tabMessages.find(entry => entry.message.type === 'DRAW_LEVELS').message;
+
+  assert.equal(context.tabMessages[0].message.type, 'GET_VISIBLE_RANGE');
+  assert.equal(body.StartDate, '2026-03-10');
+  assert.equal(body.EndDate, '2026-05-01');
+  assert.equal(drawMessage.levels[0].label, 'VL #1 $1M (2026-03-10→2026-05-01)');
+});
+
+test('levels map RelativeSize and CumulativeDistribution columns', async () => {
+  const context = loadBackground({
+    levelsData: [
+      { Price: 36.8, TradeLevelRank: 1, Dollars: 1459892.8, RelativeSize: '2.34', CumulativeDistribution: 97.5 },
+      { Price: 35.1, TradeLevelRank: 2, Dollars: 900000, RelativeSize: null, CumulativeDistribution: 1 },
+      { Price: 34.2, TradeLevelRank: 3, Dollars: 800000, CumulativeDistribution: 0.5 }
+    ]
+  });
+
+  const result = await context.fetchVlLevels('CRDU', new Date('2026-06-08T12:00:00Z'));
+
+  assert.equal(result.levels[0].relativeSize, 2.34);
+  assert.equal(result.levels[0].cumulativeDistribution, 97.5);
+  assert.equal(result.levels[1].relativeSize, null);
+  // Percentages in the same response keep their scale
+  assert.equal(result.levels[1].cumulativeDistribution, 1);
+  assert.equal(result.levels[2].cumulativeDistribution, 0.5);
+});
+
+test('CumulativeDistribution fractions are scaled to percentages for the whole response', () => {
+  const context = loadBackground({});
+
+  const scaled = context.scaleCumulativeDistribution([
+    { price: 1, cumulativeDistribution: 0.975 },
+    { price: 2, cumulativeDistribution: 0.01 },
+    { price: 3, cumulativeDistribution: null }
+  ]);
+
+  assert.deepEqual(plain(scaled.map(level => level.cumulativeDistribution)), [97.5, 1, null]);
+});
+
+test('minimum PCT filters levels before clustering and labels show RS/PCT', async () => {
+  const context = loadBackground({
+    minLevelPct: 90,
+    showLevelStats: true,
+    clusterThreshold: 1.0,
+    levelsData: [
+      { Price: 36.8, TradeLevelRank: 1, Dollars: 1000000, RelativeSize: 2.3, CumulativeDistribution: 97 },
+      { Price: 36.9, TradeLevelRank: 2, Dollars: 2000000, RelativeSize: 3.1, CumulativeDistribution: 92 },
+      { Price: 30, TradeLevelRank: 3, Dollars: 500000, RelativeSize: 1.2, CumulativeDistribution: 60 },
+      { Price: 25, TradeLevelRank: 4, Dollars: 500000 }
+    ]
+  });
+
+  const result = await context.fetchAndDraw('CRDU', 123);
+  const drawMessage = context.tabMessages.find(entry => entry.message.type === 'DRAW_LEVELS').message;
+
+  assert.equal(result.filteredCount, 2);
+  assert.equal(drawMessage.levels.length, 1);
+  assert.equal(drawMessage.levels[0].type, 'zone');
+  assert.equal(drawMessage.levels[0].aggregated.maxRelativeSize, 3.1);
+  assert.equal(drawMessage.levels[0].aggregated.maxCumulativeDistribution, 97);
+  assert.equal(drawMessage.levels[0].label, 'VL #1,2 $3M RS 3.1 97%');
+});
+
+test('level and zone labels render user templates and keep the VL prefix', async () => {
+  const context = loadBackground({
+    levelLabelTemplate: '{dollars} #{rank} {pct} {startDate}→{endDate}',
+    zoneLabelTemplate: 'VL zone {ranks} {volume} sh {trades} trades',
+    levelsData: [
+      { Price: 36.8, TradeLevelRank: 1, Dollars: 1000000, Volume: 30000, Trades: 3, CumulativeDistribution: 97, Dates: '2025-01-02 - 2025-03-04' },
+      { Price: 36.9, TradeLevelRank: 2, Dollars: 2000000, Volume: 12000, Trades: 2, Dates: '2025-02-01 - 2025-05-06' },
+      { Price: 30, TradeLevelRank: 3, Dollars: 500000, Dates: '2024-06-07 - 2024-06-07' }
+    ]
+  });
+
+  await context.fetchAndDraw('CRDU', 123);
+  const drawMessage = context.tabMessages.find(entry => entry.message.type === 'DRAW_LEVELS').message;
+  const labels = plain(drawMessage.levels.map(item => item.label));
+
+  assert.deepEqual(labels, [
+    'VL $500K #3 2024-06-07→2024-06-07',
+    'VL zone 1,2 42.0K sh 5 trades'
+  ]);
+});
+
+test('trade labels are rendered from the trade template before drawing', async () => {
+  const context = loadBackground({
+    yearRange: 1,
+    tradeLabelTemplate: '{darkPool} {sweep} #{rank} {originalRank} {dollars} {startDate}',
+    tradesData: [
+      { Date: '/Date(1779148800000)/', Price: 36.8, TradeRank: 4, TradeRankSnapshot: 9, Dollars: 45000000, DarkPoolTrade: 1, Sweep: 1 },
+      { Date: '/Date(1779148800000)/', Price: 35.2, TradeRank: 5, TradeRankSnapshot: 5, Dollars: 2000000, DarkPoolTrade: 0, Sweep: 0 }
+    ]
+  });
+
+  await context.fetchAndDrawTrades('CRDU', 123, 5, { showOriginalTradeRank: true });
+  const drawMessage = context.tabMessages.find(entry => entry.message.type === 'DRAW_NOTES').message;
+
+  assert.deepEqual(plain(drawMessage.trades.map(trade => trade.label)), [
+    '◆ VL DP Sweep #4 (#9) $45M 2026-05-18',
+    '● VL #5 $2M 2026-05-18'
+  ]);
+});
+
+test('default label templates reproduce the built-in labels', () => {
+  const context = loadBackground();
+  const { labelTemplates } = context;
+
+  assert.equal(labelTemplates.formatLevelLabel({ rank: 1, dollars: 1.6e9, dates: '2025-09-24 - 2025-10-01' }, true), 'VL #1 $1.6B 2025-09-24');
+  assert.equal(labelTemplates.formatLevelLabel({ dollars: 2e6 }), 'VL $2M');
+  assert.equal(labelTemplates.formatTradeLabel({ rank: 10, originalRank: 5, dollarVolume: 85000000 }, true), '● VL #10 (#5) $85M');
+  assert.equal(labelTemplates.formatTradeLabel({ rank: 2, sweep: true, dollarVolume: 500000 }), '◆ VL #2');
+  assert.equal(labelTemplates.renderLabelTemplate('VL {rank} {unknown}', { rank: 3 }), 'VL 3 {unknown}');
+});
+
+test('zone style and fill opacity are passed through to DRAW_LEVELS', async () => {
+  const context = loadBackground({ zoneStyle: 'rectangle', zoneFillOpacity: 30 });
+
+  await context.fetchAndDraw('CRDU', 123, { color: '#112233' });
+  const drawMessage = context.tabMessages.find(entry => entry.message.type === 'DRAW_LEVELS').message;
+
+  assert.equal(drawMessage.options.zoneStyle, 'rectangle');
+  assert.equal(drawMessage.options.zoneFillOpacity, 30);
+});
+
+test('symbol changes are ignored unless auto-redraw is enabled', async () => {
+  const context = loadBackground();
+
+  const result = await context.handleSymbolChange('MSFT', 'AAPL', 123);
+
+  assert.deepEqual(plain(result), { success: true, skipped: true });
+  assert.equal(context.tabMessages.length, 0);
+});
+
+test('auto-redraw clears the previous symbol and redraws levels and trades', async () => {
+  const context = loadBackground({
+    autoRedrawEnabled: true,
+    autoRedrawTrades: true,
+    lineColor: '#112233',
+    tradeCount: 10,
+    tradeLitColor: '#445566',
+    yearRange: 1,
+    tradesData: [{ Date: '/Date(1779148800000)/', Price: 36.8, TradeRank: 1, Dollars: 2000000 }]
+  });
+
+  const result = await context.handleSymbolChange('CRDU', 'AAPL', 123);
+  const types = context.tabMessages.map(entry => entry.message.type);
+  const drawLevels = context.tabMessages.find(entry => entry.message.type === 'DRAW_LEVELS').message;
+  const drawNotes = context.tabMessages.find(entry => entry.message.type === 'DRAW_NOTES').message;
+  const tradeRequest = context.fetchCalls.find(call => String(call.url).endsWith('/Chart0/GetAllPriceVolumeTradeData'));
+
+  assert.equal(result.levels.success, true);
+  assert.equal(result.trades.success, true);
+  assert.deepEqual(plain(context.tabMessages[0].message), { type: 'CLEAR_DRAWN', symbol: 'AAPL' });
+  assert.deepEqual(plain(types), ['CLEAR_DRAWN', 'DRAW_LEVELS', 'GET_VISIBLE_RANGE', 'DRAW_NOTES']);
+  assert.equal(drawLevels.symbol, 'CRDU');
+  assert.equal(drawLevels.options.color, '#112233');
+  assert.equal(drawNotes.symbol, 'CRDU');
+  assert.equal(drawNotes.options.tradeLitColor, '#445566');
+  assert.equal(JSON.parse(tradeRequest.options.body).TradeCount, 10);
+});
+
+test('auto-redraw of a layout chart clears and redraws only that chart', async () => {
+  const context = loadBackground({
+    autoRedrawEnabled: true,
+    autoRedrawTrades: true,
+    yearRange: 1,
+    tradesData: [{ Date: '/Date(1779148800000)/', Price: 36.8, TradeRank: 1, Dollars: 2000000 }]
+  });
+
+  await context.handleSymbolChange('CRDU', 'AAPL', 123, 1);
+  const byType = type => context.tabMessages.find(entry => entry.message.type === type).message;
+
+  assert.deepEqual(plain(byType('CLEAR_DRAWN')), { type: 'CLEAR_DRAWN', symbol: 'AAPL', chartIndex: 1 });
+  assert.equal(byType('DRAW_LEVELS').chartIndex, 1);
+  assert.equal(byType('DRAW_NOTES').chartIndex, 1);
+  assert.equal(vm.runInContext('autoRedrawSymbols.get(123).get(1)', context), 'CRDU');
+});
+
+test('auto-redraw forgets the symbol of a closed tab', async () => {
+  const context = loadBackground({ autoRedrawEnabled: true });
+
+  await context.handleSymbolChange('CRDU', null, 123);
+  assert.equal(vm.runInContext('autoRedrawSymbols.get(123).get(null)', context), 'CRDU');
+
+  context.removeTab(123);
+  assert.equal(vm.runInContext('autoRedrawSymbols.has(123)', context), false);
+});
+
+test('uncovered trade spans cover only the newly exposed dates', () => {
+  const context = loadBackground();
+  const covered = { startDate: '2026-03-10', endDate: '2026-04-30' };
+
+  assert.deepEqual(plain(context.getUncoveredTradeSpans(covered, { startDate: '2026-03-15', endDate: '2026-04-01' })), []);
+  assert.deepEqual(plain(context.getUncoveredTradeSpans(covered, { startDate: '2026-02-01', endDate: '2026-05-10' })), [
+    { startDate: '2026-02-01', endDate: '2026-03-09' },
+    { startDate: '2026-05-01', endDate: '2026-05-10' }
+  ]);
+  assert.deepEqual(plain(context.getUncoveredTradeSpans(covered, { startDate: '2025-01-01', endDate: '2025-02-01' })), [
+    { startDate: '2025-01-01', endDate: '2025-02-01' }
+  ]);
+});
+
+test('live trades fetch the newly visible span and merge without clearing', async () => {
+  const settings = {
+    yearRange: 5,
+    tradeCount: 5,
+    visibleRange: {
+      from: Date.parse('2026-03-10T00:00:00Z') / 1000,
+      to: Date.parse('2026-04-30T00:00:00Z') / 1000
+    },
+    tradesData: [{ Date: '/Date(1775000000000)/', Price: 36.8, TradeRank: 1, Dollars: 2000000 }]
+  };
+  const context = loadBackground(settings);
+
+  await context.fetchAndDrawTrades('CRDU', 123, 5);
+  assert.deepEqual(plain(await context.handleVisibleRangeChange('CRDU', settings.visibleRange, 123)), {
+    success: true,
+    skipped: true
+  });
+
+  settings.liveTradesEnabled = true;
+  settings.tradesData = [
+    { Date: '/Date(1775000000000)/', Price: 36.8, TradeRank: 1, Dollars: 2000000 },
+    { Date: '/Date(1771000000000)/', Price: 31.2, TradeRank: 2, Dollars: 1500000 }
+  ];
+  context.fetchCalls.length = 0;
+  context.tabMessages.length = 0;
+
+  const result = await context.handleVisibleRangeChange('CRDU', {
+    from: Date.parse('2026-02-01T00:00:00Z') / 1000,
+    to: Date.parse('2026-04-30T00:00:00Z') / 1000
+  }, 123);
+  const body = JSON.parse(context.fetchCalls.find(call => String(call.url).endsWith('/Chart0/GetAllPriceVolumeTradeData')).options.body);
+  const drawMessage = context.tabMessages.find(entry => entry.message.type === 'DRAW_NOTES').message;
+
+  assert.equal(body.StartDateKey, '20260201');
+  assert.equal(body.EndDateKey, '20260309');
+  assert.equal(result.fetched, 1);
+  assert.equal(drawMessage.merge, true);
+  assert.deepEqual(plain(drawMessage.trades.map(trade => trade.price)), [31.2]);
+
+  context.fetchCalls.length = 0;
+  const zoomIn = await context.handleVisibleRangeChange('CRDU', {
+    from: Date.parse('2026-03-01T00:00:00Z') / 1000,
+    to: Date.parse('2026-04-01T00:00:00Z') / 1000
+  }, 123);
+  assert.equal(zoomIn.fetched, 0);
+  assert.equal(context.fetchCalls.length, 0);
+});
+
+test('live trades stop merging at the cap and forget closed tabs', async () => {
+  const visibleRange = {
+    from: Date.parse('2026-03-10T00:00:00Z') / 1000,
+    to: Date.parse('2026-04-30T00:00:00Z') / 1000
+  };
+  const wider = { from: Date.parse('2026-02-01T00:00:00Z') / 1000, to: visibleRange.to };
+  const settings = {
+    liveTradesEnabled: true,
+    visibleRange,
+    tradesData: Array.from({ length: 500 }, (_, index) => ({
+      Date: '/Date(1775000000000)/', Price: 30 + index / 100, TradeRank: index + 1, Dollars: 1000000
+    }))
+  };
+  const context = loadBackground(settings);
+
+  await context.fetchAndDrawTrades('CRDU', 123, 500);
+  context.fetchCalls.length = 0;
+  assert.deepEqual(plain(await context.handleVisibleRangeChange('CRDU', wider, 123)), { success: true, skipped: true, capped: true });
+  assert.equal(context.fetchCalls.length, 0);
+
+  settings.tradesData = settings.tradesData.slice(0, 1);
+  await context.fetchAndDrawTrades('CRDU', 123, 5);
+  context.removeTab(123);
+  assert.deepEqual(plain(await context.handleVisibleRangeChange('CRDU', wider, 123)), { success: true, skipped: true });
+});
+
+test('all-charts mode draws levels on every chart with its own symbol', async () => {
+  const context = loadBackground({
+    charts: [{ index: 0, symbol: 'SPY' }, { index: 1, symbol: 'QQQ' }, { index: 2, symbol: null }]
+  });
+
+  const result = await sendToBackground(context, { type: 'FETCH_VL_LEVELS', tabId: 7, allCharts: true, drawOptions: {} });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(plain(result.charts.map(chart => [chart.chartIndex, chart.symbol, chart.success])), [
+    [0, 'SPY', true],
+    [1, 'QQQ', true],
+    [2, null, false]
+  ]);
+  assert.equal(result.charts[2].error, 'Could not detect symbol');
+
+  const draws = context.tabMessages.filter(entry => entry.message.type === 'DRAW_LEVELS');
+  assert.deepEqual(plain(draws.map(entry => [entry.message.symbol, entry.message.chartIndex])), [
+    ['SPY', 0],
+    ['QQQ', 1]
+  ]);
+});
+
+test('all-charts mode fails when the layout reports no charts', async () => {
+  const context = loadBackground({ charts: [] });
+
+  const result = await sendToBackground(context, { type: 'FETCH_VL_TRADES', tabId: 7, allCharts: true, tradeCount: 5 });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /No charts found/);
+});
+
+test('manual levels are drawn with their own labels and colors and clear only manual lines', async () => {
+  const context = loadBackground({
+    lineThickness: 3,
+    manualLevels: {
+      SPY: [
+        { id: 'b', price: 36, label: 'Breakout', color: '#FF0000' },
+        { id: 'a', price: 35 }
+      ]
+    }
+  });
+
+  const result = await context.drawManualLevels('spy', 123);
+  const drawMessage = context.tabMessages.find(entry => entry.message.type === 'DRAW_LEVELS').message;
+
+  assert.equal(result.manual, true);
+  assert.equal(context.fetchCalls.length, 0);
+  assert.deepEqual(plain(drawMessage.levels.map(level => [level.price, level.label, level.color ?? null])), [
+    [35, '✎ 35', null],
+    [36, '✎ Breakout', '#FF0000']
+  ]);
+  assert.deepEqual(plain(drawMessage.options.clearPrefixes), ['✎']);
+  assert.equal(drawMessage.options.width, 3);
+});
+
+test('manual levels cluster together with VL levels when enabled', async () => {
+  const context = loadBackground({
+    clusterManualLevels: true,
+    manualLevels: { SPY: [{ id: 'a', price: 36.9, label: 'Gap fill', color: '#FF0000' }, { id: 'b', price: 50, label: 'Target' }] }
+  });
+
+  const result = await context.drawManualLevels('SPY', 123);
+  const drawMessage = context.tabMessages.find(entry => entry.message.type === 'DRAW_LEVELS').message;
+
+  assert.equal(result.manualCount, 2);
+  assert.deepEqual(plain(drawMessage.levels.map(item => [item.type, item.label, item.color ?? null])), [
+    ['zone', 'VL #1 $1M ✎ Gap fill', '#FF0000'],
+    ['level', '✎ Target', null]
+  ]);
+  assert.deepEqual(plain(drawMessage.options.clearPrefixes), ['VL', '✎']);
+});
+
+test('clustered manual levels are drawn alone when VL levels cannot be fetched', async () => {
+  const context = loadBackground({
+    clusterManualLevels: true,
+    manualLevels: { SPY: [{ id: 'a', price: 36.9, label: 'Gap fill' }] }
+  }, {
+    fetch: url => (url.endsWith('/Chart0/GetTradeLevels') ? { ok: false, status: 401, statusText: 'Unauthorized' } : null)
+  });
+
+  const result = await context.drawManualLevels('SPY', 123);
+  const drawMessage = context.tabMessages.find(entry => entry.message.type === 'DRAW_LEVELS').message;
+
+  assert.equal(result.manual, true);
+  assert.deepEqual(plain(drawMessage.levels.map(item => item.label)), ['✎ Gap fill']);
+  assert.deepEqual(plain(drawMessage.options.clearPrefixes), ['✎']);
+});
+
+test('export data keeps the last fetched levels and trades with their filters', async () => {
+  const context = loadBackground({ levelCount: 5, tradeMinDollars: 1000000 });
+
+  await context.fetchAndDraw('SPY');
+  await context.fetchAndDrawTrades('SPY', null, 10);
+  const exported = await sendToBackground(context, { type: 'GET_EXPORT_DATA' });
+
+  assert.equal(exported.levels.ticker, 'SPY');
+  assert.equal(exported.levels.items.length, 1);
+  assert.deepEqual(plain(exported.levels.filters), {
+    levelCount: '5', minLevelPct: 0, dateMode: 'years', sessionFilter: 'all sessions'
+  });
+  assert.equal(exported.trades.filters.tradeCount, 10);
+  assert.equal(exported.trades.filters.minDollars, 1000000);
+  assert.match(exported.trades.startDate, /^\d{4}-\d{2}-\d{2}$/);
+});
+
+test('export data keeps the PCT-filtered levels of each charted symbol', async () => {
+  const context = loadBackground({
+    minLevelPct: 50,
+    levelsData: [
+      { Price: 37, Dollars: 2000000, TradeLevelRank: 1, CumulativeDistribution: 90 },
+      { Price: 36.5, Dollars: 1000000, TradeLevelRank: 2, CumulativeDistribution: 20 }
+    ]
+  });
+
+  await context.fetchAndDraw('SPY', 123);
+  await context.fetchAndDraw('QQQ', 123);
+  const spy = await sendToBackground(context, { type: 'GET_EXPORT_DATA', symbol: 'spy' });
+  const latest = await sendToBackground(context, { type: 'GET_EXPORT_DATA' });
+
+  assert.equal(spy.levels.ticker, 'SPY');
+  assert.deepEqual(plain(spy.levels.items.map(level => level.price)), [37]);
+  assert.equal(spy.levels.filters.minLevelPct, 50);
+  assert.equal(latest.levels.ticker, 'QQQ');
+});
+
+test('drawn levels and trades are kept with their labels for the Pine Script export', async () => {
+  const context = loadBackground({
+    tradesData: [{ Price: 37, TradeRank: 1, TradeRankSnapshot: 1, Dollars: 45000000, DarkPoolTrade: 1, FullDateTime: '2026-05-19T10:00:00' }]
+  });
+
+  await context.fetchAndDraw('SPY', 123, { color: '#112233', width: 3 });
+  await context.fetchAndDrawTrades('SPY', 123, 5, { tradeLitColor: '#00FF00' });
+  const drawn = await sendToBackground(context, { type: 'GET_DRAWN_ITEMS' });
+
+  assert.equal(drawn.levels.symbol, 'SPY');
+  assert.equal(drawn.levels.options.color, '#112233');
+  assert.equal(drawn.levels.items[0].label, 'VL #1 $1M');
+  assert.equal(drawn.trades.items.length, 1);
+  assert.equal(drawn.trades.items[0].label, '● VL #1 $45M');
+  assert.equal(drawn.trades.options.tradeLitColor, '#00FF00');
+});
+
+test('drawn items are kept per symbol across multi-chart draws', async () => {
+  const context = loadBackground({});
+
+  await context.fetchAndDraw('SPY', 123, {}, 0);
+  await context.fetchAndDraw('QQQ', 123, {}, 1);
+  const spy = await sendToBackground(context, { type: 'GET_DRAWN_ITEMS', symbol: 'spy' });
+  const latest = await sendToBackground(context, { type: 'GET_DRAWN_ITEMS' });
+
+  assert.equal(spy.levels.symbol, 'SPY');
+  assert.equal(spy.levels.items.length, 1);
+  assert.equal(latest.levels.symbol, 'QQQ');
+  assert.equal(latest.trades, null);
+});
+
+test('clearing the chart drops drawn items from the export and nearest levels', async () => {
+  const context = loadBackground({ lastPrice: 40 });
+
+  await context.fetchAndDraw('SPY', 123);
+  await context.fetchAndDrawTrades('SPY', 123, 5);
+  await sendToBackground(context, { type: 'CLEAR_DRAWN_LEVELS', tabId: 123 });
+  const drawn = await sendToBackground(context, { type: 'GET_DRAWN_ITEMS', symbol: 'SPY' });
+  const nearest = await sendToBackground(context, { type: 'GET_NEAREST_LEVELS', symbol: 'SPY', tabId: 123 });
+
+  assert.ok(context.tabMessages.some(entry => entry.message.type === 'CLEAR_DRAWN'));
+  assert.equal(drawn.levels, null);
+  assert.equal(drawn.trades, null);
+  assert.equal(nearest.hasLevels, false);
+});
+
+test('imported levels are stored per symbol and drawn with their own prefix and style', async () => {
+  const context = loadBackground({ importColor: '#00FF00' });
+
+  await context.drawImportedLevels('spy', 123, [
+    { price: 36.8, label: '', color: null, timestamp: 1779148800, rank: 1, dollars: 1459892.8 },
+    { price: 40, label: 'Target', color: '#FF0000', timestamp: null },
+    { price: -1, label: 'Invalid' }
+  ]);
+  const drawMessage = context.tabMessages.find(entry => entry.message.type === 'DRAW_LEVELS').message;
+
+  assert.equal(context.storedSettings.importedLevels.SPY.length, 2);
+  assert.deepEqual(plain(drawMessage.levels.map(level => [level.label, level.color ?? null, level.timestamp])), [
+    ['⇪ #1 $1M', null, 1779148800],
+    ['⇪ Target', '#FF0000', null]
+  ]);
+  assert.equal(drawMessage.options.color, '#00FF00');
+  assert.equal(drawMessage.options.style, 2);
+  assert.deepEqual(plain(drawMessage.options.clearPrefixes), ['⇪']);
+
+  await context.clearImportedLevels('SPY', 123);
+  assert.equal(context.storedSettings.importedLevels.SPY, undefined);
+  assert.deepEqual(plain(context.tabMessages.at(-1).message), { type: 'CLEAR_LINES', prefixes: ['⇪'] });
+  await assert.rejects(context.clearImportedLevels(null, 123), /No ticker symbol provided/);
+});
+
+test('symbol overrides are merged over the global settings for that ticker only', async () => {
+  const context = loadBackground({
+    yearRange: 5,
+    levelCount: 10,
+    clusteringEnabled: true,
+    levelsData: [
+      { Price: 100, TradeLevelRank: 1, Dollars: 1000000, Dates: '2026-05-19 - 2026-05-19' },
+      { Price: 100.5, TradeLevelRank: 2, Dollars: 1000000, Dates: '2026-05-20 - 2026-05-20' }
+    ],
+    tradesData: [{ Date: '/Date(1779148800000)/', Price: 36.8, TradeRank: 4, Dollars: 45000000, DarkPoolTrade: 0 }],
+    symbolOverrides: {
+      CRDU: { levelCount: 30, yearRange: 1, clusteringEnabled: false, lineColor: '#123456', tradeCount: 25, tradeLitColor: '#ABCDEF', bogus: 1 }
+    }
+  });
+
+  await context.fetchAndDraw('crdu', 123, { color: '#2962FF', width: 2 });
+  await context.fetchAndDrawTrades('CRDU', 123, 5, { tradeLitColor: '#2962FF', tradeDarkPoolColor: '#FF9800' });
+  await context.fetchVlLevels('SPY', new Date('2026-06-08T12:00:00Z'));
+
+  const [crduLevels, spyLevels] = context.fetchCalls
+    .filter(call => String(call.url).endsWith('/Chart0/GetTradeLevels'))
+    .map(call => Object.fromEntries(new URLSearchParams(call.options.body)));
+  const tradeRequest = context.fetchCalls.find(call => String(call.url).endsWith('/Chart0/GetAllPriceVolumeTradeData'));
+  const drawLevels = context.tabMessages.find(entry => entry.message.type === 'DRAW_LEVELS').message;
+  const drawNotes = context.tabMessages.find(entry => entry.message.type === 'DRAW_NOTES').message;
+
+  assert.equal(crduLevels.Levels, '30');
+  assert.equal(spyLevels.Levels, '10');
+  assert.equal(Number(crduLevels.EndDate.slice(0, 4)) - Number(crduLevels.StartDate.slice(0, 4)), 1);
+  assert.deepEqual(plain(drawLevels.levels.map(item => item.type)), ['level', 'level']);
+  assert.equal(drawLevels.options.color, '#123456');
+  assert.equal(drawLevels.options.width, 2);
+  assert.equal(JSON.parse(tradeRequest.options.body).TradeCount, 25);
+  assert.equal(drawNotes.options.tradeLitColor, '#ABCDEF');
+  assert.equal(drawNotes.options.tradeDarkPoolColor, '#FF9800');
+  assert.deepEqual(plain(await context.getSymbolOverrides('SPY')), {});
+});
+
+test('level gradients are computed before drawing and returned for the popup legend', async () => {
+  const context = loadBackground({
+    clusteringEnabled: false,
+    levelGradientMode: 'rank',
+    levelGradientWidth: true,
+    levelsData: [
+      { Price: 100, TradeLevelRank: 1, Dollars: 3000000, Dates: '2026-05-19 - 2026-05-19' },
+      { Price: 110, TradeLevelRank: 2, Dollars: 1000000, Dates: '2026-05-20 - 2026-05-20' }
+    ]
+  });
+
+  const result = await context.fetchAndDraw('CRDU', 123, { color: '#2962FF', width: 2 });
+  const drawMessage = context.tabMessages.find(entry => entry.message.type === 'DRAW_LEVELS').message;
+
+  assert.deepEqual(plain(drawMessage.levels.map(level => [level.color, level.width])), [['#FF1744', 4], ['#FFEB3B', 1]]);
+  assert.equal(drawMessage.options.color, '#2962FF');
+  assert.deepEqual(plain(result.gradient), { mode: 'rank', strongest: 1, weakest: 2 });
+});
+
+test('segment mode bounds levels and zones by their first and last trade dates', async () => {
+  const context = loadBackground({
+    clusteringEnabled: true,
+    clusterThreshold: 1,
+    levelLineMode: 'segment',
+    levelsData: [
+      { Price: 100, TradeLevelRank: 1, Dollars: 1000000, Dates: '2025-09-24 - 2025-11-25' },
+      { Price: 100.5, TradeLevelRank: 2, Dollars: 1000000, Dates: '2025-08-01 - 2025-10-01' },
+      { Price: 110, TradeLevelRank: 3, Dollars: 1000000, Dates: '2026-05-21 - 2026-05-21' }
+    ]
+  });
+
+  await context.fetchAndDraw('CRDU', 123);
+  const drawMessage = context.tabMessages.find(entry => entry.message.type === 'DRAW_LEVELS').message;
+  const [zone, level] = drawMessage.levels;
+
+  // Market midnight (New York) of the first/last dates
+  assert.equal(zone.timestamp, Date.parse('2025-08-01T04:00:00Z') / 1000);
+  assert.equal(zone.endTimestamp, Date.parse('2025-11-25T05:00:00Z') / 1000);
+  // Single-day levels still span one day
+  assert.equal(level.timestamp, Date.parse('2026-05-21T04:00:00Z') / 1000);
+  assert.equal(level.endTimestamp, level.timestamp + 24 * 60 * 60);
+
+  const extended = context.applyLevelSegments([{ type: 'level', price: 1, dates: '2025-09-24 - 2025-11-25' }], true, new Date('2026-06-08T12:00:00Z'));
+  assert.equal(extended[0].endTimestamp, Date.parse('2026-06-08T12:00:00Z') / 1000);
+  assert.deepEqual(plain(context.applyLevelSegments([{ type: 'level', manual: true, price: 1 }])), [{ type: 'level', manual: true, price: 1 }]);
+});
+
+test('support/resistance colors are sent with the draw and kept for the Pine Script export', async () => {
+  const context = loadBackground({
+    clusteringEnabled: false,
+    priceColoringEnabled: true,
+    resistanceColor: '#AA0000',
+    levelsData: [
+      { Price: 100, TradeLevelRank: 1, Dollars: 3000000, Dates: '2026-05-19 - 2026-05-19' },
+      { Price: 110, TradeLevelRank: 2, Dollars: 1000000, Dates: '2026-05-20 - 2026-05-20' }
+    ],
+    drawLevelsResponse: {
+      success: true,
+      // Out of item order: sides are matched by key, not position
+      results: [
+        { type: 'level', key: 'level:110#2', side: 'resistance', success: true },
+        { type: 'level', key: 'level:100#1', side: 'support', success: true }
+      ]
+    }
+  });
+
+  await context.fetchAndDraw('CRDU', 123, { color: '#2962FF' });
+  const drawMessage = context.tabMessages.find(entry => entry.message.type === 'DRAW_LEVELS').message;
+  const drawn = await sendToBackground(context, { type: 'GET_DRAWN_ITEMS' });
+
+  assert.deepEqual(plain(drawMessage.options.priceColors), { support: '#26A69A', resistance: '#AA0000', inPlay: '#FFB300' });
+  assert.deepEqual(plain(drawn.levels.items.map(item => [item.price, item.color])), [[100, '#26A69A'], [110, '#AA0000']]);
+
+  const plainContext = loadBackground({ levelsData: [{ Price: 100, TradeLevelRank: 1, Dollars: 1000000 }] });
+  await plainContext.fetchAndDraw('CRDU', 123);
+  assert.equal(plainContext.tabMessages.find(entry => entry.message.type === 'DRAW_LEVELS').message.options.priceColors, null);
+});
+
+test('nearest levels use the drawn items for the symbol and the chart price', async () => {
+  const context = loadBackground({
+    clusteringEnabled: true,
+    clusterThreshold: 1,
+    lastPrice: 105,
+    levelsData: [
+      { Price: 100, TradeLevelRank: 2, Dollars: 2000000 },
+      { Price: 100.5, TradeLevelRank: 4, Dollars: 1000000 },
+      { Price: 110, TradeLevelRank: 1, Dollars: 5000000 }
+    ]
+  });
+
+  const before = await sendToBackground(context, { type: 'GET_NEAREST_LEVELS', symbol: 'CRDU', tabId: 123 });
+  assert.equal(before.success, true);
+  assert.equal(before.hasLevels, false);
+
+  await context.fetchAndDraw('CRDU', 123);
+  const nearest = await sendToBackground(context, { type: 'GET_NEAREST_LEVELS', symbol: 'crdu', tabId: 123 });
+
+  assert.equal(nearest.price, 105);
+  assert.equal(nearest.hasLevels, true);
+  assert.deepEqual(plain([nearest.above.type, nearest.above.price, nearest.above.distance, nearest.above.rank, nearest.above.dollars]),
+    ['level', 110, 5, 1, 5000000]);
+  assert.deepEqual(plain([nearest.below.type, nearest.below.highPrice, nearest.below.distance, nearest.below.rank, nearest.below.dollars]),
+    ['zone', 100.5, 4.5, 2, 3000000]);
+  assert.equal(nearest.inPlay, null);
+
+  const noPrice = loadBackground({ levelsData: [{ Price: 100, TradeLevelRank: 1, Dollars: 1000000 }] });
+  const failed = await sendToBackground(noPrice, { type: 'GET_NEAREST_LEVELS', symbol: 'CRDU', tabId: 123 });
+  assert.equal(failed.success, false);
+});
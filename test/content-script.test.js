@@ -0,0 +1,116 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+/**
+ * Load content-script.js with a fake page whose injected script answers
+ * commands through respond(command, data)
+ */
+function loadContentScript(respond) {
+  const listeners = [];
+  const injectedCalls = [];
+  const stored = {};
+  let onMessage = null;
+
+  const window = {
+    top: null,
+    vlTvBridgeLoaded: false,
+    addEventListener(type, handler) {
+      if (type === 'message') listeners.push(handler);
+    },
+    removeEventListener(type, handler) {
+      const index = listeners.indexOf(handler);
+      if (index >= 0) listeners.splice(index, 1);
+    },
+    postMessage(message) {
+      if (message.source !== 'vl-tv-content') return;
+      injectedCalls.push({ command: message.command, data: message.data });
+      const result = respond(message.command, message.data);
+      const event = { source: window, data: { source: 'vl-tv-injected', messageId: message.messageId, result } };
+      Promise.resolve().then(() => [...listeners].forEach(handler => handler(event)));
+    }
+  };
+  window.top = window;
+
+  const context = vm.createContext({
+    console,
+    window,
+    setTimeout: () => 0,
+    document: {
+      getElementById: () => ({}),
+      createElement: () => ({}),
+      head: { appendChild() {} }
+    },
+    browser: {
+      runtime: {
+        getURL: file => file,
+        sendMessage: async () => ({}),
+        onMessage: { addListener: listener => { onMessage = listener; } }
+      },
+      storage: {
+        local: {
+          get: async key => ({ [key]: stored[key] }),
+          set: async values => Object.assign(stored, values)
+        }
+      }
+    }
+  });
+  const script = fs.readFileSync(path.join(__dirname, '..', 'firefox', 'content-script.js'), 'utf8');
+  vm.runInContext(script, context);
+
+  return {
+    injectedCalls,
+    send(message) {
+      return new Promise(resolve => onMessage(message, {}, resolve));
+    }
+  };
+}
+
+test('clearing drawn levels leaves manual lines on the chart', async () => {
+  let shapeCount = 0;
+  const content = loadContentScript(command => {
+    if (command === 'DRAW_LINE') return { shapeId: `shape-${++shapeCount}` };
+    if (command === 'CLEAR_VL_LINES') return { removed: 0 };
+    return {};
+  });
+
+  await content.send({
+    type: 'DRAW_LEVELS',
+    symbol: 'SPY',
+    levels: [
+      { type: 'level', key: 'level:100#1', price: 100, label: 'VL #1' },
+      { type: 'level', key: 'manual:105', price: 105, label: '✎ Gap fill', manual: true }
+    ],
+    options: {}
+  });
+  const result = await content.send({ type: 'CLEAR_DRAWN' });
+
+  const removed = content.injectedCalls.filter(call => call.command === 'REMOVE_SHAPE').map(call => call.data.shapeId);
+  assert.equal(result.removed, 1);
+  assert.deepEqual(removed, ['shape-1']);
+});
+
+test('clearing a symbol on one layout chart keeps its shapes on other charts', async () => {
+  let shapeCount = 0;
+  const content = loadContentScript(command => {
+    if (command === 'DRAW_LINE') return { shapeId: `shape-${++shapeCount}` };
+    return {};
+  });
+  const drawOnChart = chartIndex => content.send({
+    type: 'DRAW_LEVELS',
+    symbol: 'SPY',
+    levels: [{ type: 'level', key: 'level:100#1', price: 100, label: 'VL #1' }],
+    options: {},
+    chartIndex
+  });
+
+  await drawOnChart(0);
+  await drawOnChart(1);
+  const result = await content.send({ type: 'CLEAR_DRAWN', symbol: 'SPY', chartIndex: 1 });
+
+  const removed = content.injectedCalls.filter(call => call.command === 'REMOVE_SHAPE').map(call => [call.data.shapeId, call.data.chartIndex]);
+  assert.equal(result.removed, 1);
+  assert.deepEqual(removed, [['shape-2', 1]]);
+});
@@ -4,9 +4,10 @@ const path = require('node:path');
 const test = require('node:test');
 const vm = require('node:vm');
 
-function loadInjected(chart) {
+function loadInjected(chart, api = {}) {
   const listeners = { message: [] };
   const postedMessages = [];
+  const timers = [];
   const window = {
     top: null,
     vlTvBridgeInjected: false,
@@ -22,8 +23,11 @@ function loadInjected(chart) {
   const context = vm.createContext({
     console,
     window,
+    setTimeout: callback => timers.push(callback),
+    clearTimeout: id => { if (id) timers[id - 1] = null; },
     TradingViewApi: {
-      activeChart: () => chart
+      activeChart: () => chart,
+      ...api
     }
   });
   const script = fs.readFileSync(path.join(__dirname, '..', 'firefox', 'injected.js'), 'utf8');
@@ -31,6 +35,9 @@ function loadInjected(chart) {
 
   return {
     postedMessages,
+    runTimers() {
+      timers.splice(0).forEach(callback => callback && callback());
+    },
     async send(command, data = {}) {
       const event = {
         source: window,
@@ -209,6 +216,30 @@ test('DRAW_NOTE can include original trade rank in label', async () => {
   assert.equal(createShapeCalls[0].config.text, '● VL #10 (#5) $85M');
 });
 
+test('DRAW_NOTE uses the label rendered by the background when provided', async () => {
+  const createShapeCalls = [];
+  const chart = {
+    createShape(point, config) {
+      createShapeCalls.push({ point, config });
+      return 'ray-1';
+    },
+    getVisibleRange() {
+      return { from: 1700000000, to: 1800000000 };
+    }
+  };
+  const injected = loadInjected(chart);
+
+  await injected.send('DRAW_NOTE', {
+    price: 123.45,
+    timestamp: 1712345678,
+    rank: 10,
+    dollarVolume: 85000000,
+    label: '● VL DP #10 2024-04-05'
+  });
+
+  assert.equal(createShapeCalls[0].config.text, '● VL DP #10 2024-04-05');
+});
+
 test('DRAW_NOTE omits original trade rank when it matches current rank', async () => {
   const createShapeCalls = [];
   const chart = {
@@ -410,3 +441,318 @@ test('CLEAR_VL_LINES removes VL level rays and lines without removing trade rays
   assert.deepEqual(plain(response.result), { removed: 2 });
   assert.deepEqual(removed, ['level-ray', 'level-line']);
 });
+
+test('DRAW_ZONE draws a filled rectangle from the zone start when rectangle style is set', async () => {
+  const multipointCalls = [];
+  const chart = {
+    createMultipointShape(points, config) {
+      multipointCalls.push({ points, config });
+      return 'rect-1';
+    },
+    getVisibleRange() {
+      return { from: 1700000000, to: 1800000000 };
+    }
+  };
+  const injected = loadInjected(chart);
+
+  const response = await injected.send('DRAW_ZONE', {
+    highPrice: 101,
+    lowPrice: 99,
+    midPrice: 100,
+    timestamp: 1712345678,
+    label: 'VL #1,2 $3M',
+    options: { linecolor: '#112233', zoneStyle: 'rectangle', fillopacity: 25 }
+  });
+  const [start, end] = plain(multipointCalls[0].points);
+
+  assert.equal(response.result.shapeId, 'rect-1');
+  assert.equal(response.result.shape, 'rectangle');
+  assert.deepEqual(start, { price: 101, time: 1712345678 });
+  assert.equal(end.price, 99);
+  assert.ok(end.time > start.time);
+  assert.equal(multipointCalls[0].config.shape, 'rectangle');
+  assert.equal(multipointCalls[0].config.text, 'VL #1,2 $3M');
+  assert.equal(multipointCalls[0].config.overrides.backgroundColor, 'rgba(17, 34, 51, 0.25)');
+  assert.equal(multipointCalls[0].config.overrides.fillBackground, true);
+  assert.equal(multipointCalls[0].config.overrides.extendRight, true);
+});
+
+test('DRAW_ZONE rectangle starts at the visible range without a zone timestamp', async () => {
+  const multipointCalls = [];
+  const chart = {
+    createMultipointShape(points, config) {
+      multipointCalls.push({ points, config });
+      return 'rect-1';
+    },
+    getVisibleRange() {
+      return { from: 1700000000, to: 1800000000 };
+    }
+  };
+  const injected = loadInjected(chart);
+
+  await injected.send('DRAW_ZONE', {
+    highPrice: 101, lowPrice: 99, midPrice: 100, timestamp: null, options: { zoneStyle: 'rectangle' }
+  });
+
+  assert.equal(multipointCalls[0].points[0].time, 1700000000);
+  assert.equal(multipointCalls[0].config.text, 'VL Zone [99.00-101.00]');
+});
+
+test('CLEAR_VL_LINES also removes VL zone rectangles', async () => {
+  const removed = [];
+  const chart = {
+    getAllShapes: () => [
+      { id: 'zone-rect', name: 'rectangle' },
+      { id: 'user-rect', name: 'rectangle' }
+    ],
+    getShapeById: id => ({ getProperties: () => ({ text: id === 'zone-rect' ? 'VL #1,2 $3M' : '' }) }),
+    removeEntity: id => removed.push(id)
+  };
+  const injected = loadInjected(chart);
+
+  const response = await injected.send('CLEAR_VL_LINES');
+  assert.deepEqual(plain(response.result), { removed: 1 });
+  assert.deepEqual(removed, ['zone-rect']);
+});
+
+test('symbol changes on the chart are posted to the content script', async () => {
+  let symbol = 'NASDAQ:AAPL';
+  let onChange = null;
+  const chart = {
+    symbol: () => symbol,
+    onSymbolChanged: () => ({
+      subscribe(context, callback) {
+        onChange = callback;
+      }
+    })
+  };
+  const injected = loadInjected(chart);
+
+  onChange();
+  symbol = 'NASDAQ:MSFT';
+  onChange();
+
+  const changes = injected.postedMessages.filter(message => message.type === 'SYMBOL_CHANGED');
+  assert.deepEqual(plain(changes), [{
+    source: 'vl-tv-injected',
+    type: 'SYMBOL_CHANGED',
+    symbol: 'MSFT',
+    previousSymbol: 'AAPL',
+    chartIndex: null
+  }]);
+});
+
+test('symbol changes are followed on every layout chart, including charts added later', async () => {
+  const symbols = ['NASDAQ:AAPL', 'AMEX:SPY'];
+  const handlers = new Map();
+  const makeChart = index => ({
+    symbol: () => symbols[index],
+    onSymbolChanged: () => ({
+      subscribe(context, callback) {
+        handlers.set(index, callback);
+      },
+      unsubscribe(context, callback) {
+        if (handlers.get(index) === callback) handlers.delete(index);
+      }
+    })
+  });
+  let charts = [makeChart(0), makeChart(1)];
+  const injected = loadInjected(charts[0], {
+    chartsCount: () => charts.length,
+    chart: index => charts[index]
+  });
+
+  symbols[1] = 'AMEX:QQQ';
+  handlers.get(1)();
+
+  // Switch to a three-chart layout: chart 1 is replaced, chart 2 is new
+  symbols.push('NYSE:IBM');
+  charts = [charts[0], makeChart(1), makeChart(2)];
+  injected.runTimers();
+  symbols[2] = 'NYSE:KO';
+  handlers.get(2)();
+
+  const changes = injected.postedMessages.filter(message => message.type === 'SYMBOL_CHANGED');
+  assert.deepEqual(plain(changes), [
+    { source: 'vl-tv-injected', type: 'SYMBOL_CHANGED', symbol: 'QQQ', previousSymbol: 'SPY', chartIndex: 1 },
+    { source: 'vl-tv-injected', type: 'SYMBOL_CHANGED', symbol: 'KO', previousSymbol: 'IBM', chartIndex: 2 }
+  ]);
+  assert.deepEqual([...handlers.keys()].sort(), [0, 1, 2]);
+});
+
+test('visible range changes are debounced and posted with the chart range', async () => {
+  let onRangeChange = null;
+  let range = { from: 1700000000, to: 1710000000 };
+  const chart = {
+    symbol: () => 'NASDAQ:AAPL',
+    getVisibleRange: () => range,
+    onVisibleRangeChanged: () => ({
+      subscribe(context, callback) {
+        onRangeChange = callback;
+      }
+    })
+  };
+  const injected = loadInjected(chart);
+
+  onRangeChange();
+  range = { from: 1690000000, to: 1710000000 };
+  onRangeChange();
+  injected.runTimers();
+
+  const changes = injected.postedMessages.filter(message => message.type === 'VISIBLE_RANGE_CHANGED');
+  assert.deepEqual(plain(changes), [{
+    source: 'vl-tv-injected',
+    type: 'VISIBLE_RANGE_CHANGED',
+    symbol: 'AAPL',
+    range: { from: 1690000000, to: 1710000000 }
+  }]);
+});
+
+test('GET_CHARTS lists every chart in the layout and DRAW_LINE targets the given chart', async () => {
+  const createShapeCalls = [];
+  const charts = ['NASDAQ:AAPL', 'AMEX:SPY'].map((symbol, index) => ({
+    symbol: () => symbol,
+    createShape(point, config) {
+      createShapeCalls.push({ chart: index, point, config });
+      return `shape-${index}`;
+    }
+  }));
+  const injected = loadInjected(charts[0], {
+    chartsCount: () => charts.length,
+    chart: index => charts[index]
+  });
+
+  const response = await injected.send('GET_CHARTS');
+  await injected.send('DRAW_LINE', { price: 100, label: 'VL #1', chartIndex: 1 });
+
+  assert.deepEqual(plain(response.result.charts), [
+    { index: 0, symbol: 'AAPL' },
+    { index: 1, symbol: 'SPY' }
+  ]);
+  assert.equal(createShapeCalls.length, 1);
+  assert.equal(createShapeCalls[0].chart, 1);
+});
+
+test('CLEAR_VL_LINES clears only the requested label prefixes', async () => {
+  const removed = [];
+  const texts = { 'vl-line': 'VL #1 $1B', 'manual-line': '✎ Breakout', 'user-line': 'Support' };
+  const chart = {
+    getAllShapes: () => Object.keys(texts).map(id => ({ id, name: 'horizontal_line' })),
+    getShapeById: id => ({ getProperties: () => ({ text: texts[id] }) }),
+    removeEntity: id => removed.push(id)
+  };
+  const injected = loadInjected(chart);
+
+  const response = await injected.send('CLEAR_VL_LINES', { prefixes: ['✎'] });
+  assert.deepEqual(plain(response.result), { removed: 1 });
+  assert.deepEqual(removed, ['manual-line']);
+});
+
+test('DRAW_LINE and DRAW_ZONE draw bounded trend lines in segment mode', async () => {
+  const multipointCalls = [];
+  const chart = {
+    createMultipointShape(points, config) {
+      multipointCalls.push({ points, config });
+      return `segment-${multipointCalls.length}`;
+    }
+  };
+  const injected = loadInjected(chart);
+
+  const line = await injected.send('DRAW_LINE', { price: 100, timestamp: 1700000000, endTimestamp: 1710000000, label: 'VL #1' });
+  await injected.send('DRAW_ZONE', { highPrice: 101, lowPrice: 99, midPrice: 100, timestamp: 1700000000, endTimestamp: 1710000000, label: 'VL #1,2' });
+
+  assert.equal(line.result.shapeId, 'segment-1');
+  assert.deepEqual(plain(multipointCalls[0].points), [{ price: 100, time: 1700000000 }, { price: 100, time: 1710000000 }]);
+  assert.equal(multipointCalls[0].config.shape, 'trend_line');
+  assert.equal(multipointCalls[0].config.text, 'VL #1');
+  assert.equal(multipointCalls[0].config.overrides.extendRight, false);
+  assert.equal(multipointCalls[1].config.shape, 'trend_line');
+  assert.equal(multipointCalls[1].config.overrides.linewidth, 4);
+});
+
+test('DRAW_LINE and DRAW_ZONE color levels by the last close when priceColors is set', async () => {
+  const createShapeCalls = [];
+  const rectangleCalls = [];
+  const chart = {
+    async exportData() {
+      return { schema: [{ type: 'time' }, { type: 'value', plotTitle: 'close' }], data: [[1712345678, 100]] };
+    },
+    createShape(point, config) {
+      createShapeCalls.push({ point, config });
+      return `shape-${createShapeCalls.length}`;
+    },
+    createMultipointShape(points, config) {
+      rectangleCalls.push({ points, config });
+      return `rect-${rectangleCalls.length}`;
+    }
+  };
+  const injected = loadInjected(chart);
+  const priceColors = { support: '#00FF00', resistance: '#FF0000', inPlay: '#FFFF00' };
+
+  const above = await injected.send('DRAW_LINE', { price: 105, label: 'VL #1', options: { priceColors } });
+  const below = await injected.send('DRAW_LINE', { price: 95, label: 'VL #2', options: { linecolor: '#112233', priceColors } });
+  const zone = await injected.send('DRAW_ZONE', { highPrice: 101, lowPrice: 99, midPrice: 100, label: 'VL #3,4', options: { priceColors } });
+  await injected.send('DRAW_ZONE', {
+    highPrice: 97, lowPrice: 96, midPrice: 96.5, timestamp: 1700000000, label: 'VL #5,6',
+    options: { zoneStyle: 'rectangle', priceColors }
+  });
+  await injected.send('DRAW_LINE', { price: 105, label: 'VL #7', options: { linecolor: '#112233' } });
+
+  assert.equal(above.result.side, 'resistance');
+  assert.equal(above.result.lastPrice, 100);
+  assert.equal(createShapeCalls[0].config.overrides.linecolor, '#FF0000');
+  assert.equal(below.result.side, 'support');
+  assert.equal(createShapeCalls[1].config.overrides.linecolor, '#00FF00');
+  assert.equal(zone.result.side, 'inPlay');
+  assert.equal(createShapeCalls[2].config.overrides.linecolor, '#FFFF00');
+  assert.equal(rectangleCalls[0].config.overrides.backgroundColor, 'rgba(0, 255, 0, 0.2)');
+  assert.equal(createShapeCalls[3].config.overrides.linecolor, '#112233');
+});
+
+test('DRAW_LINE reads the last close from exportData once per draw', async () => {
+  const createShapeCalls = [];
+  const exportCalls = [];
+  const chart = {
+    async exportData(options) {
+      exportCalls.push(options);
+      return {
+        schema: [{ type: 'time' }, { type: 'value', plotTitle: 'open' }, { type: 'value', plotTitle: 'close' }],
+        data: [[1712000000, 90, 91], [1712086400, 91, 110]]
+      };
+    },
+    createShape(point, config) {
+      createShapeCalls.push({ point, config });
+      return `shape-${createShapeCalls.length}`;
+    }
+  };
+  const injected = loadInjected(chart);
+  const priceColors = { support: '#00FF00', resistance: '#FF0000', inPlay: '#FFFF00' };
+
+  const first = await injected.send('DRAW_LINE', { price: 105, label: 'VL #1', options: { priceColors } });
+  const second = await injected.send('DRAW_LINE', { price: 115, label: 'VL #2', options: { priceColors } });
+
+  assert.equal(first.result.side, 'support');
+  assert.equal(first.result.lastPrice, 110);
+  assert.equal(second.result.side, 'resistance');
+  assert.equal(exportCalls.length, 1); // Reused for the rest of the draw
+
+  const lastPrice = await injected.send('GET_LAST_PRICE', {});
+  assert.equal(lastPrice.result, 110);
+});
+
+test('SET_SHAPES_VISIBLE toggles shape visibility and reports missing shapes', async () => {
+  const properties = {};
+  const chart = {
+    getShapeById(id) {
+      if (id === 'gone') throw new Error('No such shape');
+      return { setProperties: props => { properties[id] = props; } };
+    }
+  };
+  const injected = loadInjected(chart);
+
+  const response = await injected.send('SET_SHAPES_VISIBLE', { shapeIds: ['line-1', 'gone'], visible: false });
+
+  assert.equal(response.error, null);
+  assert.deepEqual(plain(response.result), { updated: 1, missing: ['gone'] });
+  assert.deepEqual(plain(properties), { 'line-1': { visible: false } });
+});
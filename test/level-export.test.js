@@ -0,0 +1,138 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+function loadLevelExport() {
+  const context = vm.createContext({ console });
+  const script = fs.readFileSync(path.join(__dirname, '..', 'firefox', 'level-export.js'), 'utf8');
+  vm.runInContext(script, context);
+  return context.levelExport;
+}
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+const RESULTS = {
+  levels: {
+    ticker: 'SPY',
+    startDate: '2021-06-08',
+    endDate: '2026-06-08',
+    dateMode: 'years',
+    fetchedAt: '2026-06-08T12:00:00.000Z',
+    filters: { levelCount: '10', sessionFilter: 'all sessions' },
+    items: [{ price: 36.8, rank: 1, dollars: 1459892.8, volume: 39671, trades: 1, dates: '2026-05-19 - 2026-05-19', timestamp: 1779148800, source: 'fetch' }]
+  },
+  trades: {
+    ticker: 'SPY',
+    startDate: '2025-06-08',
+    endDate: '2026-06-08',
+    fetchedAt: '2026-06-08T12:00:00.000Z',
+    filters: { tradeCount: 5, minDollars: 500000 },
+    items: [{ price: 37.1, rank: 2, originalRank: 7, dollarVolume: 45000000, volume: 250000, darkPool: true, sweep: false, timestamp: 1779200000 }]
+  }
+};
+
+test('JSON export keeps metadata and only the exported fields', () => {
+  const levelExport = loadLevelExport();
+  const data = levelExport.buildExportData(RESULTS, new Date('2026-06-09T00:00:00Z'));
+
+  assert.equal(data.format, 'vl-tv-bridge-export');
+  assert.equal(data.ticker, 'SPY');
+  assert.deepEqual(plain(data.levels.filters), { levelCount: '10', sessionFilter: 'all sessions' });
+  assert.deepEqual(plain(data.trades.trades[0]), {
+    price: 37.1,
+    rank: 2,
+    dollars: 45000000,
+    volume: 250000,
+    trades: null,
+    dates: null,
+    timestamp: 1779200000,
+    darkPool: true,
+    sweep: false,
+    originalRank: 7
+  });
+  assert.deepEqual(JSON.parse(levelExport.formatExportJson(data)), plain(data));
+});
+
+test('CSV export writes metadata comments, a header and one row per item', () => {
+  const levelExport = loadLevelExport();
+  const data = levelExport.buildExportData(RESULTS, new Date('2026-06-09T00:00:00Z'));
+  const lines = levelExport.formatExportCsv(data).trim().split('\n');
+
+  assert.equal(lines[0], '# format: vl-tv-bridge-export');
+  assert.ok(lines.includes('# levels.startDate: 2021-06-08'));
+  assert.ok(lines.includes('# trades.filters: {"tradeCount":5,"minDollars":500000}'));
+  assert.deepEqual(lines.slice(-3), [
+    'kind,ticker,price,rank,dollars,volume,trades,dates,timestamp,darkPool,sweep,originalRank',
+    'level,SPY,36.8,1,1459892.8,39671,1,2026-05-19 - 2026-05-19,1779148800,,,',
+    'trade,SPY,37.1,2,45000000,250000,,,1779200000,true,false,7'
+  ]);
+  assert.equal(levelExport.buildExportFilename(data, 'csv'), 'vl-SPY-2026-06-09.csv');
+});
+
+test('CSV cells with commas or quotes are quoted', () => {
+  const levelExport = loadLevelExport();
+  const data = levelExport.buildExportData({
+    levels: { ticker: 'BRK.B', items: [{ price: 1, dates: 'a, "b"' }] }
+  });
+
+  assert.match(levelExport.formatExportCsv(data), /,"a, ""b""",/);
+  assert.equal(data.trades, null);
+});
+
+test('imports round-trip the CSV and JSON export formats', () => {
+  const levelExport = loadLevelExport();
+  const data = levelExport.buildExportData(RESULTS, new Date('2026-06-09T00:00:00Z'));
+
+  for (const text of [levelExport.formatExportCsv(data), levelExport.formatExportJson(data)]) {
+    const imported = levelExport.parseImportText(text);
+
+    assert.equal(imported.ticker, 'SPY');
+    assert.deepEqual(plain(imported.errors), []);
+    assert.deepEqual(plain(imported.levels), [
+      { price: 36.8, label: '', color: null, timestamp: 1779148800, rank: 1, dollars: 1459892.8 },
+      { price: 37.1, label: '', color: null, timestamp: 1779200000, rank: 2, dollars: 45000000 }
+    ]);
+  }
+});
+
+test('imports read price, label, color and date from CSV with or without a header', () => {
+  const levelExport = loadLevelExport();
+
+  const withHeader = levelExport.parseImportText('Level,Name,Colour,Date\n512.5,"Breakout, weekly",ff0000,2026-03-02\n');
+  assert.deepEqual(plain(withHeader.levels), [{
+    price: 512.5,
+    label: 'Breakout, weekly',
+    color: '#FF0000',
+    timestamp: Date.parse('2026-03-02T00:00:00Z') / 1000,
+    rank: null,
+    dollars: null
+  }]);
+
+  const headerless = levelExport.parseImportText('100\n101.25,Gap fill\n');
+  assert.deepEqual(plain(headerless.levels.map(level => [level.price, level.label])), [[100, ''], [101.25, 'Gap fill']]);
+});
+
+test('invalid import rows are skipped and reported', () => {
+  const levelExport = loadLevelExport();
+
+  const result = levelExport.parseImportText([
+    'price,label,color,date',
+    'abc,Bad price',
+    '10,Bad color,blue',
+    '11,Bad date,,03/02/2026',
+    '12,Good'
+  ].join('\n'));
+
+  assert.deepEqual(plain(result.levels.map(level => level.price)), [12]);
+  assert.deepEqual(plain(result.errors), [
+    'Line 2: invalid price "abc"',
+    'Line 3: invalid color "blue" (use #RRGGBB)',
+    'Line 4: invalid date "03/02/2026" (use YYYY-MM-DD)'
+  ]);
+  assert.match(levelExport.parseImportText('{"levels": [').errors[0], /^Invalid JSON/);
+  assert.deepEqual(plain(levelExport.parseImportText('[{"price": 5, "label": "Five"}]').levels.map(level => level.label)), ['Five']);
+});
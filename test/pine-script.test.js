@@ -0,0 +1,94 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+function loadPineScript() {
+  const context = vm.createContext({ console });
+  const script = fs.readFileSync(path.join(__dirname, '..', 'firefox', 'pine-script.js'), 'utf8');
+  vm.runInContext(script, context);
+  return context.pineScript;
+}
+
+const NOW = new Date('2026-06-08T12:00:00Z');
+
+const DRAWN = {
+  levels: {
+    symbol: 'SPY',
+    options: { color: '#2962FF', width: 3, opacity: 75, style: 2, zoneStyle: 'rectangle', zoneFillOpacity: 20 },
+    items: [
+      { type: 'level', price: 100.5, timestamp: 1700000000, label: 'VL #1 $3M' },
+      { type: 'zone', highPrice: 102, lowPrice: 101, midPrice: 101.5, timestamp: null, label: 'VL #2,3 "big"' }
+    ]
+  },
+  trades: {
+    symbol: 'spy',
+    options: { tradeLitColor: '#00FF00', tradeDarkPoolColor: '#FF9800', tradeThickness: 2 },
+    items: [
+      { price: 99, timestamp: 1710000000, darkPool: true, label: '● VL #1 $45M' },
+      { price: 98, timestamp: null, darkPool: false, label: '● VL #2 $2M' }
+    ]
+  }
+};
+
+test('Pine script draws levels, zone boxes and trade rays with the drawn colors and labels', () => {
+  const { script, symbol, counts } = loadPineScript().buildPineScript(DRAWN, NOW);
+  const lines = script.split('\n');
+
+  assert.equal(lines[0], '//@version=5');
+  assert.equal(symbol, 'SPY');
+  assert.deepEqual({ ...counts }, { levels: 1, zones: 1, trades: 1 });
+  assert.ok(script.includes('indicator("VL Levels SPY", overlay = true'));
+  assert.ok(lines.includes('    vlLine(100.5, 1700000000000, color.new(#2962FF, 25), 3, line.style_dashed, "VL #1 $3M")'));
+  assert.ok(lines.includes('    vlZone(102, 101, 0, 0, color.new(#2962FF, 25), color.new(#2962FF, 80), "VL #2,3 \\"big\\"")'));
+  assert.ok(lines.includes('    vlLine(99, 1710000000000, color.new(#FF9800, 0), 2, line.style_solid, "● VL #1 $45M")'));
+  assert.ok(script.includes('line.new(') && script.includes('box.new('));
+});
+
+test('line-style zones are drawn as thick lines at the zone anchor', () => {
+  const drawn = {
+    levels: {
+      symbol: 'QQQ',
+      options: { color: '#112233', zoneStyle: 'line' },
+      items: [{ type: 'zone', highPrice: 11, lowPrice: 10, midPrice: 10.5, anchorPrice: 10.2, timestamp: 1700000000, label: 'VL #1,2' }]
+    }
+  };
+
+  const { script } = loadPineScript().buildPineScript(drawn, NOW);
+  assert.ok(script.includes('vlLine(10.2, 1700000000000, color.new(#112233, 0), 4, line.style_solid, "VL #1,2")'));
+});
+
+test('sections drawn for another symbol are left out', () => {
+  const drawn = { ...DRAWN, trades: { ...DRAWN.trades, symbol: 'AAPL' } };
+
+  const { script, counts } = loadPineScript().buildPineScript(drawn, NOW);
+  assert.equal(counts.trades, 0);
+  assert.ok(!script.includes('● VL'));
+});
+
+test('segment-mode levels are drawn between their first and last trade dates', () => {
+  const drawn = {
+    levels: {
+      symbol: 'QQQ',
+      options: { color: '#112233', width: 2 },
+      items: [{ type: 'level', price: 10, timestamp: 1700000000, endTimestamp: 1710000000, color: '#FF1744', width: 4, label: 'VL #1' }]
+    }
+  };
+
+  const { script } = loadPineScript().buildPineScript(drawn, NOW);
+  assert.ok(script.includes('vlSegment(10, 1700000000000, 1710000000000, color.new(#FF1744, 0), 4, line.style_solid, "VL #1")'));
+});
+
+test('segment-mode zone boxes end at their last trade date', () => {
+  const drawn = {
+    levels: {
+      symbol: 'QQQ',
+      options: { color: '#112233', zoneStyle: 'rectangle', zoneFillOpacity: 20 },
+      items: [{ type: 'zone', highPrice: 11, lowPrice: 10, midPrice: 10.5, timestamp: 1700000000, endTimestamp: 1710000000, label: 'VL #1,2' }]
+    }
+  };
+
+  const { script } = loadPineScript().buildPineScript(drawn, NOW);
+  assert.ok(script.includes('vlZone(11, 10, 1700000000000, 1710000000000, color.new(#112233, 0), color.new(#112233, 80), "VL #1,2")'));
+});
@@ -0,0 +1,91 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+function loadSettingsProfiles() {
+  const context = vm.createContext({ console });
+  const script = fs.readFileSync(path.join(__dirname, '..', 'firefox', 'settings-profiles.js'), 'utf8');
+  vm.runInContext(script, context);
+  return context.settingsProfiles;
+}
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+const KEYS = ['levelCount', 'yearRange', 'clusteringEnabled', 'lineColor'];
+const TYPES = { levelCount: 'number', yearRange: 'number', clusteringEnabled: 'boolean', lineColor: 'color', zoneStyle: 'string' };
+
+test('profile snapshots keep only set setting keys', () => {
+  const profiles = loadSettingsProfiles();
+
+  assert.deepEqual(plain(profiles.pickProfileSettings(
+    { levelCount: 5, clusteringEnabled: false, lineColor: null, manualLevels: { SPY: [] } },
+    KEYS
+  )), { levelCount: 5, clusteringEnabled: false });
+  assert.equal(profiles.normalizeProfileName('  Earnings   week  '), 'Earnings week');
+});
+
+test('exported profiles import back unchanged', () => {
+  const profiles = loadSettingsProfiles();
+  const saved = {
+    Scalping: { settings: { levelCount: 5, yearRange: 1 }, savedAt: '2026-06-08T12:00:00.000Z' },
+    Swing: { settings: { levelCount: 20, clusteringEnabled: true }, savedAt: null }
+  };
+
+  const data = profiles.buildProfilesExport(saved, new Date('2026-06-08T12:00:00Z'));
+  assert.equal(data.format, profiles.PROFILES_FORMAT);
+  assert.equal(data.exportedAt, '2026-06-08T12:00:00.000Z');
+
+  const imported = profiles.parseProfilesImport(JSON.stringify(data), TYPES);
+  assert.deepEqual(plain(imported), { profiles: saved, errors: [] });
+});
+
+test('profile import accepts plain maps and reports unknown keys and bad entries', () => {
+  const profiles = loadSettingsProfiles();
+  const text = JSON.stringify({
+    ' Swing ': { levelCount: 20, debugMode: true, bogus: 1 },
+    Broken: [1, 2],
+    '': { levelCount: 5 }
+  });
+
+  const imported = profiles.parseProfilesImport(text, TYPES);
+
+  assert.deepEqual(plain(imported.profiles), { Swing: { settings: { levelCount: 20 }, savedAt: null } });
+  assert.deepEqual(plain(imported.errors), [
+    'Swing: ignored 2 unknown settings',
+    'Broken: settings must be an object',
+    'Skipped a profile without a name'
+  ]);
+});
+
+test('profile import drops settings whose value has the wrong type', () => {
+  const profiles = loadSettingsProfiles();
+  const text = JSON.stringify({
+    Swing: { levelCount: 'abc', yearRange: 2, lineColor: 5, clusteringEnabled: 'yes', zoneStyle: 'rectangle' },
+    Night: { lineColor: '#ff0000', levelCount: '10' }
+  });
+
+  const imported = profiles.parseProfilesImport(text, TYPES);
+
+  assert.deepEqual(plain(imported.profiles), {
+    Swing: { settings: { yearRange: 2, zoneStyle: 'rectangle' }, savedAt: null },
+    Night: { settings: { lineColor: '#ff0000' }, savedAt: null }
+  });
+  assert.deepEqual(plain(imported.errors), [
+    'Swing: ignored levelCount (expected a number)',
+    'Swing: ignored lineColor (expected a color)',
+    'Swing: ignored clusteringEnabled (expected a boolean)',
+    'Night: ignored levelCount (expected a number)'
+  ]);
+});
+
+test('profile import rejects invalid JSON and empty files', () => {
+  const profiles = loadSettingsProfiles();
+
+  assert.match(profiles.parseProfilesImport('{ nope', TYPES).errors[0], /^Invalid JSON/);
+  assert.deepEqual(plain(profiles.parseProfilesImport('[]', TYPES).errors), ['No profiles found']);
+  assert.deepEqual(plain(profiles.parseProfilesImport('{}', TYPES).errors), ['No profiles found']);
+});